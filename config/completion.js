@@ -0,0 +1,14 @@
+// config/completion.js
+// Rules a registration must meet for the student to complete the course
+const dotenv = require("dotenv");
+dotenv.config();
+
+module.exports = {
+  // Number of sessions in a course
+  totalSessions: 25,
+  // Minimum percentage of the course sessions attended (present, late or
+  // made-up)
+  minAttendance: Number(process.env.COMPLETION_MIN_ATTENDANCE || 80),
+  // Whether the group must have completed its final session
+  requireFinalSession: process.env.COMPLETION_REQUIRE_FINAL_SESSION !== "false",
+};
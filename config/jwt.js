@@ -4,7 +4,8 @@ const getCountry = require("../utils/getCountry");
 
 
 // Generate an access token
-const generateAccessToken = (user) => {
+// sessionId identifies the TokenMetadata record (device session) the token belongs to
+const generateAccessToken = (user, sessionId = null) => {
   const location =  user.wardId?.stakeId?.location;
   let country = null;
   if (location) {
@@ -12,16 +13,17 @@ const generateAccessToken = (user) => {
   }
 
   return jwt.sign(
-    { _id: user._id, email: user.email, type: user.type, stakeId: user.wardId?.stakeId?._id ?? null, country: country }, // Payload
+    { _id: user._id, email: user.email, type: user.type, stakeId: user.wardId?.stakeId?._id ?? null, country: country, sid: sessionId }, // Payload
     process.env.JWT_SECRET, // Secret key
     { expiresIn: process.env.JWT_EXPIRATION } // Access token expiration (e.g., '15m')
   );
 };
 
-// Generate a refresh token
-const generateRefreshToken = (user) => {
+// Generate a refresh token bound to a device session
+// tokenId (jti) identifies this token within the session's rotation family
+const generateRefreshToken = (user, sessionId, tokenId) => {
   return jwt.sign(
-    { _id: user.id }, // Payload (minimal data for security)
+    { _id: user.id, sid: sessionId, jti: tokenId }, // Payload (minimal data for security)
     process.env.JWT_REFRESH_SECRET, // Refresh token secret
     { expiresIn: process.env.JWT_REFRESH_EXPIRATION } // Refresh token expiration (e.g., '7d')
   );
@@ -37,11 +39,25 @@ const verifyRefreshToken = (token) => {
   return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
 };
 
+// Generate a signed invitation token for an admin or instructor account
+const generateInvitationToken = (invitation) => {
+  return jwt.sign(
+    { invitationId: invitation._id, email: invitation.email, type: invitation.type }, // Payload
+    process.env.JWT_INVITATION_SECRET || process.env.JWT_SECRET, // Invitation secret
+    { expiresIn: Math.floor((invitation.expiresAt - Date.now()) / 1000) } // Same expiration as the invitation record
+  );
+};
 
+// Verify an invitation token
+const verifyInvitationToken = (token) => {
+  return jwt.verify(token, process.env.JWT_INVITATION_SECRET || process.env.JWT_SECRET);
+};
 
 module.exports = { 
   generateAccessToken,
   generateRefreshToken,
   verifyAccessToken,
-  verifyRefreshToken
+  verifyRefreshToken,
+  generateInvitationToken,
+  verifyInvitationToken,
 };
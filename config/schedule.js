@@ -0,0 +1,14 @@
+// config/schedule.js
+// Defaults used to turn the weekly schedule of a group into session dates
+const dotenv = require("dotenv");
+dotenv.config();
+
+module.exports = {
+  // Timezone of schedules that do not name one
+  timezone: process.env.SCHEDULE_TIMEZONE || "UTC",
+  // Length in minutes of sessions whose schedule does not say
+  durationMinutes: Number(process.env.SCHEDULE_SESSION_DURATION || 120),
+  // Holidays and other days without sessions, as a comma-separated list of
+  // dates and date ranges: "2024-12-25,2024-12-20..2025-01-06"
+  blackoutDates: process.env.SCHEDULE_BLACKOUT_DATES || "",
+};
@@ -18,6 +18,11 @@ const attendanceSchema = require('../schemas/attendance');
 const registrationSchema = require('../schemas/registration');
 const termSchema = require('../schemas/term');
 const sessionSchema = require('../schemas/session');
+const invitationSchema = require('../schemas/invitation');
+const paginationSchema = require('../schemas/pagination');
+const exportSchema = require('../schemas/export');
+const blackoutDateSchema = require('../schemas/blackoutDate');
+const calendarFeedSchema = require('../schemas/calendarFeed');
 
 const swaggerOptions = {
   definition: {
@@ -48,13 +53,33 @@ const swaggerOptions = {
         Ward: wardSchema.Ward,
         Stake: stakeSchema.Stake,
         Group: groupSchema.Group,
+        GroupSchedule: groupSchema.GroupSchedule,
+        GroupReschedule: groupSchema.GroupReschedule,
+        BlackoutDate: blackoutDateSchema.BlackoutDate,
+        CalendarFeed: calendarFeedSchema.CalendarFeed,
         Term: termSchema.Term,
+        TermRollover: termSchema.TermRollover,
+        RolloverStudent: termSchema.RolloverStudent,
         Instructor: instructorSchema.Instructor,
         Address: addressSchema.Address,
         Student: studentSchema.Student,
+        StudentImportReport: studentSchema.StudentImportReport,
         Attendance: attendanceSchema.Attendance,
+        AttendanceSummary: attendanceSchema.AttendanceSummary,
+        AttendanceMatrix: attendanceSchema.AttendanceMatrix,
         Registration: registrationSchema.Registration,
+        RegistrationProgress: registrationSchema.RegistrationProgress,
         Session: sessionSchema.Session,
+        Invitation: invitationSchema.Invitation,
+        Pagination: paginationSchema.Pagination,
+      },
+      parameters: {
+        ...paginationSchema.parameters,
+        ...exportSchema.parameters,
+        ...termSchema.parameters,
+      },
+      responses: {
+        ExportFile: exportSchema.ExportFile,
       },
     },
     security: [{ bearerAuth: [] }]
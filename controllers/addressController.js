@@ -5,6 +5,8 @@ const {
   addressSchema,
   partialAddressSchema,
 } = require("../validators/address");
+const { parseListQuery, paginate, escapeRegExp } = require("../utils/listQuery");
+const { addressListQuery } = require("../validators/listQuery");
 
 /**
  * @swagger
@@ -18,18 +20,54 @@ const {
  * /api/address:
  *   get:
  *     summary: Get all addresses
+ *     description: Paginated list of addresses.
  *     tags: [Address]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: "-createdAt"
+ *         description: "Comma-separated sort fields, prefixed with - for descending order: city, state, country, createdAt"
+ *       - $ref: '#/components/parameters/FromParam'
+ *       - $ref: '#/components/parameters/ToParam'
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: Filter by city (case-insensitive)
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: Filter by state (case-insensitive)
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Filter by country (case-insensitive)
  *     responses:
  *       200:
  *         description: A list of addresses
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Address'
- *       404:
- *         description: No addresses found
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Success"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Address'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
  *         content:
  *           application/json:
  *             schema:
@@ -37,7 +75,7 @@ const {
  *               properties:
  *                 message:
  *                   type: string
- *                   example: "No addresses found"
+ *                   example: "Limit cannot exceed 100"
  *       500:
  *         description: Internal server error
  *         content:
@@ -51,15 +89,22 @@ const {
  */
 const getAllAddresses = async (req, res) => {
   try {
-    // Fetch all addresses
-    const addresses = await Address.find();
-
-    // Check if addresses exist
-    if (addresses.length === 0) {
-      return res.status(404).json({ message: "No addresses found" });
+    // Validate pagination, sorting and filters
+    const { error, list } = parseListQuery(req.query, addressListQuery);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
     }
+    // City, state and country match regardless of case
+    const { city, state, country, ...match } = list.filter;
+    Object.entries({ city, state, country }).forEach(([field, value]) => {
+      if (value) match[field] = new RegExp(`^${escapeRegExp(value)}$`, "i");
+    });
+
+    // Fetch a page of addresses
+    const { data, pagination } = await paginate(Address, match, list);
+
     // Return addresses
-    res.status(200).json({ message: "Success", data: addresses });
+    res.status(200).json({ message: "Success", data, pagination });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -2,6 +2,36 @@
 const Attendance = require("../models/attendance");
 const Group = require("../models/group");
 const Ward = require("../models/ward");
+const Registration = require("../models/registration");
+const mongoose = require("mongoose");
+const {
+  attendanceUpdateSchema,
+  bulkAttendanceSchema,
+  makeUpAttendanceSchema,
+} = require("../validators/attendance");
+const {
+  canAccess,
+  attendanceAccessFilter,
+  getInstructorGroupIds,
+} = require("../utils/policies");
+const { groupScopeFilter } = require("../utils/scope");
+const { sessionNumberForDate } = require("../utils/attendanceSessions");
+const { summarizeAttendance } = require("../utils/attendanceStats");
+const { evaluateGroup, evaluateStudent } = require("../utils/completion");
+const { enrolledFilter } = require("../utils/registrations");
+const {
+  parseListQuery,
+  paginate,
+  combineFilters,
+  termGroupFilter,
+} = require("../utils/listQuery");
+const { attendanceListQuery } = require("../validators/listQuery");
+const { exportQuerySchema } = require("../validators/export");
+const { sendExport, fileSlug } = require("../utils/export");
+const {
+  STATUS_CODES,
+  buildAttendanceMatrix,
+} = require("../utils/attendanceMatrix");
 
 /**
  * @swagger
@@ -56,15 +86,37 @@ const Ward = require("../models/ward");
  *             schema:
  *               $ref: '#/components/schemas/Attendance'
  *       400:
- *         description: Bad request
+ *         description: Bad request, or the student is not registered in the group
+ *       403:
+ *         description: The group is not taught by the caller
  *       500:
  *         description: Internal server error
  */
 
 const createAttendance = async (req, res) => {
   try {
-    // Create a new attendance record
+    // Instructors can only take attendance for their own groups
+    if (!(await canAccess("group", req, req.body.groupId))) {
+      return res
+        .status(403)
+        .json({ error: "You can only take attendance for your own groups" });
+    }
+
+    // The student must be enrolled in the group
+    if (!(await isEnrolled(req.body.studentId, req.body.groupId))) {
+      return res
+        .status(400)
+        .json({ error: "Student is not registered in this group" });
+    }
+
+    // Link the record to the group session held that day, if not given
     const attendance = new Attendance(req.body);
+    if (!attendance.sessionNumber) {
+      const group = await Group.findById(attendance.groupId);
+      if (group) {
+        attendance.sessionNumber = sessionNumberForDate(group, attendance.date);
+      }
+    }
 
     // Save the attendance record to the database
     await attendance.save();
@@ -82,30 +134,117 @@ const createAttendance = async (req, res) => {
  * /api/attendance:
  *   get:
  *     summary: Get all Attendance records
+ *     description: >-
+ *       Paginated list of the attendance records the caller may see. The
+ *       date range applies to the attendance date.
  *     tags:
  *       - Attendance
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: "-date"
+ *         description: "Comma-separated sort fields, prefixed with - for descending order: date, sessionNumber, status, createdAt"
+ *       - $ref: '#/components/parameters/FromParam'
+ *       - $ref: '#/components/parameters/ToParam'
+ *       - in: query
+ *         name: groupId
+ *         schema:
+ *           type: string
+ *         description: Only records of this group
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         description: Only records of this student
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [present, late, excused, absent, made-up]
+ *         description: Filter by attendance status
+ *       - in: query
+ *         name: sessionNumber
+ *         schema:
+ *           type: integer
+ *         description: Filter by group session (1 to 25)
+ *       - in: query
+ *         name: termId
+ *         schema:
+ *           type: string
+ *         description: Only records of groups of this term
  *     responses:
  *       200:
  *         description: List of Attendance records
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Attendance'
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Attendance records retrieved successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Attendance'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Invalid Group ID format"
  *       500:
  *         description: Internal server error
  */
 
 const getAttendances = async (req, res) => {
   try {
-    // Get all attendance records from the database
-    const attendances = await Attendance.find()
-      .populate("studentId")
-      .populate("groupId");
+    // Validate pagination, sorting and filters
+    const { error, list } = parseListQuery(req.query, attendanceListQuery);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const { termId, ...match } = list.filter;
+
+    // Get a page of the attendance records the user may see, with the
+    // student's name and the group's name
+    const { data, pagination } = await paginate(
+      Attendance,
+      combineFilters(
+        await attendanceAccessFilter(req),
+        await termGroupFilter(termId),
+        match
+      ),
+      list,
+      {
+        populate: [
+          {
+            path: "studentId",
+            select: "userId level",
+            populate: { path: "userId", select: "firstName lastName" },
+          },
+          { path: "groupId", select: "name wardId" },
+        ],
+      }
+    );
 
     // Return the list of attendance records
-    res.status(200).json(attendances);
+    res.status(200).json({
+      message: "Attendance records retrieved successfully",
+      data,
+      pagination,
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -180,9 +319,17 @@ const getAttendance = async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Attendance' # Assuming you have a schema defined for Attendance
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Attendance'
+ *                 summary:
+ *                   $ref: '#/components/schemas/AttendanceSummary'
+ *                 message:
+ *                   type: string
+ *                   example: Success
  *       404:
  *         description: No attendances found for the specified group
  *       500:
@@ -193,18 +340,26 @@ const getAttendanceByGroup = async (req, res) => {
   try {
     const groupId = req.params.groupId;
 
-    // Find attendances for the specified group ID
-    const attendances = await Attendance.find({ groupId: groupId }).populate(
-      "studentId"
-    );
+    // Find attendances for the specified group ID, in session order
+    const attendances = await Attendance.find({ groupId: groupId })
+      .populate("studentId")
+      .sort({ sessionNumber: 1, date: 1 });
 
     // Check if any attendances were found
     if (!attendances || attendances.length === 0) {
-      return res.status(200).json({ data: [], message: "Not found" });
+      return res.status(200).json({
+        data: [],
+        summary: summarizeAttendance([]),
+        message: "Not found",
+      });
     }
 
     // Return the list of attendances for the specified group
-    res.status(200).json({ data: attendances, message: "Success" });
+    res.status(200).json({
+      data: attendances,
+      summary: summarizeAttendance(attendances),
+      message: "Success",
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -216,6 +371,7 @@ const getAttendanceByGroup = async (req, res) => {
  * /api/attendance/stake/{stakeId}:
  *   get:
  *     summary: Get Attendances by Group ID within a Stake
+ *     description: Instructors only get the groups of the stake they teach.
  *     tags:
  *       - Attendance
  *     parameters:
@@ -241,10 +397,14 @@ const getAttendanceByGroup = async (req, res) => {
  *                   groupName:
  *                     type: string
  *                     description: The name of the group
- *                   attendances:
+ *                   numberOfClassesTaken:
+ *                     type: integer
+ *                     description: Number of sessions with attendance records
+ *                   sessionsTaken:
  *                     type: array
+ *                     description: Numbers of the sessions with attendance records
  *                     items:
- *                       $ref: '#/components/schemas/Attendance'
+ *                       type: integer
  *       404:
  *         description: No attendances found for groups within the specified stake
  *       500:
@@ -269,8 +429,14 @@ const getAttendanceByGroupByStake = async (req, res) => {
     // Extract ward IDs from the found wards
     const wardIds = wards.map((ward) => ward._id);
 
-    // Find groups associated with the found ward IDs
-    const groups = await Group.find({ wardId: { $in: wardIds } });
+    // Find groups associated with the found ward IDs; instructors only see
+    // the groups they teach
+    const groups = await Group.find({
+      wardId: { $in: wardIds },
+      ...(req.user.type === 11 && {
+        _id: { $in: await getInstructorGroupIds(req.user._id) },
+      }),
+    });
 
     // Check if any groups were found
     if (!groups || groups.length === 0) {
@@ -286,23 +452,17 @@ const getAttendanceByGroupByStake = async (req, res) => {
 
     // Iterate through each group and fetch attendance records
     for (const group of groups) {
-      const attendances = await Attendance.find({ groupId: group._id })
-        .populate("studentId")
-        .select("date -_id");
-
-      const uniqueDates = [
-        ...new Set(
-          attendances.map(
-            (attendance) => attendance.date.toISOString().split("T")[0]
-          )
-        ),
-      ];
-      const numberOfClassesTaken = uniqueDates.length;
+      const sessionsTaken = (
+        await Attendance.distinct("sessionNumber", { groupId: group._id })
+      )
+        .filter((number) => number != null)
+        .sort((a, b) => a - b);
 
       attendanceData.push({
         groupId: group._id,
         groupName: group.name,
-        numberOfClassesTaken: numberOfClassesTaken,
+        numberOfClassesTaken: sessionsTaken.length,
+        sessionsTaken,
       });
     }
 
@@ -358,9 +518,18 @@ const getAttendanceByGroupByStake = async (req, res) => {
  *                 type: string
  *                 format: date-time
  *                 description: Date of the attendance
+ *               sessionNumber:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 25
+ *                 description: Number of the group session
+ *               status:
+ *                 type: string
+ *                 enum: [present, late, excused, absent, made-up]
+ *                 description: Attendance status
  *               isPresent:
  *                 type: boolean
- *                 description: Whether the student is present
+ *                 description: Whether the student is present (older clients; status takes precedence)
  *               notes:
  *                 type: string
  *                 description: Additional notes
@@ -371,6 +540,10 @@ const getAttendanceByGroupByStake = async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Attendance'
+ *       400:
+ *         description: Invalid request body, or the student is not registered in the group
+ *       403:
+ *         description: The record or target group is not managed by the caller
  *       404:
  *         description: Attendance record not found
  *       500:
@@ -379,20 +552,42 @@ const getAttendanceByGroupByStake = async (req, res) => {
 
 const updateAttendance = async (req, res) => {
   try {
-    // Find and update the attendance record by ID
-    const attendance = await Attendance.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
-    )
-      .populate("studentId")
-      .populate("groupId");
+    // 1. Validate the request body
+    const { value, error } = attendanceUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
 
-    // Check if the attendance record exists
+    // 2. A record cannot be moved to a group the user does not manage
+    if (value.groupId && !(await canAccess("group", req, value.groupId))) {
+      return res
+        .status(403)
+        .json({ error: "You can only take attendance for your own groups" });
+    }
+
+    const attendance = await Attendance.findById(req.params.id);
     if (!attendance) {
       return res.status(404).json({ message: "Attendance record not found" });
     }
 
+    // 3. The student of the updated record must be enrolled in its group
+    if (value.studentId || value.groupId) {
+      const studentId = value.studentId || attendance.studentId;
+      const groupId = value.groupId || attendance.groupId;
+      if (!(await isEnrolled(studentId, groupId))) {
+        return res
+          .status(400)
+          .json({ error: "Student is not registered in this group" });
+      }
+    }
+
+    // 4. Save the changes; the model keeps status and isPresent in sync,
+    // giving precedence to status
+    if (value.status !== undefined) delete value.isPresent;
+    attendance.set(value);
+    await attendance.save();
+    await attendance.populate(["studentId", "groupId"]);
+
     // Return the updated attendance record
     res.status(200).json(attendance);
   } catch (error) {
@@ -441,6 +636,636 @@ const deleteAttendance = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/groups/{groupId}/sessions/{number}/attendance:
+ *   post:
+ *     summary: Record attendance for a whole class session
+ *     description: >-
+ *       Saves the attendance of every listed student for one numbered session
+ *       of the group in a single request. Every student must be registered in
+ *       the group. Records are upserted per student, group and session, so
+ *       the request can safely be repeated. The session is marked completed with
+ *       the given date.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group ID
+ *       - in: path
+ *         name: number
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 25
+ *         description: The session number
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - records
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: >-
+ *                   Date of the class. Defaults to the session date, or today.
+ *                 example: '2025-03-15'
+ *               topic:
+ *                 type: string
+ *                 example: 'Introductions'
+ *               records:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - studentId
+ *                   properties:
+ *                     studentId:
+ *                       type: string
+ *                       example: '607f1f77bcf86cd799439012'
+ *                     status:
+ *                       type: string
+ *                       enum: [present, late, excused, absent, made-up]
+ *                       example: 'late'
+ *                     isPresent:
+ *                       type: boolean
+ *                       description: Used when status is not given (older clients)
+ *                       example: true
+ *                     notes:
+ *                       type: string
+ *                       example: 'Arrived late'
+ *     responses:
+ *       200:
+ *         description: Attendance recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: 'Attendance recorded'
+ *                 session:
+ *                   $ref: '#/components/schemas/Session'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Attendance'
+ *       400:
+ *         description: Validation error or students not registered in the group
+ *       403:
+ *         description: The group is not managed by the caller
+ *       404:
+ *         description: Group or session not found
+ *       500:
+ *         description: Internal server error
+ */
+const recordSessionAttendance = async (req, res) => {
+  let session;
+
+  try {
+    // 1. Validate the group ID and session number
+    const { groupId, number } = req.params;
+    const sessionNumber = parseInt(number);
+    if (
+      !mongoose.Types.ObjectId.isValid(groupId) ||
+      !(sessionNumber >= 1 && sessionNumber <= 25)
+    ) {
+      return res
+        .status(400)
+        .json({ error: "Invalid groupId or session number" });
+    }
+
+    // 2. Validate request body
+    const { value, error } = bulkAttendanceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // 3. Find the group and the numbered session
+    const group = await Group.findOne({
+      _id: groupId,
+      ...groupScopeFilter(req.scope),
+    });
+    if (!group) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+    const groupSession = group.sessions.find(
+      (s) => s.number === sessionNumber
+    );
+    if (!groupSession) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    // 4. Every student must be enrolled in the group
+    const studentIds = value.records.map((r) => r.studentId);
+    const registered = await Registration.find({
+      groupId,
+      studentId: { $in: studentIds },
+      ...enrolledFilter,
+    }).distinct("studentId");
+    const registeredIds = new Set(registered.map(String));
+    const unregistered = studentIds.filter((id) => !registeredIds.has(id));
+    if (unregistered.length > 0) {
+      return res.status(400).json({
+        error:
+          "Some students are not registered in this group. Record make-up sessions with POST /api/attendance/make-up",
+        studentIds: unregistered,
+      });
+    }
+
+    // 5. Records are keyed by student, group and session
+    const date = new Date(value.date || groupSession.date || Date.now());
+
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    // 6. Upsert one attendance record per student
+    await Attendance.bulkWrite(
+      value.records.map(({ studentId, ...fields }) => {
+        Attendance.syncStatus(fields); // bulkWrite skips the model hooks
+        return {
+          updateOne: {
+            filter: { studentId, groupId, sessionNumber },
+            update: { $set: { date, ...fields } },
+            upsert: true,
+          },
+        };
+      }),
+      { session }
+    );
+
+    // 7. Mark the session as completed
+    groupSession.date = date;
+    groupSession.completed = true;
+    if (value.topic) {
+      groupSession.topic = value.topic;
+    }
+    await group.save({ session });
+
+    await session.commitTransaction();
+
+    // 8. Re-evaluate course completion for the group's students
+    await evaluateGroup(groupId).catch((err) =>
+      console.error("Error evaluating completion:", err)
+    );
+
+    const attendances = await Attendance.find({
+      groupId,
+      studentId: { $in: studentIds },
+      sessionNumber,
+    });
+
+    res.status(200).json({
+      message: "Attendance recorded",
+      session: groupSession,
+      data: attendances,
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error("Error recording session attendance:", error);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    if (session) {
+      session.endSession();
+    }
+  }
+};
+
+/**
+ * @swagger
+ * /api/attendance/make-up:
+ *   post:
+ *     summary: Record a make-up session
+ *     description: >-
+ *       Records the attendance of a student in a group of their stake they are
+ *       not registered in, as a make-up of a session of their own (home)
+ *       group. The home group session is marked as made-up so it counts
+ *       toward the student's progress.
+ *     tags:
+ *       - Attendance
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - studentId
+ *               - groupId
+ *               - sessionNumber
+ *             properties:
+ *               studentId:
+ *                 type: string
+ *                 example: '607f1f77bcf86cd799439012'
+ *               groupId:
+ *                 type: string
+ *                 description: The group where the session was attended
+ *                 example: '707f1f77bcf86cd799439013'
+ *               sessionNumber:
+ *                 type: integer
+ *                 description: The session attended in that group
+ *                 example: 4
+ *               homeGroupId:
+ *                 type: string
+ *                 description: >-
+ *                   The student's own group. Optional when the student is
+ *                   registered in a single group.
+ *                 example: '707f1f77bcf86cd799439014'
+ *               homeSessionNumber:
+ *                 type: integer
+ *                 description: The session made up. Defaults to sessionNumber.
+ *                 example: 4
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: '2025-03-18'
+ *               status:
+ *                 type: string
+ *                 enum: [present, late]
+ *                 default: present
+ *               notes:
+ *                 type: string
+ *                 example: 'Came to the Tuesday class'
+ *     responses:
+ *       201:
+ *         description: Make-up attendance recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: 'Make-up attendance recorded'
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     makeUp:
+ *                       $ref: '#/components/schemas/Attendance'
+ *                     homeAttendance:
+ *                       $ref: '#/components/schemas/Attendance'
+ *       400:
+ *         description: >-
+ *           Validation error, student registered in the group, home group
+ *           not in the same stake or not the student's group
+ *       403:
+ *         description: The group is not managed by the caller
+ *       404:
+ *         description: Group, session, ward, stake or student registration not found
+ *       409:
+ *         description: The student already attended the home session
+ *       500:
+ *         description: Internal server error
+ */
+const createMakeUpAttendance = async (req, res) => {
+  let session;
+
+  try {
+    // 1. Validate request body
+    const { value, error } = makeUpAttendanceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const { studentId } = value;
+
+    // 2. The caller must manage the group where the session was attended
+    if (!(await canAccess("group", req, value.groupId))) {
+      return res
+        .status(403)
+        .json({ error: "You can only take attendance for your own groups" });
+    }
+    const hostGroup = await Group.findById(value.groupId).populate(
+      "wardId",
+      "stakeId"
+    );
+    if (!hostGroup) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+    const hostSession = hostGroup.sessions.find(
+      (s) => s.number === value.sessionNumber
+    );
+    if (!hostSession) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    // 3. Resolve the student's home group
+    const registeredGroupIds = (
+      await Registration.find({ studentId, ...enrolledFilter }).distinct(
+        "groupId"
+      )
+    ).map(String);
+    if (registeredGroupIds.includes(String(hostGroup._id))) {
+      return res.status(400).json({
+        error: "Student is registered in this group, record regular attendance",
+      });
+    }
+    let homeGroupId = value.homeGroupId;
+    if (!homeGroupId) {
+      if (registeredGroupIds.length !== 1) {
+        return res.status(400).json({
+          error:
+            "homeGroupId is required unless the student is registered in exactly one group",
+        });
+      }
+      homeGroupId = registeredGroupIds[0];
+    } else if (!registeredGroupIds.includes(homeGroupId)) {
+      return res
+        .status(404)
+        .json({ error: "Student is not registered in the home group" });
+    }
+
+    const homeGroup = await Group.findById(homeGroupId).populate(
+      "wardId",
+      "stakeId"
+    );
+    if (!homeGroup) {
+      return res.status(404).json({ error: "Home group not found" });
+    }
+
+    // 4. Make-ups are only taken in groups of the same stake
+    const homeStakeId = homeGroup.wardId?.stakeId;
+    const hostStakeId = hostGroup.wardId?.stakeId;
+    if (!homeStakeId || !hostStakeId) {
+      return res
+        .status(404)
+        .json({ error: "Ward or stake of the group not found" });
+    }
+    if (String(homeStakeId) !== String(hostStakeId)) {
+      return res.status(400).json({
+        error: "Make-up sessions must be taken in a group of the same stake",
+      });
+    }
+
+    const homeSessionNumber = value.homeSessionNumber || value.sessionNumber;
+    if (!homeGroup.sessions.some((s) => s.number === homeSessionNumber)) {
+      return res.status(404).json({ error: "Home session not found" });
+    }
+
+    // 5. An attended session does not need a make-up
+    const homeRecord = await Attendance.findOne({
+      studentId,
+      groupId: homeGroup._id,
+      sessionNumber: homeSessionNumber,
+    });
+    if (homeRecord && ["present", "late"].includes(homeRecord.status)) {
+      return res.status(409).json({
+        error: "The student attended this session in their own group",
+      });
+    }
+
+    const date = new Date(value.date || hostSession.date || Date.now());
+
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    // 6. Record the attendance in the group where the session was taken
+    const makeUp = await Attendance.findOneAndUpdate(
+      { studentId, groupId: hostGroup._id, sessionNumber: value.sessionNumber },
+      {
+        $set: {
+          date,
+          status: value.status,
+          notes: value.notes,
+          makeUpFor: {
+            groupId: homeGroup._id,
+            sessionNumber: homeSessionNumber,
+          },
+        },
+      },
+      { upsert: true, new: true, runValidators: true, session }
+    );
+
+    // 7. Count it toward the home group session
+    const homeAttendance = await Attendance.findOneAndUpdate(
+      { studentId, groupId: homeGroup._id, sessionNumber: homeSessionNumber },
+      {
+        $set: { status: "made-up" },
+        $setOnInsert: { date, notes: `Made up in ${hostGroup.name}` },
+      },
+      { upsert: true, new: true, runValidators: true, session }
+    );
+
+    await session.commitTransaction();
+
+    // 8. The made-up session may complete the student's course
+    await evaluateStudent(studentId).catch((err) =>
+      console.error("Error evaluating completion:", err)
+    );
+
+    res.status(201).json({
+      message: "Make-up attendance recorded",
+      data: { makeUp, homeAttendance },
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error("Error recording make-up attendance:", error);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    if (session) {
+      session.endSession();
+    }
+  }
+};
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/attendance-matrix:
+ *   get:
+ *     summary: Get the attendance matrix of a group
+ *     description: >-
+ *       Students as rows and the group's 25 sessions as columns, with the
+ *       recorded status of each cell and totals per student, per session and
+ *       for the whole group. Students who registered after the first session
+ *       are marked `late` (with the first session they were expected at);
+ *       students who withdrew or were transferred out are marked `withdrawn`
+ *       or `transferred`, as are students with attendance in the group who
+ *       are no longer registered (`withdrawn`). The waitlist is left out.
+ *     tags:
+ *       - Attendance
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the group
+ *     responses:
+ *       200:
+ *         description: Attendance matrix of the group
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Success
+ *                 data:
+ *                   $ref: '#/components/schemas/AttendanceMatrix'
+ *       400:
+ *         description: Invalid group ID
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ */
+const getAttendanceMatrix = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    // 1. Validate the group ID
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({ error: "Invalid groupId" });
+    }
+
+    // 2. Find the group within the caller's scope
+    const group = await Group.findOne({
+      _id: groupId,
+      ...groupScopeFilter(req.scope),
+    });
+    if (!group) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    // 3. Build the matrix
+    const matrix = await buildAttendanceMatrix(group);
+
+    res.status(200).json({
+      message: "Success",
+      data: {
+        group: { _id: group._id, name: group.name },
+        ...matrix,
+      },
+    });
+  } catch (error) {
+    console.error("Error building attendance matrix:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/attendance-matrix/export:
+ *   get:
+ *     summary: Export the attendance matrix of a group
+ *     description: >-
+ *       One row per student (see GET /api/groups/{groupId}/attendance-matrix)
+ *       and one column per session (1 to 25) with the recorded status as
+ *       P (present), L (late), E (excused), A (absent) or M (made-up),
+ *       followed by the attendance totals.
+ *     tags:
+ *       - Attendance
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the group
+ *       - $ref: '#/components/parameters/ExportFormatParam'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/ExportFile'
+ *       400:
+ *         description: Invalid group ID or format
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ */
+const exportAttendanceMatrix = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    // 1. Validate the group ID and the format
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({ error: "Invalid groupId" });
+    }
+    const { value, error } = exportQuerySchema.validate(req.query, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // 2. Find the group within the caller's scope
+    const group = await Group.findOne({
+      _id: groupId,
+      ...groupScopeFilter(req.scope),
+    }).populate("wardId", "name");
+    if (!group) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    // 3. Build and send the matrix
+    const { sessions, students } = await buildAttendanceMatrix(group);
+
+    await sendExport(res, value.format, {
+      filename: `attendance-${fileSlug(group.name)}`,
+      title: `Attendance - ${group.name}`,
+      subtitle: [
+        group.wardId?.name,
+        "P present, L late, E excused, A absent, M made-up",
+      ]
+        .filter(Boolean)
+        .join(" · "),
+      columns: [
+        { key: "student", header: "Student", width: 22 },
+        { key: "enrollment", header: "Enrollment", width: 10 },
+        ...sessions.map((session) => ({
+          key: `s${session.number}`,
+          header: String(session.number),
+          width: 3,
+        })),
+        { key: "attended", header: "Attended", width: 8 },
+        { key: "percentage", header: "%", width: 5 },
+      ],
+      rows: students.map((student) => ({
+        student: [student.lastName, student.firstName]
+          .filter(Boolean)
+          .join(", "),
+        enrollment: student.enrollment,
+        ...Object.fromEntries(
+          sessions.map((session) => [
+            `s${session.number}`,
+            STATUS_CODES[student.cells[session.number]] || "",
+          ])
+        ),
+        attended: student.summary.attended,
+        percentage: student.summary.percentage,
+      })),
+    });
+  } catch (error) {
+    console.error("Error exporting attendance matrix:", error);
+    // The file may already be partially sent
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Whether a student has an enrolled registration in a group
+const isEnrolled = async (studentId, groupId) =>
+  !!(await Registration.exists({ studentId, groupId, ...enrolledFilter }));
+
 module.exports = {
   createAttendance,
   getAttendances,
@@ -449,4 +1274,8 @@ module.exports = {
   getAttendanceByGroupByStake,
   updateAttendance,
   deleteAttendance,
+  recordSessionAttendance,
+  createMakeUpAttendance,
+  getAttendanceMatrix,
+  exportAttendanceMatrix,
 };
@@ -11,10 +11,42 @@ const TokenMetadata = require("../models/tokenMetadata");
 const argon2 = require("argon2");
 const { parseEnvTimeToMs } = require("../utils/timeParser"); // Utility function to parse time from environment variables
 const mongoose = require("mongoose");
-const { userSchema } = require("../validators/user");
+const crypto = require("crypto");
+const {
+  registerSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+} = require("../validators/auth");
+const { generateToken, hashToken } = require("../utils/tokens");
+const {
+  countRecentIpFailures,
+  isIpBlocked,
+  ipRetryAfterMs,
+  progressiveDelay,
+  sleep,
+  registerFailedLogin,
+  resetFailedLogins,
+  recordLoginAttempt,
+} = require("../utils/loginThrottle");
+const { sendMail } = require("../utils/mail");
+const {
+  passwordResetEmail,
+  emailVerificationEmail,
+} = require("../utils/mail/templates");
 const dotenv = require("dotenv");
 dotenv.config();
 const DEFAULT_AVATAR_URL = process.env.DEFAULT_AVATAR_URL;
+const PASSWORD_RESET_EXPIRATION = process.env.PASSWORD_RESET_EXPIRATION || "1h";
+const PASSWORD_RESET_URL =
+  process.env.PASSWORD_RESET_URL ||
+  `${process.env.FRONTEND_PROD_URL}/reset-password`;
+const EMAIL_VERIFICATION_EXPIRATION =
+  process.env.EMAIL_VERIFICATION_EXPIRATION || "24h";
+const EMAIL_VERIFICATION_URL =
+  process.env.EMAIL_VERIFICATION_URL ||
+  `${process.env.FRONTEND_PROD_URL}/verify-email`;
 
 // Register a new user
 /**
@@ -27,7 +59,12 @@ const DEFAULT_AVATAR_URL = process.env.DEFAULT_AVATAR_URL;
  * @swagger
  * /api/auth/register:
  *   post:
- *     summary: Register a new user
+ *     summary: Register a new student
+ *     description: >-
+ *       Creates an unverified student account and emails a verification link. The user
+ *       can log in once the email address is confirmed through `/api/auth/verify-email`.
+ *       Admin and instructor accounts cannot self-register; they are created through
+ *       `/api/invitations`.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -50,26 +87,13 @@ const DEFAULT_AVATAR_URL = process.env.DEFAULT_AVATAR_URL;
  *                 example: 'password123'
  *               type:
  *                 type: number
- *                 enum: [1, 10, 11]
+ *                 enum: [1]
  *                 default: 1
- *                 description: The user's type (1 = Student, 10 = Admin, 11 = Instructor)
+ *                 description: The user's type (only 1 = Student is accepted)
  *                 example: 1
  *     responses:
  *       201:
- *         description: User registered successfully
- *         headers:
- *           Set-Cookie:
- *             schema:
- *               type: string
- *             description: >-
- *               [Web clients only] HTTP-only secure cookie containing refresh token.
- *               Security attributes:
- *               - HttpOnly (XSS protection)
- *               - Secure (HTTPS-only in production)
- *               - SameSite=strict (CSRF protection)
- *               - Path=/api/auth (restricted path)
- *               - Max-Age={JWT_REFRESH_EXPIRATION}
- *             example: refreshToken=abc123; HttpOnly; Secure; SameSite=strict; Path=/api/auth; Max-Age=604800
+ *         description: User registered successfully, verification email sent
  *         content:
  *           application/json:
  *             schema:
@@ -81,25 +105,10 @@ const DEFAULT_AVATAR_URL = process.env.DEFAULT_AVATAR_URL;
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: 'User registered successfully'
+ *                   example: 'User registered successfully. Check your email to verify your account'
  *                   description: Confirmation message
- *                 accessToken:
- *                   oneOf:
- *                     - type: string
- *                     - type: 'null'
- *                   description: >-
- *                     [Mobile clients only] Refresh token for native apps.
- *                     Web clients receive this via HTTP-only cookie.
- *                   example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
- *                 refreshToken:
- *                   type: string
- *                   nullable: true
- *                   description: >-
- *                     [Mobile clients only] Refresh token for native apps.
- *                     Web clients receive this via HTTP-only cookie.
- *                   example: 'def50200f2f3d1d4b8b9e6c2...'
  *       400:
- *         description: User already exists
+ *         description: User already exists, or a type other than student was requested
  *         content:
  *           application/json:
  *             schema:
@@ -127,7 +136,7 @@ const register = async (req, res) => {
 
   try {
     // 0. Validate request body
-    const { error, value } = userSchema.validate(req.body);
+    const { error, value } = registerSchema.validate(req.body);
     if (error) {
       await session.abortTransaction();
       session.endSession();
@@ -135,7 +144,7 @@ const register = async (req, res) => {
     }
 
     // Use the validated value which includes defaults
-    const { firstName, lastName, email, password, type } = value;
+    const { firstName, lastName, email, password } = value;
 
     // 2. Check for existing user
     const existingUser = await User.findOne({ email }).session(session);
@@ -145,79 +154,58 @@ const register = async (req, res) => {
       return res.status(400).json({ error: "User already exists" });
     }
     // 3.1 Create user with hashed password
+    // The account stays unverified until the emailed token is redeemed
+    const verification = generateToken();
     const user = new User({
       firstName,
       lastName,
       email,
       password,
-      type, // 1 = Student, 10 = Admin, 11 = Instructor
+      type: 1, // Public registration is for students only
       wardId: null, // Set to null for now
       avatar:
         DEFAULT_AVATAR_URL ||
         "https://www.gravatar.com/avatar/default?d=identicon", // Default avatar URL
+      emailVerified: false,
+      emailVerificationToken: verification.hash,
+      emailVerificationExpires: new Date(
+        Date.now() + parseEnvTimeToMs(EMAIL_VERIFICATION_EXPIRATION)
+      ),
     });
     await user.save({ session });
 
-    // 3.2 Create student profile if the type is 1 (Student)
+    // 3.2 Create the student profile
     // Note: The addressId, birthDate, phone, language, and level are set to null for now
-    if (type === 1) {
-      // 1 = Student
-      const student = new Student({
-        userId: user._id,
-        addressId: null,
-        birthDate: null,
-        phone: null,
-        language: null,
-        level: null,
-        churchMembership: null,
-      });
-      await student.save({ session });
-    }
-
-    // 4. Generate tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
-    const hashedRefreshToken = await argon2.hash(refreshToken);
-
-    // 5. Store hashed refresh token
-    await TokenMetadata.create(
-      [
-        {
-          userId: user._id,
-          refreshToken: hashedRefreshToken,
-          ipAddress: req.clientIp,
-          userAgent: req.headers["user-agent"],
-          expiresAt: new Date(
-            Date.now() + parseEnvTimeToMs(process.env.JWT_REFRESH_EXPIRATION)
-          ),
-        },
-      ],
-      { session }
-    );
+    const student = new Student({
+      userId: user._id,
+      addressId: null,
+      birthDate: null,
+      phone: null,
+      language: null,
+      level: null,
+      churchMembership: null,
+    });
+    await student.save({ session });
 
-    // 6. Commit transaction
+    // 4. Commit transaction
     await session.commitTransaction();
     session.endSession();
 
-    // 7. Handle response based on client type
-    const isWebClient = req.headers["user-agent"]?.includes("Mozilla");
-
-    if (isWebClient) {
-      res.cookie("refreshToken", refreshToken, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === "production",
-        sameSite: "strict",
-        path: "/api/auth",
-        maxAge: parseEnvTimeToMs(process.env.JWT_REFRESH_EXPIRATION),
-      });
+    // 5. Send the verification email (the user can ask for a new one if this fails)
+    try {
+      await sendVerificationEmail(user, verification.token);
+    } catch (mailError) {
+      console.error(
+        "Verification email error:",
+        mailError.message || mailError
+      );
     }
 
-    // 8. Send response
+    // 6. Send response (no session until the email is verified)
     res.status(201).json({
       success: true,
-      message: "User registered successfully",
-      accessToken,
-      ...(!isWebClient && { refreshToken }), // Only for mobile
+      message:
+        "User registered successfully. Check your email to verify your account",
     });
   } catch (error) {
     await session.abortTransaction();
@@ -233,6 +221,10 @@ const register = async (req, res) => {
  * /api/auth/login:
  *   post:
  *     summary: Login user
+ *     description: >-
+ *       Failed attempts are delayed progressively. An account is locked for a while after
+ *       too many consecutive failures, and an IP address is blocked after too many failures
+ *       within a time window.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -314,6 +306,53 @@ const register = async (req, res) => {
  *                   type: string
  *                   description: Error message
  *                   example: 'Invalid credentials'
+ *       403:
+ *         description: Email address not verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Email address not verified'
+ *                 code:
+ *                   type: string
+ *                   example: 'EMAIL_NOT_VERIFIED'
+ *       423:
+ *         description: Account temporarily locked after too many failed login attempts
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the account is unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Account temporarily locked after too many failed login attempts'
+ *                 lockUntil:
+ *                   type: string
+ *                   format: date-time
+ *                   example: '2023-10-15T12:15:00Z'
+ *       429:
+ *         description: Too many failed login attempts from this IP address
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds to wait before trying again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Too many failed login attempts, try again later'
  *       500:
  *         description: Internal Server Error
  *         content:
@@ -329,40 +368,92 @@ const register = async (req, res) => {
 const login = async (req, res) => {
   try {
     const { email, password } = req.body;
+    if (typeof email !== "string" || typeof password !== "string") {
+      return res.status(400).json({ error: "Email and password are required" });
+    }
 
-    // 1. Find user and validate credentials
+    // 1. Refuse IP addresses with too many recent failures
+    const ipFailures = await countRecentIpFailures(req.clientIp);
+    if (isIpBlocked(ipFailures)) {
+      await recordLoginAttempt(req, {
+        email,
+        success: false,
+        reason: "ip_blocked",
+      });
+      res.set("Retry-After", Math.ceil(ipRetryAfterMs() / 1000));
+      return res
+        .status(429)
+        .json({ error: "Too many failed login attempts, try again later" });
+    }
+
+    // 2. Find user and refuse temporarily locked accounts
     const user = await User.findOne({ email }).populate({
       path: "wardId",
       populate: {
         path: "stakeId",
       },
     });
+    if (user?.isLocked()) {
+      await recordLoginAttempt(req, {
+        email,
+        user,
+        success: false,
+        reason: "locked",
+      });
+      res.set("Retry-After", Math.ceil((user.lockUntil - Date.now()) / 1000));
+      return res.status(423).json({
+        error: "Account temporarily locked after too many failed login attempts",
+        lockUntil: user.lockUntil,
+      });
+    }
+
+    // 3. Slow down repeated failures, then validate credentials
+    await sleep(
+      progressiveDelay(Math.max(user?.failedLoginAttempts || 0, ipFailures))
+    );
     if (!user || !(await user.comparePassword(password))) {
+      if (user) {
+        await registerFailedLogin(user);
+      }
+      await recordLoginAttempt(req, {
+        email,
+        user,
+        success: false,
+        reason: "invalid_credentials",
+      });
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    // 2. Generate tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
-    const hashedRefreshToken = await argon2.hash(refreshToken);
+    // Self-registered accounts must confirm their email first
+    if (!user.emailVerified) {
+      await recordLoginAttempt(req, {
+        email,
+        user,
+        success: false,
+        reason: "unverified",
+      });
+      return res.status(403).json({
+        error: "Email address not verified",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
 
-    // 3. Update token metadata
-    const expiresAt = new Date(
-      Date.now() + parseEnvTimeToMs(process.env.JWT_REFRESH_EXPIRATION)
-    ); // 7 days
-    await TokenMetadata.findOneAndUpdate(
-      { userId: user._id },
-      {
-        refreshToken: hashedRefreshToken,
-        ipAddress: req.clientIp,
-        userAgent: req.headers["user-agent"],
-        expiresAt,
-        updatedAt: new Date(),
-      },
-      { upsert: true } // Create if doesn't exist
-    );
+    // Successful login clears the failure counter
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+      await resetFailedLogins(user._id);
+    }
+    await recordLoginAttempt(req, {
+      email,
+      user,
+      success: true,
+      reason: "success",
+    });
+
+    // 4. Generate tokens and open a new session for this device
+    // Sessions on other devices are left untouched
+    const { accessToken, refreshToken } = await createDeviceSession(user, req);
 
-    // 4. Set HTTP-only cookie for web clients
+    // 5. Set HTTP-only cookie for web clients
     const isWebClient = req.headers["user-agent"]?.includes("Mozilla");
     if (isWebClient) {
       res.cookie("refreshToken", refreshToken, {
@@ -374,7 +465,7 @@ const login = async (req, res) => {
       });
     }
 
-    // 5. Single response
+    // 6. Single response
     res.json({
       success: true,
       message: "Login successful",
@@ -516,6 +607,10 @@ const validate = async (req, res) => {
  * /api/auth/refresh-token:
  *   post:
  *     summary: Refresh access and refresh token
+ *     description: >-
+ *       Rotates the refresh token. Each refresh token can be used only once;
+ *       presenting an already rotated token revokes the whole session and the
+ *       user has to log in again.
  *     tags: [Auth]
  *     responses:
  *       200:
@@ -555,7 +650,7 @@ const validate = async (req, res) => {
  *                   description: Error message
  *                   example: 'Unauthorized'
  *       403:
- *         description: Forbidden
+ *         description: Session revoked, or refresh token reuse detected
  *         content:
  *           application/json:
  *             schema:
@@ -600,7 +695,7 @@ const refreshToken = async (req, res) => {
     } catch (error) {
       return res.status(401).json({ error: "Invalid or expired token" });
     }
-    if (!decoded?._id) {
+    if (!decoded?._id || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
       return res.status(401).json({ error: "Invalid or expired token" });
     }
 
@@ -610,33 +705,64 @@ const refreshToken = async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
-    // Validate against hashed DB token
-    const tokenMetadata = await TokenMetadata.findOne({ userId: user._id });
+    // Find the matching device session (token family)
+    const tokenMetadata = await TokenMetadata.findOne({
+      _id: decoded.sid,
+      userId: user._id,
+    });
+    if (!tokenMetadata || tokenMetadata.isRevoked) {
+      return res.status(403).json({ error: "Invalid or revoked tokens" });
+    }
+    if (tokenMetadata.expiresAt <= new Date()) {
+      return res.status(401).json({ error: "Session expired" });
+    }
+
+    // A validly signed token that is not the latest one of its family has
+    // already been rotated: someone is replaying it, so revoke the family
     if (
-      !tokenMetadata ||
+      decoded.jti !== tokenMetadata.tokenId ||
       !(await argon2.verify(tokenMetadata.refreshToken, refreshToken))
     ) {
-      return res.status(403).json({ error: "Invalid or revoked tokens" });
+      return rejectReusedToken(res, tokenMetadata);
     }
 
-    // Generate new tokens
-    const newAccessToken = generateAccessToken(user);
-    const newRefreshToken = generateRefreshToken(user);
+    // Generate new tokens for the same session
+    const newTokenId = crypto.randomUUID();
+    const newAccessToken = generateAccessToken(user, tokenMetadata._id);
+    const newRefreshToken = generateRefreshToken(
+      user,
+      tokenMetadata._id,
+      newTokenId
+    );
     const newHashedToken = await argon2.hash(newRefreshToken);
 
-    // Update database with new refresh token
-    await TokenMetadata.findOneAndUpdate(
-      { userId: user.id },
+    // Rotate: the new token becomes the only valid member of the family.
+    // The update only matches while the presented token is still the latest
+    // one, so of two concurrent refreshes with the same token only one wins.
+    const rotated = await TokenMetadata.findOneAndUpdate(
       {
-        refreshToken: newHashedToken,
-        ipAddress: req.clientIp,
-        userAgent: req.headers["user-agent"],
-        expiresAt: new Date(
-          Date.now() + parseEnvTimeToMs(process.env.JWT_REFRESH_EXPIRATION)
-        ),
+        _id: tokenMetadata._id,
+        userId: user._id,
+        tokenId: decoded.jti,
+        isRevoked: false,
+      },
+      {
+        $set: {
+          tokenId: newTokenId,
+          refreshToken: newHashedToken,
+          ipAddress: req.clientIp,
+          userAgent: req.headers["user-agent"],
+          lastUsedAt: new Date(),
+          expiresAt: new Date(
+            Date.now() + parseEnvTimeToMs(process.env.JWT_REFRESH_EXPIRATION)
+          ),
+        },
       },
       { new: true }
     );
+    if (!rotated) {
+      return rejectReusedToken(res, tokenMetadata);
+    }
 
     // Determine if the request comes from a web client
     const isWebClient = req.headers["user-agent"]?.includes("Mozilla");
@@ -735,20 +861,27 @@ const logout = async (req, res) => {
       return res.status(401).json({ error: "Access token is missing" });
     }
 
-    // 2. Verify access token and extract user ID
+    // 2. Verify access token and extract user and session IDs
     let userId;
+    let sessionId;
     try {
       const decoded = verifyAccessToken(accessToken);
       userId = decoded._id;
+      sessionId = decoded.sid;
     } catch (err) {
       console.error("Logout failed: Invalid access token", err);
       return res.status(401).json({ error: "Invalid access token" });
     }
 
-    // 3. Remove the token metadata for the user (logout)
-    const result = await TokenMetadata.deleteOne({ userId });
+    // 3. Revoke the token metadata for this device only (logout)
+    const result = sessionId
+      ? await TokenMetadata.updateOne(
+          { _id: sessionId, userId, isRevoked: false },
+          { isRevoked: true, revokedAt: new Date(), revokedReason: "logout" }
+        )
+      : { modifiedCount: 0 };
 
-    if (result.deletedCount === 0) {
+    if (result.modifiedCount === 0) {
       console.warn(
         `Logout warning: No active session found for user ${userId}`
       );
@@ -892,4 +1025,588 @@ const profile = async (req, res) => {
   }
 };
 
-module.exports = { register, login, profile, refreshToken, logout, validate };
+// List the active sessions (devices) of the authenticated user
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions for the authenticated user
+ *     description: Returns one entry per device the user is signed in on.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: 'Sessions retrieved successfully'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                         description: Session ID
+ *                         example: '507f1f77bcf86cd799439012'
+ *                       ipAddress:
+ *                         type: string
+ *                         example: '192.168.1.1'
+ *                       userAgent:
+ *                         type: string
+ *                         example: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)'
+ *                       lastUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         example: '2023-10-15T12:00:00Z'
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                         example: '2023-10-22T12:00:00Z'
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                         example: '2023-10-15T12:00:00Z'
+ *                       current:
+ *                         type: boolean
+ *                         description: Whether this is the session making the request
+ *                         example: true
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal Server Error
+ */
+const getSessions = async (req, res) => {
+  try {
+    // 1. Find the non-expired sessions of the user
+    const sessions = await TokenMetadata.find({
+      userId: req.user._id,
+      isRevoked: false,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("ipAddress userAgent lastUsedAt expiresAt createdAt")
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    // 2. Flag the session the request was made from
+    const data = sessions.map((session) => ({
+      ...session,
+      current: String(session._id) === String(req.user.sid),
+    }));
+
+    res
+      .status(200)
+      .json({ message: "Sessions retrieved successfully", data });
+  } catch (error) {
+    console.error("Error listing sessions:", error.message || error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Revoke a single session (device) of the authenticated user
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Signs the authenticated user out of a single device. Other sessions are not affected.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 'Session revoked successfully'
+ *       400:
+ *         description: Invalid session ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Internal Server Error
+ */
+const revokeSession = async (req, res) => {
+  try {
+    // 1. Validate the session ID
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid session ID" });
+    }
+
+    // 2. Revoke the session, only if it belongs to the user
+    const result = await TokenMetadata.updateOne(
+      { _id: id, userId: req.user._id, isRevoked: false },
+      { isRevoked: true, revokedAt: new Date(), revokedReason: "user" }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    res
+      .status(200)
+      .json({ success: true, message: "Session revoked successfully" });
+  } catch (error) {
+    console.error("Error revoking session:", error.message || error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Request a password reset email
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: >-
+ *       Sends a single-use reset link to the given email address if an account
+ *       exists. The response is the same whether or not the account exists.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: 'john@example.com'
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 'If the email is registered, a reset link has been sent'
+ *       400:
+ *         description: Invalid email
+ *       500:
+ *         description: Internal Server Error
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    // 1. Validate request body
+    const { error, value } = forgotPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const genericResponse = {
+      success: true,
+      message: "If the email is registered, a reset link has been sent",
+    };
+
+    // 2. Find the user, without revealing whether it exists
+    const user = await User.findOne({ email: value.email });
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // 3. Store the hash of a new reset token (replaces any previous one)
+    const { token, hash } = generateToken();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        passwordResetToken: hash,
+        passwordResetExpires: new Date(
+          Date.now() + parseEnvTimeToMs(PASSWORD_RESET_EXPIRATION)
+        ),
+      }
+    );
+
+    // 4. Email the plain token
+    await sendMail({
+      to: user.email,
+      ...passwordResetEmail({
+        name: user.firstName || user.email,
+        url: `${PASSWORD_RESET_URL}?token=${token}`,
+        expiresIn: PASSWORD_RESET_EXPIRATION,
+      }),
+    });
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error("Forgot password error:", error.message || error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Reset the password with a token from the reset email
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password
+ *     description: >-
+ *       Sets a new password using the token sent by `/api/auth/forgot-password`.
+ *       The token can be used only once, and every session of the user is revoked.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The token from the reset link
+ *                 example: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: The new password
+ *                 example: 'newPassword123'
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 'Password reset successfully'
+ *       400:
+ *         description: Invalid or expired reset token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Invalid or expired reset token'
+ *       500:
+ *         description: Internal Server Error
+ */
+const resetPassword = async (req, res) => {
+  try {
+    // 1. Validate request body
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // 2. Find the user holding this non-expired token
+    const user = await User.findOne({
+      passwordResetToken: hashToken(value.token),
+      passwordResetExpires: { $gt: new Date() },
+    }).select("+passwordResetToken +passwordResetExpires");
+    if (!user) {
+      return res.status(400).json({ error: "Invalid or expired reset token" });
+    }
+
+    // 3. Set the new password (hashed on save) and consume the token
+    user.password = value.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // Redeeming an emailed token proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // 4. Sign the user out of every device
+    await TokenMetadata.updateMany(
+      { userId: user._id, isRevoked: false },
+      {
+        isRevoked: true,
+        revokedAt: new Date(),
+        revokedReason: "password_reset",
+      }
+    );
+
+    res
+      .status(200)
+      .json({ success: true, message: "Password reset successfully" });
+  } catch (error) {
+    console.error("Reset password error:", error.message || error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Confirm an email address with a token from the verification email
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     description: Confirms the email address of a self-registered user so they can log in.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The token from the verification link
+ *                 example: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 'Email verified successfully'
+ *       400:
+ *         description: Invalid or expired verification token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Invalid or expired verification token'
+ *       500:
+ *         description: Internal Server Error
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    // 1. Validate request body
+    const { error, value } = verifyEmailSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // 2. Mark the user holding this non-expired token as verified and consume the token
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: hashToken(value.token),
+        emailVerificationExpires: { $gt: new Date() },
+      },
+      {
+        $set: { emailVerified: true, emailVerifiedAt: new Date() },
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 },
+      }
+    );
+    if (!user) {
+      return res
+        .status(400)
+        .json({ error: "Invalid or expired verification token" });
+    }
+
+    res
+      .status(200)
+      .json({ success: true, message: "Email verified successfully" });
+  } catch (error) {
+    console.error("Email verification error:", error.message || error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Send a new verification email
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend the verification email
+ *     description: >-
+ *       Issues a new verification link for an unverified account. Previous links
+ *       stop working. The response is the same whether or not the account exists.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: 'john@example.com'
+ *     responses:
+ *       200:
+ *         description: Verification email sent if the account exists and is unverified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 'If the account needs verification, a new link has been sent'
+ *       400:
+ *         description: Invalid email
+ *       500:
+ *         description: Internal Server Error
+ */
+const resendVerification = async (req, res) => {
+  try {
+    // 1. Validate request body
+    const { error, value } = resendVerificationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const genericResponse = {
+      success: true,
+      message: "If the account needs verification, a new link has been sent",
+    };
+
+    // 2. Only unverified accounts get a new link
+    const user = await User.findOne({
+      email: value.email,
+      emailVerified: false,
+    });
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // 3. Replace the verification token and email it
+    const { token, hash } = generateToken();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        emailVerificationToken: hash,
+        emailVerificationExpires: new Date(
+          Date.now() + parseEnvTimeToMs(EMAIL_VERIFICATION_EXPIRATION)
+        ),
+      }
+    );
+    await sendVerificationEmail(user, token);
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error("Resend verification error:", error.message || error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Email the verification link for a plain verification token
+const sendVerificationEmail = (user, token) =>
+  sendMail({
+    to: user.email,
+    ...emailVerificationEmail({
+      name: user.firstName || user.email,
+      url: `${EMAIL_VERIFICATION_URL}?token=${token}`,
+      expiresIn: EMAIL_VERIFICATION_EXPIRATION,
+    }),
+  });
+
+// Create a TokenMetadata record for a new device session and sign its tokens.
+// The record ID is embedded in both tokens as `sid` and starts a new token family.
+const createDeviceSession = async (user, req, options = {}) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const tokenId = crypto.randomUUID();
+  const accessToken = generateAccessToken(user, sessionId);
+  const refreshToken = generateRefreshToken(user, sessionId, tokenId);
+  const hashedRefreshToken = await argon2.hash(refreshToken);
+
+  await TokenMetadata.create(
+    [
+      {
+        _id: sessionId,
+        userId: user._id,
+        refreshToken: hashedRefreshToken,
+        tokenId,
+        ipAddress: req.clientIp,
+        userAgent: req.headers["user-agent"],
+        lastUsedAt: new Date(),
+        expiresAt: new Date(
+          Date.now() + parseEnvTimeToMs(process.env.JWT_REFRESH_EXPIRATION)
+        ),
+      },
+    ],
+    options
+  );
+
+  return { accessToken, refreshToken };
+};
+
+// Revoke the token family of a refresh token presented after it was
+// rotated, and send the reuse error
+const rejectReusedToken = async (res, tokenMetadata) => {
+  await TokenMetadata.updateOne(
+    { _id: tokenMetadata._id, isRevoked: false },
+    {
+      $set: { isRevoked: true, revokedAt: new Date(), revokedReason: "reuse" },
+    }
+  );
+  console.warn(
+    `Refresh token reuse detected for user ${tokenMetadata.userId}, session ${tokenMetadata._id} revoked`
+  );
+  return res
+    .status(403)
+    .json({ error: "Refresh token reuse detected, please log in again" });
+};
+
+module.exports = {
+  register,
+  login,
+  profile,
+  refreshToken,
+  logout,
+  validate,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+};
@@ -0,0 +1,491 @@
+// controllers/blackoutDateController.js
+const mongoose = require("mongoose");
+const BlackoutDate = require("../models/blackoutDate");
+const Stake = require("../models/stake");
+const {
+  blackoutDateSchema,
+  blackoutDateUpdateSchema,
+} = require("../validators/blackoutDate");
+const { isStakeInScope } = require("../utils/scope");
+const {
+  countryPattern,
+  blackoutScopeFilter,
+  isCountryInScope,
+  rescheduleAffectedGroups,
+} = require("../utils/calendar");
+const {
+  parseListQuery,
+  paginate,
+  combineFilters,
+} = require("../utils/listQuery");
+const { blackoutDateListQuery } = require("../validators/listQuery");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Blackout Dates
+ *   description: Holidays, stake conferences and other days without sessions
+ */
+
+// Get all blackout dates
+/**
+ * @swagger
+ * /api/blackout-dates:
+ *   get:
+ *     summary: Get a list of blackout dates
+ *     description: >
+ *       Paginated list of blackout dates. Stake and country admins only see
+ *       those of their stakes and of their stakes' countries.
+ *     tags: [Blackout Dates]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: "startDate"
+ *         description: "Comma-separated sort fields, prefixed with - for descending order: startDate, name, createdAt"
+ *       - $ref: '#/components/parameters/FromParam'
+ *       - $ref: '#/components/parameters/ToParam'
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Only blackout dates of this country (case-insensitive)
+ *       - in: query
+ *         name: stakeId
+ *         schema:
+ *           type: string
+ *         description: Only blackout dates of this stake
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [country, stake]
+ *         description: Only country-level or stake-level blackout dates
+ *     responses:
+ *       200:
+ *         description: A list of blackout dates; `from` and `to` return those overlapping the range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Blackout dates found"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BlackoutDate'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Internal Server Error
+ */
+const getBlackoutDates = async (req, res) => {
+  try {
+    // Validate pagination, sorting and filters
+    const { error, list } = parseListQuery(req.query, blackoutDateListQuery);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const { country, level, startDate: range, ...match } = list.filter;
+    const levelField = level === "country" ? "country" : "stakeId";
+
+    // Blackouts overlapping the from/to range
+    const rangeFilter = {};
+    if (range?.$gte) rangeFilter.endDate = { $gte: range.$gte };
+    if (range?.$lt) rangeFilter.startDate = { $lt: range.$lt };
+    if (range?.$lte) rangeFilter.startDate = { $lte: range.$lte };
+
+    const { data, pagination } = await paginate(
+      BlackoutDate,
+      combineFilters(
+        await blackoutScopeFilter(req.scope),
+        country && { country: countryPattern(country) },
+        level && { [levelField]: { $exists: true } },
+        rangeFilter,
+        match
+      ),
+      list,
+      { populate: { path: "stakeId", select: "name location" } }
+    );
+
+    res.status(200).json({ message: "Blackout dates found", data, pagination });
+  } catch (error) {
+    console.error("Error fetching blackout dates:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
+// Get a blackout date by ID
+/**
+ * @swagger
+ * /api/blackout-dates/{id}:
+ *   get:
+ *     summary: Get a blackout date by ID
+ *     tags: [Blackout Dates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Blackout date ID
+ *     responses:
+ *       200:
+ *         description: The blackout date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Blackout date found"
+ *                 blackoutDate:
+ *                   $ref: '#/components/schemas/BlackoutDate'
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Blackout date not found
+ *       500:
+ *         description: Internal Server Error
+ */
+const getBlackoutDateById = async (req, res) => {
+  try {
+    // Validate the ID
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid ID format" });
+    }
+
+    // Find the blackout date within the caller's scope
+    const blackoutDate = await BlackoutDate.findOne({
+      _id: id,
+      ...(await blackoutScopeFilter(req.scope)),
+    }).populate("stakeId", "name location");
+    if (!blackoutDate) {
+      return res.status(404).json({ error: "Blackout date not found" });
+    }
+
+    res.status(200).json({ message: "Blackout date found", blackoutDate });
+  } catch (error) {
+    console.error("Error fetching blackout date:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
+// Create a blackout date
+/**
+ * @swagger
+ * /api/blackout-dates:
+ *   post:
+ *     summary: Create a blackout date
+ *     description: >
+ *       Adds a period without sessions to every stake of a country (admins
+ *       and country admins) or to one stake. Unless `reschedule` is false,
+ *       the remaining sessions of the groups that meet during it are moved
+ *       to the next days of their schedule.
+ *     tags: [Blackout Dates]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - startDate
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Stake conference"
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-03-15"
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day of the blackout; the start date by default
+ *                 example: "2025-03-16"
+ *               country:
+ *                 type: string
+ *                 description: Country of the blackout, as written in stake locations (or use stakeId)
+ *                 example: "Mexico"
+ *               stakeId:
+ *                 type: string
+ *                 format: ObjectId
+ *                 description: Stake of the blackout (or use country)
+ *                 example: "60d5f484f1a2c8b8f8e4b8c1"
+ *               reschedule:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Move the remaining sessions of the affected groups
+ *     responses:
+ *       201:
+ *         description: The blackout date, and the groups whose sessions were moved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Blackout date created successfully"
+ *                 blackoutDate:
+ *                   $ref: '#/components/schemas/BlackoutDate'
+ *                 rescheduled:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GroupReschedule'
+ *                 failed:
+ *                   type: array
+ *                   description: Groups that keep their dates, with the reason
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       groupId:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       error:
+ *                         type: string
+ *       400:
+ *         description: Invalid request body
+ *       403:
+ *         description: The country or stake is outside the caller's scope
+ *       404:
+ *         description: Stake not found
+ *       500:
+ *         description: Internal Server Error
+ */
+const createBlackoutDate = async (req, res) => {
+  try {
+    // 1. Validate the request body
+    const { value, error } = blackoutDateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const { reschedule, ...fields } = value;
+
+    // 2. The stake must exist
+    if (fields.stakeId && !(await Stake.exists({ _id: fields.stakeId }))) {
+      return res.status(404).json({ error: "Stake not found" });
+    }
+
+    // 3. Check the caller may manage the country or stake
+    if (!(await canManage(req, fields))) {
+      return res
+        .status(403)
+        .json({ error: "Blackout date is outside your scope" });
+    }
+
+    // 4. Create the blackout date
+    const blackoutDate = await BlackoutDate.create({
+      ...fields,
+      endDate: fields.endDate || fields.startDate,
+      createdBy: req.user._id,
+    });
+
+    // 5. Move the sessions that fall on it
+    const { rescheduled, failed } = reschedule
+      ? await rescheduleAffectedGroups(blackoutDate)
+      : { rescheduled: [], failed: [] };
+
+    res.status(201).json({
+      message: "Blackout date created successfully",
+      blackoutDate,
+      rescheduled,
+      failed,
+    });
+  } catch (error) {
+    console.error("Error creating blackout date:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
+// Update a blackout date
+/**
+ * @swagger
+ * /api/blackout-dates/{id}:
+ *   put:
+ *     summary: Update a blackout date
+ *     description: >
+ *       Changes the name or dates of a blackout date; its country or stake
+ *       cannot change. Unless `reschedule` is false, the remaining sessions
+ *       of the groups that meet during the new dates are moved.
+ *     tags: [Blackout Dates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Blackout date ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Stake conference"
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-03-22"
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-03-23"
+ *               reschedule:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: The updated blackout date, and the groups whose sessions were moved (see POST)
+ *       400:
+ *         description: Invalid ID format or request body
+ *       403:
+ *         description: The blackout date is outside the caller's scope
+ *       404:
+ *         description: Blackout date not found
+ *       500:
+ *         description: Internal Server Error
+ */
+const updateBlackoutDate = async (req, res) => {
+  try {
+    // 1. Validate the ID and the request body
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid ID format" });
+    }
+    const { value, error } = blackoutDateUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const { reschedule, ...fields } = value;
+
+    // 2. Find the blackout date and check the caller may manage it
+    const blackoutDate = await BlackoutDate.findOne({
+      _id: id,
+      ...(await blackoutScopeFilter(req.scope)),
+    });
+    if (!blackoutDate) {
+      return res.status(404).json({ error: "Blackout date not found" });
+    }
+    if (!(await canManage(req, blackoutDate))) {
+      return res
+        .status(403)
+        .json({ error: "Blackout date is outside your scope" });
+    }
+
+    // 3. Update it, keeping the end on or after the start
+    blackoutDate.set(fields);
+    if (blackoutDate.endDate < blackoutDate.startDate) {
+      return res
+        .status(400)
+        .json({ error: "End date must be on or after the start date" });
+    }
+    await blackoutDate.save();
+
+    // 4. Move the sessions that fall on its new dates
+    const { rescheduled, failed } =
+      reschedule && (fields.startDate || fields.endDate)
+        ? await rescheduleAffectedGroups(blackoutDate)
+        : { rescheduled: [], failed: [] };
+
+    res.status(200).json({
+      message: "Blackout date updated successfully",
+      blackoutDate,
+      rescheduled,
+      failed,
+    });
+  } catch (error) {
+    console.error("Error updating blackout date:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
+// Delete a blackout date
+/**
+ * @swagger
+ * /api/blackout-dates/{id}:
+ *   delete:
+ *     summary: Delete a blackout date
+ *     description: >
+ *       Sessions moved because of the blackout date keep their new dates;
+ *       reschedule a group to use the freed days again.
+ *     tags: [Blackout Dates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Blackout date ID
+ *     responses:
+ *       204:
+ *         description: Blackout date deleted
+ *       400:
+ *         description: Invalid ID format
+ *       403:
+ *         description: The blackout date is outside the caller's scope
+ *       404:
+ *         description: Blackout date not found
+ *       500:
+ *         description: Internal Server Error
+ */
+const deleteBlackoutDate = async (req, res) => {
+  try {
+    // Validate the ID
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid ID format" });
+    }
+
+    // Find the blackout date and check the caller may manage it
+    const blackoutDate = await BlackoutDate.findOne({
+      _id: id,
+      ...(await blackoutScopeFilter(req.scope)),
+    });
+    if (!blackoutDate) {
+      return res.status(404).json({ error: "Blackout date not found" });
+    }
+    if (!(await canManage(req, blackoutDate))) {
+      return res
+        .status(403)
+        .json({ error: "Blackout date is outside your scope" });
+    }
+
+    await blackoutDate.deleteOne();
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error deleting blackout date:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
+// Admins manage every blackout date, country admins those of their
+// countries and stakes, and stake admins those of their stake
+const canManage = async (req, { country, stakeId }) => {
+  if (stakeId) return isStakeInScope(req.scope, stakeId);
+  return req.user.type !== 12 && isCountryInScope(req.scope, country);
+};
+
+module.exports = {
+  getBlackoutDates,
+  getBlackoutDateById,
+  createBlackoutDate,
+  updateBlackoutDate,
+  deleteBlackoutDate,
+};
@@ -0,0 +1,413 @@
+// controllers/calendarController.js
+const mongoose = require("mongoose");
+const CalendarFeed = require("../models/calendarFeed");
+const Group = require("../models/group");
+const Instructor = require("../models/instructor");
+const Registration = require("../models/registration");
+const Student = require("../models/student");
+const User = require("../models/user");
+const { calendarFeedSchema } = require("../validators/calendarFeed");
+const { generateToken, hashToken } = require("../utils/tokens");
+const { canAccess } = require("../utils/policies");
+const { isWardInScope, userScope } = require("../utils/scope");
+const { enrolledFilter } = require("../utils/registrations");
+const { buildCalendar } = require("../utils/ical");
+const { fileSlug } = require("../utils/export");
+const dotenv = require("dotenv");
+dotenv.config();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Calendar
+ *   description: iCalendar feeds of group sessions
+ */
+
+// Create a calendar feed
+/**
+ * @swagger
+ * /api/calendar/feeds:
+ *   post:
+ *     summary: Create an iCalendar feed
+ *     description: >
+ *       Creates a subscription URL for calendar apps with the dated sessions
+ *       of a group, of the groups an instructor teaches or of the groups a
+ *       student is registered in. The URL contains a secret token and is only
+ *       returned here; anyone with it can read the feed until it is revoked.
+ *       Instructors and students get their own feed when instructorId or
+ *       studentId is left out.
+ *     tags: [Calendar]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [group, instructor, student]
+ *               groupId:
+ *                 type: string
+ *                 format: ObjectId
+ *                 description: The group of a group feed (required for that type)
+ *               instructorId:
+ *                 type: string
+ *                 format: ObjectId
+ *                 description: The instructor of an instructor feed (staff only)
+ *               studentId:
+ *                 type: string
+ *                 format: ObjectId
+ *                 description: The student of a student feed (staff only)
+ *     responses:
+ *       201:
+ *         description: The feed and its subscription URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Calendar feed created successfully
+ *                 feed:
+ *                   $ref: '#/components/schemas/CalendarFeed'
+ *                 url:
+ *                   type: string
+ *                   example: https://pwconnect-back.onrender.com/api/calendar/feeds/3f5e...9a.ics
+ *       400:
+ *         description: Invalid request body
+ *       403:
+ *         description: The caller cannot see the group, instructor or student
+ *       404:
+ *         description: Group, instructor or student not found
+ *       500:
+ *         description: Internal Server Error
+ */
+const createCalendarFeed = async (req, res) => {
+  try {
+    // 1. Validate the request body
+    const { value, error } = calendarFeedSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // 2. Resolve what the feed shows and check the caller can see it
+    const target = await resolveTarget(req, value);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
+    // 3. Create the feed; only the hash of its token is stored
+    const { token, hash } = generateToken();
+    const feed = await CalendarFeed.create({
+      userId: req.user._id,
+      type: value.type,
+      ...target.ids,
+      tokenHash: hash,
+    });
+
+    const baseUrl =
+      process.env.CALENDAR_FEED_URL ||
+      `${req.protocol}://${req.get("host")}/api/calendar/feeds`;
+    res.status(201).json({
+      message: "Calendar feed created successfully",
+      feed,
+      url: `${baseUrl}/${token}.ics`,
+    });
+  } catch (error) {
+    console.error("Error creating calendar feed:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
+// Get the caller's calendar feeds
+/**
+ * @swagger
+ * /api/calendar/feeds:
+ *   get:
+ *     summary: Get the caller's iCalendar feeds
+ *     description: Feeds created by the caller, newest first, including revoked ones. Their URLs cannot be shown again.
+ *     tags: [Calendar]
+ *     responses:
+ *       200:
+ *         description: The caller's feeds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Calendar feeds found
+ *                 feeds:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CalendarFeed'
+ *       500:
+ *         description: Internal Server Error
+ */
+const getCalendarFeeds = async (req, res) => {
+  try {
+    const feeds = await CalendarFeed.find({ userId: req.user._id }).sort({
+      createdAt: -1,
+    });
+    res.status(200).json({ message: "Calendar feeds found", feeds });
+  } catch (error) {
+    console.error("Error fetching calendar feeds:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
+// Revoke a calendar feed
+/**
+ * @swagger
+ * /api/calendar/feeds/{id}:
+ *   delete:
+ *     summary: Revoke an iCalendar feed
+ *     description: The feed URL stops working; the caller's sessions and other feeds are not affected. Admins can revoke any feed.
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Calendar feed ID
+ *     responses:
+ *       200:
+ *         description: The revoked feed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Calendar feed revoked successfully
+ *                 feed:
+ *                   $ref: '#/components/schemas/CalendarFeed'
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Calendar feed not found
+ *       500:
+ *         description: Internal Server Error
+ */
+const revokeCalendarFeed = async (req, res) => {
+  try {
+    // Validate the ID
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid ID format" });
+    }
+
+    // Only the creator of a feed (or an admin) can revoke it
+    const feed = await CalendarFeed.findOne({
+      _id: id,
+      ...(req.user.type !== 10 && { userId: req.user._id }),
+    });
+    if (!feed) {
+      return res.status(404).json({ error: "Calendar feed not found" });
+    }
+
+    if (!feed.revokedAt) {
+      feed.revokedAt = new Date();
+      await feed.save();
+    }
+    res
+      .status(200)
+      .json({ message: "Calendar feed revoked successfully", feed });
+  } catch (error) {
+    console.error("Error revoking calendar feed:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
+// Get the iCalendar file of a feed
+/**
+ * @swagger
+ * /api/calendar/feeds/{token}.ics:
+ *   get:
+ *     summary: Get the iCalendar file of a feed
+ *     description: >
+ *       Public URL for calendar apps, authenticated by the feed token instead
+ *       of a JWT. Each dated session is an event with the group's room and
+ *       the session's topic; sessions start at the schedule's start time in
+ *       its timezone, or are all-day events when the schedule has none.
+ *     tags: [Calendar]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Feed token
+ *     responses:
+ *       200:
+ *         description: The calendar
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or revoked feed, or its owner can no longer see what it shows
+ *       500:
+ *         description: Internal Server Error
+ */
+const getCalendarFeedFile = async (req, res) => {
+  try {
+    // 1. Find the feed of the token
+    const { token } = req.params;
+    const feed = /^[0-9a-f]{64}$/.test(token)
+      ? await CalendarFeed.findOne({
+          tokenHash: hashToken(token),
+          revokedAt: { $exists: false },
+        })
+      : null;
+    const owner = feed && (await User.findById(feed.userId).select("type"));
+    if (!owner) {
+      return res.status(404).json({ error: "Calendar feed not found" });
+    }
+
+    // 2. The owner must still be allowed to see what the feed shows, with
+    // their current role and scope
+    const viewer = {
+      user: { _id: owner._id, type: owner.type },
+      scope: await userScope(owner._id),
+    };
+    if (
+      viewer.scope === undefined ||
+      (await resolveTarget(viewer, feed)).error
+    ) {
+      return res.status(404).json({ error: "Calendar feed not found" });
+    }
+
+    // 3. Load the groups of the feed
+    const calendar = await feedCalendar(feed);
+    if (!calendar) {
+      return res.status(404).json({ error: "Calendar feed not found" });
+    }
+    await CalendarFeed.updateOne(
+      { _id: feed._id },
+      { $set: { lastUsedAt: new Date() } }
+    );
+
+    // 4. Send the calendar
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="${fileSlug(calendar.name)}.ics"`
+    );
+    res.status(200).send(buildCalendar(calendar.name, calendar.groups));
+  } catch (error) {
+    console.error("Error generating calendar feed:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
+// Whether a student (by their user) is enrolled in a group
+const isEnrolled = async (userId, groupId) => {
+  const student = await Student.findOne({ userId }).select("_id");
+  return (
+    !!student &&
+    !!(await Registration.exists({
+      studentId: student._id,
+      groupId,
+      ...enrolledFilter,
+    }))
+  );
+};
+
+// Ids of the group, instructor or student of a feed, after checking the
+// caller (or, for an existing feed, its owner) can see them. Returns { ids }
+// or { status, error }.
+const resolveTarget = async (req, { type, groupId, instructorId, studentId }) => {
+  const forbidden = {
+    status: 403,
+    error: "You cannot subscribe to this calendar",
+  };
+
+  if (type === "group") {
+    if (!(await Group.exists({ _id: groupId }))) {
+      return { status: 404, error: "Group not found" };
+    }
+    const allowed =
+      req.user.type === 1
+        ? await isEnrolled(req.user._id, groupId)
+        : await canAccess("group", req, groupId);
+    return allowed ? { ids: { groupId } } : forbidden;
+  }
+
+  if (type === "instructor") {
+    const instructor = instructorId
+      ? await Instructor.findById(instructorId)
+      : await Instructor.findOne({ userId: req.user._id });
+    if (!instructor) {
+      return { status: 404, error: "Instructor not found" };
+    }
+    const allowed =
+      String(instructor.userId) === String(req.user._id) ||
+      (req.user.type !== 1 &&
+        req.user.type !== 11 &&
+        isWardInScope(req.scope, instructor.wardId));
+    return allowed ? { ids: { instructorId: instructor._id } } : forbidden;
+  }
+
+  const student = studentId
+    ? await Student.findById(studentId).select("_id")
+    : await Student.findOne({ userId: req.user._id }).select("_id");
+  if (!student) {
+    return { status: 404, error: "Student not found" };
+  }
+  return (await canAccess("student", req, student._id))
+    ? { ids: { studentId: student._id } }
+    : forbidden;
+};
+
+// Name and groups of the calendar of a feed, or null when what it shows no
+// longer exists
+const feedCalendar = async (feed) => {
+  if (feed.type === "group") {
+    const group = await Group.findById(feed.groupId);
+    return group && { name: group.name, groups: [group] };
+  }
+
+  if (feed.type === "instructor") {
+    const instructor = await Instructor.findById(feed.instructorId).populate(
+      "userId",
+      "firstName lastName"
+    );
+    if (!instructor?.userId) return null;
+    const { firstName, lastName } = instructor.userId;
+    return {
+      name: `Classes of ${firstName} ${lastName}`,
+      groups: await Group.find({ instructorId: instructor._id }),
+    };
+  }
+
+  const student = await Student.findById(feed.studentId).populate(
+    "userId",
+    "firstName lastName"
+  );
+  if (!student?.userId) return null;
+  const groupIds = await Registration.find({
+    studentId: student._id,
+    ...enrolledFilter,
+  }).distinct("groupId");
+  const { firstName, lastName } = student.userId;
+  return {
+    name: `Classes of ${firstName} ${lastName}`,
+    groups: await Group.find({ _id: { $in: groupIds } }),
+  };
+};
+
+module.exports = {
+  createCalendarFeed,
+  getCalendarFeeds,
+  revokeCalendarFeed,
+  getCalendarFeedFile,
+};
@@ -3,8 +3,34 @@ const Group = require("../models/group");
 const mongoose = require("mongoose");
 const Instructor = require("../models/instructor");
 const Ward = require("../models/ward");
-const { groupSchema, groupUpdateSchema } = require("../validators/group");
+const {
+  groupSchema,
+  groupUpdateSchema,
+  groupRescheduleSchema,
+} = require("../validators/group");
 const { updateSessionSchema } = require("../validators/session");
+const { groupScopeFilter, isWardInScope } = require("../utils/scope");
+const { dayKey } = require("../utils/attendanceSessions");
+const { evaluateGroup } = require("../utils/completion");
+const { promoteWaitlist } = require("../utils/registrations");
+const Term = require("../models/term");
+const { isWithinTerm, outsideTermError } = require("../utils/terms");
+const { generateSessions } = require("../utils/groupSessions");
+const {
+  normalizeSchedule,
+  scheduleSessions,
+  isRecurring,
+  lastDay,
+  rescheduleSessions,
+} = require("../utils/schedule");
+const { wardBlackoutDays, rescheduleGroup } = require("../utils/calendar");
+const {
+  parseListQuery,
+  paginate,
+  combineFilters,
+  filteredWardIds,
+} = require("../utils/listQuery");
+const { groupListQuery } = require("../validators/listQuery");
 
 /**
  * @swagger
@@ -19,26 +45,73 @@ const { updateSessionSchema } = require("../validators/session");
  * /api/groups:
  *   get:
  *     summary: Get a list of Groups
+ *     description: Paginated list of the groups within the caller's scope.
  *     tags: [Groups]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: "name"
+ *         description: "Comma-separated sort fields, prefixed with - for descending order: createdAt, name"
+ *       - $ref: '#/components/parameters/FromParam'
+ *       - $ref: '#/components/parameters/ToParam'
+ *       - in: query
+ *         name: instructorId
+ *         schema:
+ *           type: string
+ *         description: Only groups taught by this instructor
+ *       - in: query
+ *         name: termId
+ *         schema:
+ *           type: string
+ *         description: Only groups of this term (see GET /api/terms/current)
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [EC1, EC2]
+ *         description: Only groups of this level
+ *       - in: query
+ *         name: wardId
+ *         schema:
+ *           type: string
+ *         description: Only groups of this ward
+ *       - in: query
+ *         name: stakeId
+ *         schema:
+ *           type: string
+ *         description: Only groups of the wards of this stake
  *     responses:
  *       200:
  *         description: A list of Groups
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Group'
- *       204:
- *         description: No Groups found
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Groups retrieved successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Group'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 message:
+ *                 error:
  *                   type: string
- *                   example: No Groups found
+ *                   example: "Invalid Ward ID format"
  *       500:
  *         description: Internal Server Error
  *         content:
@@ -52,16 +125,27 @@ const { updateSessionSchema } = require("../validators/session");
  */
 const getGroups = async (req, res) => {
   try {
-    // Fetch all groups
-    const groups = await Group.find();
-
-    // Check if groups exist
-    if (groups.length === 0) {
-      return res.status(204).send(); // No Content
+    // Validate pagination, sorting and filters
+    const { error, list } = parseListQuery(req.query, groupListQuery);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
     }
+    const { wardId, stakeId, ...match } = list.filter;
+    const wardFilter =
+      wardId || stakeId
+        ? { wardId: { $in: await filteredWardIds({ wardId, stakeId }) } }
+        : {};
 
-    // Populate the instructorId and wardId fields
-    res.status(200).json({ groups });
+    // Fetch a page of the groups within the caller's scope
+    const { data, pagination } = await paginate(
+      Group,
+      combineFilters(groupScopeFilter(req.scope), wardFilter, match),
+      list
+    );
+
+    res
+      .status(200)
+      .json({ message: "Groups retrieved successfully", data, pagination });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -121,7 +205,10 @@ const getGroupById = async (req, res) => {
 
     // Fetch the group by ID
     // Populate the instructorId and wardId fields
-    const group = await Group.findById(id)
+    const group = await Group.findOne({
+      _id: id,
+      ...groupScopeFilter(req.scope),
+    })
       .populate({
         path: "wardId",
         populate: {
@@ -166,7 +253,6 @@ const getGroupById = async (req, res) => {
  *               - name
  *               - wardId
  *               - start_date
- *               - end_date
  *               - schedule
  *               - room
  *               - instructorId
@@ -188,16 +274,34 @@ const getGroupById = async (req, res) => {
  *               end_date:
  *                 type: string
  *                 format: date-time
- *                 description: The end date of the Group
+ *                 description: The end date of the Group. Defaults to the date of the last session when the schedule has weekdays, and cannot be earlier than it; required otherwise
  *                 example: "2023-12-31"
- *               schedule:
+ *               termId:
+ *                 type: string
+ *                 format: ObjectId
+ *                 description: The academic term of the Group; its start and end dates must fall inside the term
+ *                 example: "60d5f484f1a2c8b8f8e4b8c9"
+ *               level:
  *                 type: string
- *                 description: The schedule of the Group
- *                 example: "Monday and Wednesday 10-12"
+ *                 enum: [EC1, EC2]
+ *                 description: The course level taught in the Group
+ *                 example: "EC1"
+ *               schedule:
+ *                 description: The weekly schedule of the Group. The 25 sessions are dated from the start date on its weekdays, skipping blackout dates. Free text such as "Monday and Wednesday 10-12" is still accepted and read as far as possible
+ *                 oneOf:
+ *                   - $ref: '#/components/schemas/GroupSchedule'
+ *                   - type: string
+ *                     example: "Monday and Wednesday 10-12"
  *               room:
  *                 type: string
  *                 description: The room where the Group meets
  *                 example: "Room 101"
+ *               capacity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Maximum number of enrolled students; further registrations go to the waitlist
+ *                 example: 20
  *               instructorId:
  *                 type: string
  *                 format: ObjectId
@@ -210,6 +314,18 @@ const getGroupById = async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Group'
+ *       400:
+ *         description: Invalid request body, or the sessions cannot be scheduled before the end date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: The 25 sessions run until 2023-12-20, after the end date 2023-12-15
+ *       403:
+ *         description: Ward is outside the caller's scope
  *       500:
  *         description: Internal Server Error
  *         content:
@@ -250,12 +366,48 @@ const createGroup = async (req, res) => {
       return res.status(404).json({ error: "Ward not found" });
     }
 
+    // Scoped admins can only create groups in their own wards
+    if (!isWardInScope(req.scope, wardId)) {
+      return res.status(403).json({ error: "Ward is outside your scope" });
+    }
+
+    // Date the sessions from the schedule, around the blackout dates of the
+    // ward; the group ends with its last session unless a later end date
+    // is given
+    const schedule = normalizeSchedule(value.schedule);
+    const {
+      dates,
+      endDate,
+      error: scheduleError,
+    } = scheduleSessions(
+      schedule,
+      value.start_date,
+      value.end_date,
+      await wardBlackoutDays(wardId)
+    );
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    // The group must run inside its term
+    if (value.termId) {
+      const term = await Term.findById(value.termId);
+      if (!term) {
+        return res.status(404).json({ error: "Term not found" });
+      }
+      if (!isWithinTerm(term, value.start_date, endDate)) {
+        return res.status(400).json({ error: outsideTermError(term) });
+      }
+    }
+
     // Generate sessions
-    const sessions = generateSessions();
+    const sessions = generateSessions([], dates);
 
     // Create the group
     const newGroup = await Group.create({
       ...value,
+      schedule,
+      end_date: endDate,
       sessions,
     });
 
@@ -331,6 +483,9 @@ const getGroupsByWard = async (req, res) => {
     }
 
     // Fetch groups by Ward ID
+    if (!isWardInScope(req.scope, wardId)) {
+      return res.status(404).json({ message: "Ward not found" });
+    }
     const groups = await Group.find({ wardId: wardId });
 
     // Check if groups exist
@@ -387,14 +542,32 @@ const getGroupsByWard = async (req, res) => {
  *                 format: date-time
  *                 description: The end date of the Group
  *                 example: "2023-12-31"
- *               schedule:
+ *               termId:
+ *                 type: string
+ *                 format: ObjectId
+ *                 description: The academic term of the Group; its start and end dates must fall inside the term
+ *                 example: "60d5f484f1a2c8b8f8e4b8c9"
+ *               level:
  *                 type: string
- *                 description: The schedule of the Group
- *                 example: "Monday and Wednesday 10-12"
+ *                 enum: [EC1, EC2]
+ *                 description: The course level taught in the Group
+ *                 example: "EC1"
+ *               schedule:
+ *                 description: The weekly schedule of the Group. A new schedule (or start date) dates the uncompleted sessions again, skipping the blackout dates, and moves the end date to the last session unless a later one is given
+ *                 oneOf:
+ *                   - $ref: '#/components/schemas/GroupSchedule'
+ *                   - type: string
+ *                     example: "Monday and Wednesday 10-12"
  *               room:
  *                 type: string
  *                 description: The room where the Group meets
  *                 example: "Room 101"
+ *               capacity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Maximum number of enrolled students; further registrations go to the waitlist
+ *                 example: 20
  *               instructorId:
  *                 type: string
  *                 format: ObjectId
@@ -409,7 +582,7 @@ const getGroupsByWard = async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Group'
  *       400:
- *         description: Invalid request body or Group name already exists.
+ *         description: Invalid request body, Group name already exists, or the sessions cannot be dated before the end date.
  *         content:
  *           application/json:
  *             schema:
@@ -418,6 +591,8 @@ const getGroupsByWard = async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: Invalid request body or Group name already exists
+ *       403:
+ *         description: Ward is outside the caller's scope.
  *       404:
  *         description: Group not found.
  *         content:
@@ -453,30 +628,114 @@ const updateGroup = async (req, res) => {
     if (error) {
       return res.status(400).json({ error: error.details[0].message });
     }
+    if (value.schedule) {
+      value.schedule = normalizeSchedule(value.schedule);
+    }
 
-    // Check if the instructor exists
-    const instructor = await Instructor.findById(value.instructorId);
-    if (!instructor) {
-      return res.status(404).json({ error: "Instructor not found" });
+    // Find the group; scoped admins can only update groups of their wards,
+    // and only move them to wards within their scope
+    const current = await Group.findById(id);
+    if (!current) {
+      return res.status(404).send();
+    }
+    if (
+      !isWardInScope(req.scope, current.wardId) ||
+      (value.wardId && !isWardInScope(req.scope, value.wardId))
+    ) {
+      return res.status(403).json({ error: "Ward is outside your scope" });
     }
 
-    // Check if the ward exists
-    const ward = await Ward.findById(value.wardId);
-    if (!ward) {
-      return res.status(404).json({ error: "Ward not found" });
+    // Check if the new instructor exists
+    if (value.instructorId) {
+      const instructor = await Instructor.findById(value.instructorId);
+      if (!instructor) {
+        return res.status(404).json({ error: "Instructor not found" });
+      }
     }
 
-    // Check the name uniqueness
-    const existingGroup = await Group.findOne({ name: value.name });
-    if (existingGroup) {
-      return res.status(400).json({ error: "Group name already exists" });
+    // Check if the new ward exists
+    if (value.wardId) {
+      const ward = await Ward.findById(value.wardId);
+      if (!ward) {
+        return res.status(404).json({ error: "Ward not found" });
+      }
+    }
+
+    // Check the name uniqueness among the other groups
+    if (value.name) {
+      const existingGroup = await Group.findOne({
+        name: value.name,
+        _id: { $ne: id },
+      });
+      if (existingGroup) {
+        return res.status(400).json({ error: "Group name already exists" });
+      }
+    }
+
+    // A new schedule or start date dates the uncompleted sessions again,
+    // around the blackout dates of the ward; the end date must still come
+    // after the last session
+    if (value.schedule || value.start_date) {
+      const schedule = value.schedule || current.schedule;
+      const plan = rescheduleSessions(
+        current.sessions,
+        schedule,
+        value.start_date || current.start_date,
+        value.end_date || (!isRecurring(schedule) && current.end_date),
+        await wardBlackoutDays(value.wardId || current.wardId)
+      );
+      if (plan.error) {
+        return res.status(400).json({ error: plan.error });
+      }
+      value.sessions = current.sessions.map((session) => {
+        const change = plan.dates.find((d) => d.number === session.number);
+        return {
+          ...session.toObject(),
+          date: change ? change.date : session.date,
+        };
+      });
+      value.end_date = plan.endDate;
+    } else if (value.end_date) {
+      const last = lastDay(
+        current.sessions.filter((s) => s.date).map((s) => s.date)
+      );
+      if (last && dayKey(value.end_date) < dayKey(last)) {
+        return res.status(400).json({
+          error:
+            `The sessions run until ${dayKey(last)}, ` +
+            `after the end date ${dayKey(value.end_date)}`,
+        });
+      }
+    }
+
+    // The group must keep running inside its term
+    const termId = value.termId !== undefined ? value.termId : current.termId;
+    if (termId) {
+      const term = await Term.findById(termId);
+      if (!term) {
+        return res.status(404).json({ error: "Term not found" });
+      }
+      const startDate = value.start_date || current.start_date;
+      const endDate = value.end_date || current.end_date;
+      if (!isWithinTerm(term, startDate, endDate)) {
+        return res.status(400).json({ error: outsideTermError(term) });
+      }
     }
 
     // Check if the group exists and update it
-    const group = await Group.findByIdAndUpdate(id, value, { new: true }); // Populates stake and ward
+    const group = await Group.findOneAndUpdate(
+      { _id: id, ...groupScopeFilter(req.scope) },
+      value,
+      { new: true }
+    ); // Populates stake and ward
     if (!group) {
       return res.status(404).send();
     }
+
+    // A larger capacity (or none) gives seats to the waitlist
+    if (value.capacity !== undefined) {
+      await promoteWaitlist(group, { changedBy: req.user._id });
+    }
     res.status(200).json({ message: "Group updated successfully", group });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -550,7 +809,10 @@ const deleteGroup = async (req, res) => {
     }
 
     // Check if the group exists and delete it
-    const group = await Group.findByIdAndDelete(id);
+    const group = await Group.findOneAndDelete({
+      _id: id,
+      ...groupScopeFilter(req.scope),
+    });
     if (!group) {
       return res.status(404).send();
     }
@@ -666,7 +928,10 @@ const updateSession = async (req, res) => {
   }
 
   try {
-    const group = await Group.findById(groupId);
+    const group = await Group.findOne({
+      _id: groupId,
+      ...groupScopeFilter(req.scope),
+    });
     if (!group) return res.status(404).json({ error: "Group not found" });
 
     const session = group.sessions.find(
@@ -677,6 +942,13 @@ const updateSession = async (req, res) => {
     Object.assign(session, value); // merge changes
     await group.save();
 
+    // Completing a session (e.g. the final one) may complete the course
+    if (session.completed) {
+      await evaluateGroup(group._id).catch((err) =>
+        console.error("Error evaluating completion:", err)
+      );
+    }
+
     res.status(200).json(session);
   } catch (err) {
     res.status(500).json({ error: "Failed to update session" });
@@ -752,7 +1024,10 @@ const getGroupSessions = async (req, res) => {
     }
 
     // Find the group by ID
-    const group = await Group.findById(req.params.groupId);
+    const group = await Group.findOne({
+      _id: groupId,
+      ...groupScopeFilter(req.scope),
+    });
     if (!group) return res.status(404).json({ error: "Group not found" });
 
     res
@@ -763,21 +1038,97 @@ const getGroupSessions = async (req, res) => {
   }
 };
 
-const generateSessions = () => {
-  const sessions = [];
-  const sessionCount = 25;
-
-  for (let i = 0; i < sessionCount; i++) {
-    sessions.push({
-      number: i + 1,
-      date: null,
-      completed: false,
-      topic: "",
-      notes: "",
+/**
+ * @swagger
+ * /api/groups/sessions/{groupId}/reschedule:
+ *   post:
+ *     summary: Reschedule the remaining sessions of a Group
+ *     description: >
+ *       Moves the sessions that are not completed and not dated before today
+ *       to the next days of the Group's schedule that are not blackout dates
+ *       of its stake or country. Sessions already held keep their dates, and
+ *       the end date is moved when the last session falls after it. Groups
+ *       with a free-text schedule keep the weekdays of their dated sessions.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Group ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Only return the new dates, without saving them
+ *     responses:
+ *       200:
+ *         description: The sessions that were (or would be) moved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GroupReschedule'
+ *       400:
+ *         description: Invalid Group ID format or request body
+ *       404:
+ *         description: Group not found
+ *       409:
+ *         description: The sessions cannot be rescheduled (no weekdays, or the group would end after its term)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Group dates must fall within the term Fall 2024 (2024-09-01 to 2024-12-20)
+ *       500:
+ *         description: Internal Server Error
+ */
+const rescheduleGroupSessions = async (req, res) => {
+  try {
+    // 1. Validate the Group ID and the request body
+    const { groupId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({ error: "Invalid Group ID format" });
+    }
+    const { value, error } = groupRescheduleSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // 2. Find the group within the caller's scope
+    const group = await Group.findOne({
+      _id: groupId,
+      ...groupScopeFilter(req.scope),
     });
-  }
+    if (!group) return res.status(404).json({ error: "Group not found" });
+
+    // 3. Move the remaining sessions around the blackout dates
+    const result = await rescheduleGroup(group, { dryRun: value.dryRun });
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
 
-  return sessions;
+    res.status(200).json({
+      message: value.dryRun
+        ? "Reschedule preview"
+        : `${result.changes.length} session(s) rescheduled`,
+      dryRun: value.dryRun,
+      changes: result.changes,
+      endDate: result.endDate,
+    });
+  } catch (error) {
+    console.error("Error rescheduling sessions:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
 };
 
 module.exports = {
@@ -789,4 +1140,5 @@ module.exports = {
   getGroupsByWard,
   updateSession,
   getGroupSessions,
+  rescheduleGroupSessions,
 };
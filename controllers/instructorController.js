@@ -1,12 +1,15 @@
 // controllers/instructorController.js
 const Instructor = require("../models/instructor");
 const User = require("../models/user");
+const Group = require("../models/group");
+const Registration = require("../models/registration");
 const mongoose = require("mongoose");
 const {
   instructorSchema,
   partialInstructorSchema,
 } = require("../validators/instructor");
 const { uploadToS3, deleteFromS3 } = require("../utils/upload");
+const { enrolledFilter } = require("../utils/registrations");
 const dotenv = require("dotenv");
 dotenv.config();
 const DEFAULT_AVATAR_URL = process.env.DEFAULT_AVATAR_URL;
@@ -954,12 +957,96 @@ const deleteInstructor = async (req, res) => {
   }
 };
 
+// Get the groups taught by the authenticated instructor
+/**
+ * @swagger
+ * /api/instructors/me/groups:
+ *   get:
+ *     summary: Get the groups taught by the authenticated instructor
+ *     description: >-
+ *       Returns every group whose instructorId is the caller's instructor
+ *       record, with the ward and the number of registered students.
+ *     tags: [Instructors]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Groups found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Groups found"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Group'
+ *                       - type: object
+ *                         properties:
+ *                           studentCount:
+ *                             type: integer
+ *                             example: 12
+ *       404:
+ *         description: Instructor profile not found
+ *       500:
+ *         description: Internal Server Error
+ */
+const getMyGroups = async (req, res) => {
+  try {
+    // 1. Find the instructor record of the authenticated user
+    const instructor = await Instructor.findOne({ userId: req.user._id });
+    if (!instructor) {
+      return res.status(404).json({ error: "Instructor profile not found" });
+    }
+
+    // 2. Find the groups taught by the instructor
+    const groups = await Group.find({ instructorId: instructor._id })
+      .populate({
+        path: "wardId",
+        populate: {
+          path: "stakeId",
+        },
+      })
+      .sort({ start_date: -1 })
+      .lean();
+
+    // 3. Count enrolled students per group
+    const counts = await Registration.aggregate([
+      {
+        $match: {
+          groupId: { $in: groups.map((g) => g._id) },
+          ...enrolledFilter,
+        },
+      },
+      { $group: { _id: "$groupId", count: { $sum: 1 } } },
+    ]);
+    const countByGroup = new Map(counts.map((c) => [String(c._id), c.count]));
+
+    const data = groups.map((group) => ({
+      ...group,
+      studentCount: countByGroup.get(String(group._id)) || 0,
+    }));
+
+    res.status(200).json({ message: "Groups found", data });
+  } catch (error) {
+    console.error("Error fetching instructor groups:", error);
+    res
+      .status(500)
+      .json({ error: "Internal Server Error", details: error.message });
+  }
+};
+
 // function to upload avatar to S3
 /**
  * @swagger
  * /api/instructors/upload/{id}:
  *   put:
  *     summary: Upload an avatar
+ *     description: Instructors can only replace their own avatar.
  *     tags: [Instructors]
  *     parameters:
  *       - in: path
@@ -1015,6 +1102,8 @@ const deleteInstructor = async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Invalid file type or size"
+ *       403:
+ *         description: The instructor is not the caller
  *       404:
  *         description: Instructor not found
  *         content:
@@ -1161,4 +1250,5 @@ module.exports = {
   updateInstructor,
   deleteInstructor,
   uploadAvatar,
+  getMyGroups,
 };
@@ -0,0 +1,410 @@
+// controllers/invitationController.js
+const Invitation = require("../models/invitation");
+const User = require("../models/user");
+const Instructor = require("../models/instructor");
+const Ward = require("../models/ward");
+const mongoose = require("mongoose");
+const {
+  invitationSchema,
+  acceptInvitationSchema,
+} = require("../validators/invitation");
+const {
+  generateInvitationToken,
+  verifyInvitationToken,
+} = require("../config/jwt");
+const { parseEnvTimeToMs } = require("../utils/timeParser");
+const { sendMail } = require("../utils/mail");
+const { invitationEmail } = require("../utils/mail/templates");
+const dotenv = require("dotenv");
+dotenv.config();
+const DEFAULT_AVATAR_URL = process.env.DEFAULT_AVATAR_URL;
+const INVITATION_EXPIRATION = process.env.INVITATION_EXPIRATION || "7d";
+const INVITATION_URL =
+  process.env.INVITATION_URL ||
+  `${process.env.FRONTEND_PROD_URL}/accept-invitation`;
+
+const ROLE_NAMES = {
+  10: "an administrator",
+  11: "an instructor",
+  12: "a stake administrator",
+  13: "a country administrator",
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invitations
+ *   description: Invitations for admin and instructor accounts
+ */
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   post:
+ *     summary: Invite an admin or instructor
+ *     description: >-
+ *       Emails a signed, expiring invitation link for the given role and ward.
+ *       Any pending invitation for the same email is revoked.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - type
+ *               - wardId
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: 'jane@example.com'
+ *               type:
+ *                 type: number
+ *                 enum: [10, 11, 12, 13]
+ *                 description: >-
+ *                   The account type to grant (10 = Admin, 11 = Instructor,
+ *                   12 = Stake Admin, 13 = Country Admin)
+ *                 example: 11
+ *               wardId:
+ *                 type: string
+ *                 example: '507f1f77bcf86cd799439012'
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: 'Invitation sent successfully'
+ *                 data:
+ *                   $ref: '#/components/schemas/Invitation'
+ *       400:
+ *         description: Validation error or email already registered
+ *       404:
+ *         description: Ward not found
+ *       500:
+ *         description: Internal server error
+ */
+const createInvitation = async (req, res) => {
+  try {
+    // 1. Validate request body
+    const { error, value } = invitationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // 2. The email must not belong to an existing account
+    const existingUser = await User.findOne({ email: value.email });
+    if (existingUser) {
+      return res.status(400).json({ error: "Email already registered" });
+    }
+
+    // 3. Check if the ward exists
+    const ward = await Ward.findById(value.wardId);
+    if (!ward) {
+      return res.status(404).json({ error: "Ward not found" });
+    }
+
+    // 4. Only the latest invitation for an email can be redeemed
+    await Invitation.updateMany(
+      { email: value.email, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    // 5. Create the invitation and email the signed link
+    const invitation = await Invitation.create({
+      ...value,
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + parseEnvTimeToMs(INVITATION_EXPIRATION)),
+    });
+    const token = generateInvitationToken(invitation);
+
+    await sendMail({
+      to: invitation.email,
+      ...invitationEmail({
+        role: ROLE_NAMES[invitation.type],
+        url: `${INVITATION_URL}?token=${token}`,
+        expiresIn: INVITATION_EXPIRATION,
+      }),
+    });
+
+    res
+      .status(201)
+      .json({ message: "Invitation sent successfully", data: invitation });
+  } catch (error) {
+    console.error("Error creating invitation:", error.message || error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   get:
+ *     summary: Get all invitations
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         description: Only return invitations in this state
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: 'Invitations retrieved successfully'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invitation'
+ *       500:
+ *         description: Internal server error
+ */
+const getInvitations = async (req, res) => {
+  try {
+    const now = new Date();
+    const filters = {
+      pending: { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+      accepted: { acceptedAt: { $ne: null } },
+      revoked: { revokedAt: { $ne: null } },
+      expired: { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } },
+    };
+    const filter = filters[req.query.status] || {};
+
+    const invitations = await Invitation.find(filter)
+      .populate("wardId", "name")
+      .populate("invitedBy", "firstName lastName email")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      message: "Invitations retrieved successfully",
+      data: invitations,
+    });
+  } catch (error) {
+    console.error("Error fetching invitations:", error.message || error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/invitations/{id}:
+ *   delete:
+ *     summary: Revoke an invitation
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *       400:
+ *         description: Invalid ID format or invitation already accepted
+ *       404:
+ *         description: Invitation not found
+ *       500:
+ *         description: Internal server error
+ */
+const revokeInvitation = async (req, res) => {
+  try {
+    // Validate ID format
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid ID format" });
+    }
+
+    const invitation = await Invitation.findById(id);
+    if (!invitation) {
+      return res.status(404).json({ error: "Invitation not found" });
+    }
+    if (invitation.acceptedAt) {
+      return res
+        .status(400)
+        .json({ error: "Invitation has already been accepted" });
+    }
+
+    invitation.revokedAt = invitation.revokedAt || new Date();
+    await invitation.save();
+
+    res
+      .status(200)
+      .json({ message: "Invitation revoked successfully", data: invitation });
+  } catch (error) {
+    console.error("Error revoking invitation:", error.message || error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/accept-invitation:
+ *   post:
+ *     summary: Accept an invitation
+ *     description: >-
+ *       Redeems an invitation token, creating the admin or instructor account
+ *       with the chosen password. The email address is considered verified.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The token from the invitation link
+ *                 example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 example: 'password123'
+ *               firstName:
+ *                 type: string
+ *                 example: 'Jane'
+ *               lastName:
+ *                 type: string
+ *                 example: 'Doe'
+ *               phone:
+ *                 type: string
+ *                 example: '123-456-7890'
+ *     responses:
+ *       201:
+ *         description: Account created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 'Account created successfully'
+ *       400:
+ *         description: Invalid, expired or already used invitation
+ *       500:
+ *         description: Internal server error
+ */
+const acceptInvitation = async (req, res) => {
+  let session;
+
+  try {
+    // 1. Validate request body
+    const { error, value } = acceptInvitationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // 2. Verify the signature and expiration of the token
+    let decoded;
+    try {
+      decoded = verifyInvitationToken(value.token);
+    } catch (err) {
+      return res.status(400).json({ error: "Invalid or expired invitation" });
+    }
+
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    // 3. The invitation must still be pending
+    const invitation = await Invitation.findById(decoded.invitationId).session(
+      session
+    );
+    if (!invitation || !invitation.isPending()) {
+      await session.abortTransaction();
+      return res.status(400).json({ error: "Invalid or expired invitation" });
+    }
+
+    const existingUser = await User.findOne({
+      email: invitation.email,
+    }).session(session);
+    if (existingUser) {
+      await session.abortTransaction();
+      return res.status(400).json({ error: "Email already registered" });
+    }
+
+    // 4. Create the user with the role and ward from the invitation
+    const [user] = await User.create(
+      [
+        {
+          firstName: value.firstName,
+          lastName: value.lastName,
+          phone: value.phone,
+          email: invitation.email,
+          password: value.password,
+          type: invitation.type,
+          wardId: invitation.wardId,
+          avatar: DEFAULT_AVATAR_URL,
+          emailVerified: true, // The invitation was delivered to this address
+          emailVerifiedAt: new Date(),
+        },
+      ],
+      { session }
+    );
+
+    // 5. Instructors also need an instructor profile
+    if (invitation.type === 11) {
+      await Instructor.create(
+        [{ userId: user._id, wardId: invitation.wardId }],
+        { session }
+      );
+    }
+
+    // 6. Consume the invitation
+    invitation.acceptedAt = new Date();
+    await invitation.save({ session });
+
+    await session.commitTransaction();
+
+    res
+      .status(201)
+      .json({ success: true, message: "Account created successfully" });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error("Error accepting invitation:", error.message || error);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    if (session) {
+      session.endSession();
+    }
+  }
+};
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  acceptInvitation,
+};
@@ -7,8 +7,34 @@ const mongoose = require("mongoose");
 const {
   registrationSchema,
   registrationUpdateSchema,
+  registrationStatusSchema,
+  registrationTransferSchema,
   idValidationSchema,
 } = require("../validators/registration");
+const {
+  groupScopeFilter,
+  studentScopeFilter,
+  registrationScopeFilter,
+} = require("../utils/scope");
+const {
+  parseListQuery,
+  paginate,
+  combineFilters,
+  filteredWardIds,
+  termGroupFilter,
+} = require("../utils/listQuery");
+const { registrationListQuery } = require("../validators/listQuery");
+const { exportQuerySchema } = require("../validators/export");
+const { sendExport, mapRows, fileSlug } = require("../utils/export");
+const {
+  enrolledFilter,
+  setStatus,
+  freeSeats,
+  waitlistPosition,
+  promoteWaitlist,
+  isSeatConflict,
+} = require("../utils/registrations");
+const { evaluateRegistration } = require("../utils/completion");
 
 /**
  * @swagger
@@ -22,18 +48,77 @@ const {
  * /api/registrations:
  *  get:
  *   summary: Retrieve a list of registrations
+ *   description: >-
+ *     Paginated list of the registrations within the caller's scope. The date
+ *     range applies to the registration date.
  *   tags: [Registration]
+ *   parameters:
+ *     - $ref: '#/components/parameters/PageParam'
+ *     - $ref: '#/components/parameters/LimitParam'
+ *     - $ref: '#/components/parameters/CursorParam'
+ *     - in: query
+ *       name: sort
+ *       schema:
+ *         type: string
+ *         default: "-date"
+ *       description: "Comma-separated sort fields, prefixed with - for descending order: date, createdAt, completedAt, statusChangedAt"
+ *     - $ref: '#/components/parameters/FromParam'
+ *     - $ref: '#/components/parameters/ToParam'
+ *     - in: query
+ *       name: groupId
+ *       schema:
+ *         type: string
+ *       description: Only registrations in this group
+ *     - in: query
+ *       name: studentId
+ *       schema:
+ *         type: string
+ *       description: Only registrations of this student
+ *     - in: query
+ *       name: status
+ *       schema:
+ *         type: string
+ *         enum: [pending, active, withdrawn, transferred, completed]
+ *       description: Filter by status (pending registrations are the waitlist)
+ *     - in: query
+ *       name: termId
+ *       schema:
+ *         type: string
+ *       description: Only registrations in groups of this term
+ *     - in: query
+ *       name: completed
+ *       schema:
+ *         type: boolean
+ *       description: Filter by course completion
+ *     - in: query
+ *       name: wardId
+ *       schema:
+ *         type: string
+ *       description: Only registrations in groups of this ward
+ *     - in: query
+ *       name: stakeId
+ *       schema:
+ *         type: string
+ *       description: Only registrations in groups of the wards of this stake
  *   responses:
  *     200:
  *       description: A list of registrations
  *       content:
  *         application/json:
  *           schema:
- *             type: array
- *             items:
- *               $ref: '#/components/schemas/Registration'
- *     404:
- *       description: No registrations found
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 example: Registrations retrieved successfully
+ *               data:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Registration'
+ *               pagination:
+ *                 $ref: '#/components/schemas/Pagination'
+ *     400:
+ *       description: Invalid query parameters
  *       content:
  *         application/json:
  *           schema:
@@ -41,7 +126,7 @@ const {
  *             properties:
  *               message:
  *                 type: string
- *                 example: No registrations found
+ *                 example: "Invalid Group ID format"
  *     500:
  *       description: An error occurred
  *       content:
@@ -56,16 +141,38 @@ const {
 // Get all registrations
 exports.getRegistrations = async (req, res) => {
   try {
-    // Find all registrations
-    const registrations = await Registration.find();
-
-    // Check if any registrations were found
-    if (registrations.length === 0) {
-      return res.status(404).json({ message: "No registrations found" });
+    // Validate pagination, sorting and filters
+    const { error, list } = parseListQuery(req.query, registrationListQuery);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    const { wardId, stakeId, termId, ...match } = list.filter;
+    let wardFilter = {};
+    if (wardId || stakeId) {
+      const wardIds = await filteredWardIds({ wardId, stakeId });
+      const groupIds = await Group.find({ wardId: { $in: wardIds } }).distinct(
+        "_id"
+      );
+      wardFilter = { groupId: { $in: groupIds } };
     }
 
-    // Populate the student and group fields
-    res.status(200).json(registrations);
+    // Find a page of the registrations within the caller's scope
+    const { data, pagination } = await paginate(
+      Registration,
+      combineFilters(
+        await registrationScopeFilter(req.scope),
+        wardFilter,
+        await termGroupFilter(termId),
+        match
+      ),
+      list
+    );
+
+    res.status(200).json({
+      message: "Registrations retrieved successfully",
+      data,
+      pagination,
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: error.message });
@@ -124,8 +231,11 @@ exports.getRegistrationById = async (req, res) => {
       return res.status(400).send({ error: "Invalid ID format" });
     }
 
-    // Find the registration by ID
-    const registration = await Registration.findById(id);
+    // Find the registration by ID within the caller's scope
+    const registration = await Registration.findOne({
+      _id: id,
+      ...(await registrationScopeFilter(req.scope)),
+    });
     if (!registration) {
       return res.status(404).json({ message: "Registration not found" });
     }
@@ -140,6 +250,10 @@ exports.getRegistrationById = async (req, res) => {
  * /api/registrations/group/{groupId}/students:
  *   get:
  *     summary: Get all students registered in a group
+ *     description: >-
+ *       Students enrolled in the group (active or completed registrations).
+ *       Waitlisted, withdrawn and transferred students are left out; list
+ *       them with GET /api/registrations?groupId=...&status=...
  *     tags:
  *       - Registration
  *     parameters:
@@ -199,9 +313,20 @@ exports.getStudentsByGroupId = async (req, res) => {
       return res.status(400).send({ error: "Invalid ID format" });
     }
 
-    // Find all registrations for the specified group
+    // The group must be within the caller's scope
+    const group = await Group.findOne({
+      _id: groupId,
+      ...groupScopeFilter(req.scope),
+    });
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    // Find the enrolled students of the group (not the waitlist, nor
+    // students who left)
     const registrations = await Registration.find({
       groupId: groupId,
+      ...enrolledFilter,
     }).populate({
       path: "studentId",
       populate: { path: "userId" },
@@ -224,11 +349,113 @@ exports.getStudentsByGroupId = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/registrations/group/{groupId}/students/export:
+ *  get:
+ *   summary: Export the roster of a group
+ *   description: >-
+ *     Students enrolled in the group (active or completed registrations), as
+ *     CSV, XLSX or PDF.
+ *   tags: [Registration]
+ *   parameters:
+ *     - in: path
+ *       name: groupId
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: The group ID
+ *     - $ref: '#/components/parameters/ExportFormatParam'
+ *   responses:
+ *     200:
+ *       $ref: '#/components/responses/ExportFile'
+ *     400:
+ *       description: Invalid group ID or format
+ *     404:
+ *       description: Group not found
+ *     500:
+ *       description: An error occurred
+ */
+exports.exportGroupRoster = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    // Validate ID format and export format
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
+    const { value, error } = exportQuerySchema.validate(req.query, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    // The group must be within the caller's scope
+    const group = await Group.findOne({
+      _id: groupId,
+      ...groupScopeFilter(req.scope),
+    }).populate("wardId", "name");
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    // Stream the enrolled students of the group
+    const registrations = Registration.find({ groupId, ...enrolledFilter })
+      .sort({ date: 1 })
+      .populate({
+        path: "studentId",
+        select: "userId level language",
+        populate: { path: "userId", select: "firstName lastName email phone" },
+      })
+      .cursor();
+
+    await sendExport(res, value.format, {
+      filename: `roster-${fileSlug(group.name)}`,
+      title: `Roster - ${group.name}`,
+      subtitle: group.wardId?.name,
+      columns: [
+        { key: "lastName", header: "Last name", width: 20 },
+        { key: "firstName", header: "First name", width: 20 },
+        { key: "email", header: "Email", width: 30 },
+        { key: "phone", header: "Phone", width: 15 },
+        { key: "level", header: "Level", width: 8 },
+        { key: "language", header: "Language", width: 12 },
+        { key: "date", header: "Registered", width: 12 },
+        { key: "completed", header: "Completed", width: 10 },
+      ],
+      rows: mapRows(registrations, (registration) => {
+        const student = registration.studentId;
+        return {
+          lastName: student?.userId?.lastName,
+          firstName: student?.userId?.firstName,
+          email: student?.userId?.email,
+          phone: student?.userId?.phone,
+          level: student?.level,
+          language: student?.language,
+          date: registration.date,
+          completed: registration.completed ? "Yes" : "No",
+        };
+      }),
+    });
+  } catch (error) {
+    console.error("Error exporting roster:", error);
+    // The file may already be partially sent
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
 /**
  * @swagger
  * /api/registrations:
  *  post:
  *   summary: Create a new registration
+ *   description: >-
+ *     The registration is active when the group has a free seat. When the
+ *     group is full it is pending: the student is on the waitlist and gets
+ *     the next free seat. Students who withdrew or were transferred out of
+ *     the group register again on their previous registration.
  *   tags: [Registration]
  *   requestBody:
  *     required: true
@@ -275,6 +502,15 @@ exports.getStudentsByGroupId = async (req, res) => {
  *                   notes:
  *                     type: string
  *                     example: Student registered for the group
+ *                   status:
+ *                     type: string
+ *                     enum: [active, pending]
+ *                     example: active
+ *               waitlistPosition:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Position on the waitlist when the group is full
+ *                 example: null
  *     400:
  *       description: Invalid ID format
  *       content:
@@ -307,6 +543,7 @@ exports.getStudentsByGroupId = async (req, res) => {
  *                 example: An error occurred
  */
 exports.createRegistration = async (req, res) => {
+  let session;
   try {
     // Validate request body
     const { value, error } = registrationSchema.validate(req.body);
@@ -314,47 +551,96 @@ exports.createRegistration = async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    // Find the student and group by ID
-    const student = await Student.findById(value.studentId);
+    // Find the student and group by ID within the caller's scope
+    const student = await Student.findOne({
+      _id: value.studentId,
+      ...(await studentScopeFilter(req.scope)),
+    });
     if (!student) {
       return res.status(404).json({ message: "Student not found" });
     }
 
-    const group = await Group.findById(value.groupId);
+    const group = await Group.findOne({
+      _id: value.groupId,
+      ...groupScopeFilter(req.scope),
+    });
     if (!group) {
       return res.status(404).json({ message: "Group not found" });
     }
 
-    // Check if the student is already registered in the group
-    const existingRegistration = await Registration.findOne({
+    // Check if the student is already registered in the group (or waiting
+    // for a seat)
+    let registration = await Registration.findOne({
       studentId: value.studentId,
       groupId: value.groupId,
     });
-    if (existingRegistration) {
+    if (
+      registration &&
+      !["withdrawn", "transferred"].includes(registration.status)
+    ) {
       return res.status(400).json({
-        message: "Student is already registered in this group",
+        message:
+          registration.status === "pending"
+            ? "Student is already on the waitlist of this group"
+            : "Student is already registered in this group",
       });
     }
 
-    // Create a new registration
-    const registration = await Registration.create({
-      studentId: value.studentId,
-      groupId: value.groupId,
-      date: value.date,
-      notes: value.notes,
-    });
-    if (!registration) {
-      return res.status(400).json({ message: "Registration failed" });
+    // Take a seat, or join the waitlist when the group is full. The seats
+    // are counted in the transaction that takes one.
+    session = await mongoose.startSession();
+    session.startTransaction();
+    const status =
+      (await freeSeats(group, session)) > 0 ? "active" : "pending";
+
+    if (registration) {
+      // Students who left the group come back to the same registration,
+      // keeping its history
+      setStatus(registration, status, {
+        reason: "Registered again",
+        changedBy: req.user._id,
+      });
+      registration.date = value.date;
+      registration.notes = value.notes;
+    } else {
+      registration = new Registration({
+        studentId: value.studentId,
+        groupId: value.groupId,
+        date: value.date,
+        notes: value.notes,
+        status,
+      });
     }
+    await registration.save({ session });
+    await session.commitTransaction();
 
     // Populate the student and group fields
     await registration.populate("studentId");
     await registration.populate("groupId");
 
     // Send the registration object as the response
-    res.status(201).json({ message: "Registration created", registration });
+    res.status(201).json({
+      message:
+        status === "pending"
+          ? "Group is full, student added to the waitlist"
+          : "Registration created",
+      registration,
+      waitlistPosition: await waitlistPosition(registration),
+    });
   } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    if (isSeatConflict(error)) {
+      return res
+        .status(409)
+        .json({ message: "The group's seats changed, try again" });
+    }
     res.status(500).json({ message: error.message });
+  } finally {
+    if (session) {
+      session.endSession();
+    }
   }
 };
 
@@ -363,6 +649,9 @@ exports.createRegistration = async (req, res) => {
  * /api/registrations/{id}:
  *  put:
  *   summary: Update a registration
+ *   description: >-
+ *     Updates the student, date and notes of a registration. Students are
+ *     moved to another group with POST /api/registrations/{id}/transfer.
  *   tags: [Registration]
  *   parameters:
  *     - in: path
@@ -417,7 +706,7 @@ exports.createRegistration = async (req, res) => {
  *                     type: string
  *                     example: Student registered for the group
  *     400:
- *       description: Invalid ID format
+ *       description: Invalid ID format, or a different group was given
  *       content:
  *         application/json:
  *           schema:
@@ -465,26 +754,39 @@ exports.updateRegistration = async (req, res) => {
 
     const { studentId, groupId, date, notes } = value;
 
-    // Find the registration by ID
-    const registration = await Registration.findById(id);
+    // Find the registration, student and group within the caller's scope
+    const registration = await Registration.findOne({
+      _id: id,
+      ...(await registrationScopeFilter(req.scope)),
+    });
     if (!registration) {
       return res.status(404).json({ error: "Registration not found" });
     }
 
-    const student = await Student.findById(studentId);
-    if (!student) {
-      return res.status(404).json({ error: "Student not found" });
+    // The new student must be within the caller's scope
+    if (studentId) {
+      const student = await Student.findOne({
+        _id: studentId,
+        ...(await studentScopeFilter(req.scope)),
+      });
+      if (!student) {
+        return res.status(404).json({ error: "Student not found" });
+      }
     }
 
-    const group = await Group.findById(groupId);
-    if (!group) {
-      return res.status(404).json({ error: "Group not found" });
+    // Moving the student to another group is a transfer, which checks the
+    // seats, records the change and promotes the previous group's waitlist
+    if (groupId && groupId !== String(registration.groupId)) {
+      return res.status(400).json({
+        error:
+          "Use POST /api/registrations/{id}/transfer to move a student to another group",
+      });
     }
 
-    registration.studentId = studentId;
-    registration.groupId = groupId;
-    registration.date = date;
-    registration.notes = notes;
+    // Only the fields sent are changed
+    if (studentId) registration.studentId = studentId;
+    if (date) registration.date = date;
+    if (notes !== undefined) registration.notes = notes;
 
     const updatedRegistration = await registration.save();
 
@@ -571,7 +873,8 @@ exports.updateRegistration = async (req, res) => {
  *                 example: An error occurred
  */
 
-// Delete a registration
+// Delete a registration. Deleting loses its history: withdraw students with
+// PUT /api/registrations/{id}/status instead.
 exports.deleteRegistration = async (req, res) => {
   try {
     const { id } = req.params;
@@ -582,7 +885,10 @@ exports.deleteRegistration = async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const registration = await Registration.findByIdAndDelete(value).populate([
+    const registration = await Registration.findOneAndDelete({
+      _id: value,
+      ...(await registrationScopeFilter(req.scope)),
+    }).populate([
       "studentId",
       "groupId",
     ]);
@@ -591,10 +897,392 @@ exports.deleteRegistration = async (req, res) => {
       return res.status(404).json({ message: "Registration not found" });
     }
 
+    // A freed seat goes to the waitlist
+    if (
+      registration.groupId &&
+      Registration.ENROLLED_STATUSES.includes(registration.status)
+    ) {
+      await promoteWaitlist(registration.groupId, { changedBy: req.user._id });
+    }
+
     res.status(200).json({ message: "Registration deleted", registration });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
+/**
+ * @swagger
+ * /api/registrations/{id}/status:
+ *  put:
+ *   summary: Change the status of a registration
+ *   description: >-
+ *     Withdraws a student from a group, or makes a pending or withdrawn
+ *     registration active again when the group has a free seat. The change is
+ *     recorded in the registration's status history, and a seat freed by a
+ *     withdrawal goes to the first student of the waitlist. Transfers use
+ *     POST /api/registrations/{id}/transfer, and registrations are completed
+ *     by the completion rules.
+ *   tags: [Registration]
+ *   parameters:
+ *     - in: path
+ *       name: id
+ *       schema:
+ *         type: string
+ *       required: true
+ *       description: ID of the registration
+ *   requestBody:
+ *     required: true
+ *     content:
+ *       application/json:
+ *         schema:
+ *           type: object
+ *           required:
+ *             - status
+ *           properties:
+ *             status:
+ *               type: string
+ *               enum: [active, withdrawn]
+ *               example: withdrawn
+ *             reason:
+ *               type: string
+ *               maxLength: 500
+ *               example: Moved to another city
+ *   responses:
+ *     200:
+ *       description: The status was changed
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 example: Registration withdrawn
+ *               registration:
+ *                 $ref: '#/components/schemas/Registration'
+ *               promoted:
+ *                 type: array
+ *                 description: Registrations promoted from the waitlist
+ *                 items:
+ *                   $ref: '#/components/schemas/Registration'
+ *     400:
+ *       description: Invalid ID, status or status change
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: Only active or pending registrations can be withdrawn
+ *     404:
+ *       description: The registration was not found
+ *     409:
+ *       description: The group is full
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: Group is full
+ *     500:
+ *       description: An error occurred
+ */
+exports.updateRegistrationStatus = async (req, res) => {
+  let session;
+  try {
+    const { id } = req.params;
+
+    // Validate ID format and request body
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid registration ID format" });
+    }
+    const { value, error } = registrationStatusSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // Find the registration within the caller's scope
+    const registration = await Registration.findOne({
+      _id: id,
+      ...(await registrationScopeFilter(req.scope)),
+    }).populate("groupId");
+    if (!registration) {
+      return res.status(404).json({ error: "Registration not found" });
+    }
+    const group = registration.groupId;
+    if (!group) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    // Check that the status can change this way
+    const from = registration.status;
+    const allowedFrom = {
+      withdrawn: ["pending", "active"],
+      active: ["pending", "withdrawn"],
+    };
+    if (!allowedFrom[value.status].includes(from)) {
+      return res.status(400).json({
+        error:
+          value.status === "withdrawn"
+            ? "Only active or pending registrations can be withdrawn"
+            : "Only pending or withdrawn registrations can be activated",
+      });
+    }
+    session = await mongoose.startSession();
+    session.startTransaction();
+    if (value.status === "active" && (await freeSeats(group, session)) === 0) {
+      await session.abortTransaction();
+      return res.status(409).json({ error: "Group is full" });
+    }
+
+    setStatus(registration, value.status, {
+      reason: value.reason,
+      changedBy: req.user._id,
+    });
+    await registration.save({ session });
+
+    // A freed seat goes to the waitlist
+    const promoted =
+      from === "active"
+        ? await promoteWaitlist(group, { changedBy: req.user._id, session })
+        : [];
+    await session.commitTransaction();
+
+    res.status(200).json({
+      message:
+        value.status === "withdrawn"
+          ? "Registration withdrawn"
+          : "Registration activated",
+      registration,
+      promoted,
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    if (isSeatConflict(error)) {
+      return res
+        .status(409)
+        .json({ error: "The group's seats changed, try again" });
+    }
+    console.error("Error changing registration status:", error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    if (session) {
+      session.endSession();
+    }
+  }
+};
+
+/**
+ * @swagger
+ * /api/registrations/{id}/transfer:
+ *  post:
+ *   summary: Transfer a student to another group
+ *   description: >-
+ *     Marks the registration as transferred and registers the student in the
+ *     target group, linking both registrations. Attendance recorded in the
+ *     previous group is kept there and still counts toward completing the
+ *     course. The target group must have a free seat; a seat freed in the
+ *     previous group goes to its waitlist.
+ *   tags: [Registration]
+ *   parameters:
+ *     - in: path
+ *       name: id
+ *       schema:
+ *         type: string
+ *       required: true
+ *       description: ID of the registration to transfer
+ *   requestBody:
+ *     required: true
+ *     content:
+ *       application/json:
+ *         schema:
+ *           type: object
+ *           required:
+ *             - groupId
+ *           properties:
+ *             groupId:
+ *               type: string
+ *               description: Target group
+ *               example: 60d5f484f1c2b8b8a4e4e4e5
+ *             date:
+ *               type: string
+ *               format: date
+ *               description: Registration date in the target group (today by default)
+ *               example: 2023-10-15
+ *             reason:
+ *               type: string
+ *               maxLength: 500
+ *               example: Schedule change
+ *   responses:
+ *     201:
+ *       description: The student was transferred
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 example: Registration transferred
+ *               from:
+ *                 $ref: '#/components/schemas/Registration'
+ *               to:
+ *                 $ref: '#/components/schemas/Registration'
+ *               promoted:
+ *                 type: array
+ *                 description: Registrations promoted from the previous group's waitlist
+ *                 items:
+ *                   $ref: '#/components/schemas/Registration'
+ *     400:
+ *       description: Invalid request, or the student cannot be transferred
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: Student is already registered in the target group
+ *     404:
+ *       description: Registration or group not found
+ *     409:
+ *       description: The target group is full
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: Target group is full
+ *     500:
+ *       description: An error occurred
+ */
+exports.transferRegistration = async (req, res) => {
+  let session;
+  try {
+    const { id } = req.params;
+
+    // 1. Validate ID format and request body
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid registration ID format" });
+    }
+    const { value, error } = registrationTransferSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // 2. Find the registration and both groups within the caller's scope
+    const source = await Registration.findOne({
+      _id: id,
+      ...(await registrationScopeFilter(req.scope)),
+    }).populate("groupId");
+    if (!source || !source.groupId) {
+      return res.status(404).json({ error: "Registration not found" });
+    }
+    if (!["active", "pending"].includes(source.status)) {
+      return res.status(400).json({
+        error: "Only active or pending registrations can be transferred",
+      });
+    }
+    const sourceGroup = source.groupId;
+    if (String(sourceGroup._id) === value.groupId) {
+      return res
+        .status(400)
+        .json({ error: "Target group must be a different group" });
+    }
+
+    const targetGroup = await Group.findOne({
+      _id: value.groupId,
+      ...groupScopeFilter(req.scope),
+    });
+    if (!targetGroup) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    // 3. The student must not be in the target group yet
+    let target = await Registration.findOne({
+      studentId: source.studentId,
+      groupId: targetGroup._id,
+    });
+    if (target && !["withdrawn", "transferred"].includes(target.status)) {
+      return res.status(400).json({
+        error: "Student is already registered in the target group",
+      });
+    }
+
+    // 4. The target group must have a free seat, counted in the transaction
+    // that takes it
+    session = await mongoose.startSession();
+    session.startTransaction();
+    if ((await freeSeats(targetGroup, session)) === 0) {
+      await session.abortTransaction();
+      return res.status(409).json({ error: "Target group is full" });
+    }
+
+    // 5. Register the student in the target group, on their previous
+    // registration there if they had one
+    const changedBy = req.user._id;
+    const reason = value.reason || `Transferred from ${sourceGroup.name}`;
+    if (target) {
+      setStatus(target, "active", { reason, changedBy });
+    } else {
+      target = new Registration({
+        studentId: source.studentId,
+        groupId: targetGroup._id,
+        statusHistory: [{ status: "active", reason, changedBy }],
+      });
+    }
+    target.date = value.date || new Date();
+    target.transferredFrom = source._id;
+    await target.save({ session });
+
+    // 6. Close the previous registration, keeping its attendance
+    setStatus(source, "transferred", {
+      reason: value.reason || `Transferred to ${targetGroup.name}`,
+      changedBy,
+    });
+    source.transferredTo = target._id;
+    await source.save({ session });
+
+    // 7. The freed seat goes to the previous group's waitlist
+    const promoted = await promoteWaitlist(sourceGroup, { changedBy, session });
+
+    await session.commitTransaction();
+
+    // 8. Attendance from the previous group may complete the course
+    await evaluateRegistration(target).catch((err) =>
+      console.error("Error evaluating completion:", err)
+    );
+
+    res.status(201).json({
+      message: "Registration transferred",
+      from: source,
+      to: target,
+      promoted,
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    if (isSeatConflict(error)) {
+      return res
+        .status(409)
+        .json({ error: "The group's seats changed, try again" });
+    }
+    console.error("Error transferring registration:", error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    if (session) {
+      session.endSession();
+    }
+  }
+};
+
 module.exports = exports;
@@ -0,0 +1,318 @@
+// controllers/searchController.js
+const User = require("../models/user");
+const Student = require("../models/student");
+const Address = require("../models/address");
+const Group = require("../models/group");
+const Ward = require("../models/ward");
+const Registration = require("../models/registration");
+const { searchQuerySchema } = require("../validators/search");
+const { wardScopeFilter, groupScopeFilter } = require("../utils/scope");
+const { getInstructorStudentIds } = require("../utils/policies");
+const { combineFilters } = require("../utils/listQuery");
+const {
+  searchTerms,
+  accentInsensitiveRegExp,
+  phoneRegExp,
+  rankMatch,
+} = require("../utils/search");
+
+// Users whose student details are loaded and ranked at a time
+const BATCH_SIZE = 200;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Search
+ *   description: Search for students and users
+ */
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search students and users
+ *     description: >-
+ *       Finds users by first name, last name, email and phone, and students
+ *       by the name of their ward, the name of their groups and their city.
+ *       Matching ignores case and accents ("jose" finds "José"), every word of
+ *       the query must match, and results are ranked by how well they match.
+ *       Stake and country admins only find users of their stake or country,
+ *       and instructors only the students of their groups.
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 100
+ *         description: Words to search for
+ *         example: "maria lima"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *         description: Maximum number of results
+ *     responses:
+ *       200:
+ *         description: Ranked results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Success"
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matches before applying the limit
+ *                   example: 2
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       score:
+ *                         type: number
+ *                         example: 50
+ *                       matchedOn:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                           enum: [name, email, phone, ward, group, city]
+ *                         example: ["name", "city"]
+ *                       user:
+ *                         $ref: '#/components/schemas/UserResponse'
+ *                       student:
+ *                         type: object
+ *                         nullable: true
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                             example: "507f1f77bcf86cd799439011"
+ *                           level:
+ *                             type: string
+ *                             example: "EC1"
+ *                           language:
+ *                             type: string
+ *                             example: "Portuguese"
+ *                       ward:
+ *                         type: object
+ *                         nullable: true
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                             example: "607f1f77bcf86cd799439012"
+ *                           name:
+ *                             type: string
+ *                             example: "Barrio Centro"
+ *                       groups:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             _id:
+ *                               type: string
+ *                               example: "707f1f77bcf86cd799439013"
+ *                             name:
+ *                               type: string
+ *                               example: "Group A"
+ *                       city:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "Lima"
+ *       400:
+ *         description: Invalid search query
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Search query must be at least 2 characters long"
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Server error during search"
+ */
+const search = async (req, res) => {
+  try {
+    // 1. Validate the query
+    const { value, error } = searchQuerySchema.validate(req.query, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const terms = searchTerms(value.q);
+
+    // 2. Users matching every term, within the caller's scope
+    const filter = combineFilters(
+      await searchableUsersFilter(req),
+      ...(await Promise.all(terms.map((term) => termFilter(req, term))))
+    );
+
+    // 3. Rank all of them a batch at a time, keeping the best results
+    let total = 0;
+    let best = [];
+    let batch = [];
+    const rankBatch = async () => {
+      const results = await rankUsers(terms, batch);
+      total += results.length;
+      best = best.concat(results).sort(compareResults).slice(0, value.limit);
+      batch = [];
+    };
+    const cursor = User.find(filter)
+      .select("firstName lastName email phone type avatar wardId")
+      .populate("wardId", "name")
+      .cursor({ batchSize: BATCH_SIZE });
+    for await (const user of cursor) {
+      batch.push(user);
+      if (batch.length === BATCH_SIZE) await rankBatch();
+    }
+    if (batch.length) await rankBatch();
+
+    // 4. Success response
+    res.status(200).json({
+      message: "Success",
+      total,
+      data: best,
+    });
+  } catch (error) {
+    console.error("Error searching:", error);
+    res.status(500).json({ error: "Server error during search" });
+  }
+};
+
+// Users the caller may find: everyone for admins, the users of their wards
+// for stake and country admins, and their students for instructors
+const searchableUsersFilter = async (req) => {
+  if (req.user.type === 11) {
+    const userIds = await Student.find({
+      _id: { $in: await getInstructorStudentIds(req.user._id) },
+    }).distinct("userId");
+    return { _id: { $in: userIds } };
+  }
+  return wardScopeFilter(req.scope, "wardId");
+};
+
+// Users matching a term by name, email or phone, and students matching it
+// by the name of their ward, the name of a group they are registered in or
+// their city
+const termFilter = async (req, term) => {
+  const pattern = accentInsensitiveRegExp(term);
+  const phone = phoneRegExp(term);
+
+  const [wardIds, groupIds, addressIds] = await Promise.all([
+    Ward.find({
+      name: pattern,
+      ...wardScopeFilter(req.scope),
+    }).distinct("_id"),
+    Group.find({
+      name: pattern,
+      ...groupScopeFilter(req.scope),
+    }).distinct("_id"),
+    Address.find({ city: pattern }).distinct("_id"),
+  ]);
+  const registeredIds = await Registration.find({
+    groupId: { $in: groupIds },
+  }).distinct("studentId");
+  const studentUserIds = await Student.find({
+    $or: [{ _id: { $in: registeredIds } }, { addressId: { $in: addressIds } }],
+  }).distinct("userId");
+
+  return {
+    $or: [
+      { firstName: pattern },
+      { lastName: pattern },
+      { email: pattern },
+      ...(phone ? [{ phone }] : []),
+      { wardId: { $in: wardIds }, type: 1 },
+      { _id: { $in: studentUserIds } },
+    ],
+  };
+};
+
+// Results of a batch of users with their student details, scored by how
+// well they match the terms
+const rankUsers = async (terms, users) => {
+  const students = await Student.find({
+    userId: { $in: users.map((user) => user._id) },
+  })
+    .select("userId addressId level language")
+    .populate("addressId", "city");
+  const registrations = await Registration.find({
+    studentId: { $in: students.map((student) => student._id) },
+  }).populate("groupId", "name");
+
+  const studentByUser = new Map(
+    students.map((student) => [String(student.userId), student])
+  );
+  const groupsOf = (student) =>
+    registrations
+      .filter((r) => String(r.studentId) === String(student._id) && r.groupId)
+      .map((r) => ({ _id: r.groupId._id, name: r.groupId.name }));
+
+  return users
+    .map((user) => {
+      const student = studentByUser.get(String(user._id));
+      const groups = student ? groupsOf(student) : [];
+      const city = student?.addressId?.city || null;
+
+      const match = rankMatch(terms, [
+        { name: "name", weight: 10, values: [user.firstName, user.lastName] },
+        { name: "email", weight: 8, values: [user.email] },
+        { name: "phone", weight: 8, values: [user.phone] },
+        ...(student
+          ? [
+              { name: "ward", weight: 3, values: [user.wardId?.name] },
+              { name: "group", weight: 3, values: groups.map((g) => g.name) },
+              { name: "city", weight: 2, values: [city] },
+            ]
+          : []),
+      ]);
+      if (!match) return null;
+
+      const { wardId: ward, ...userData } = user.toJSON();
+      return {
+        ...match,
+        user: userData,
+        student: student
+          ? {
+              _id: student._id,
+              level: student.level,
+              language: student.language,
+            }
+          : null,
+        ward: ward || null,
+        groups,
+        city,
+      };
+    })
+    .filter(Boolean);
+};
+
+// Best score first, then by name
+const compareResults = (a, b) =>
+  b.score - a.score ||
+  `${a.user.firstName} ${a.user.lastName}`.localeCompare(
+    `${b.user.firstName} ${b.user.lastName}`
+  );
+
+module.exports = {
+  search,
+};
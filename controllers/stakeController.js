@@ -6,6 +6,14 @@ const {
   validateStakeId,
   validateStakeUpdate,
 } = require("../validators/stake");
+const { stakeScopeFilter } = require("../utils/scope");
+const {
+  parseListQuery,
+  paginate,
+  combineFilters,
+  escapeRegExp,
+} = require("../utils/listQuery");
+const { stakeListQuery } = require("../validators/listQuery");
 
 /**
  * @swagger
@@ -20,7 +28,25 @@ const {
  * /api/stakes:
  *   get:
  *     summary: Get a list of stakes
+ *     description: Paginated list of the stakes within the caller's scope.
  *     tags: [Stakes]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: "name"
+ *         description: "Comma-separated sort fields, prefixed with - for descending order: name, location, createdAt"
+ *       - $ref: '#/components/parameters/FromParam'
+ *       - $ref: '#/components/parameters/ToParam'
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Only stakes in this country (last part of the location)
  *     responses:
  *       200:
  *         description: A list of stakes
@@ -37,8 +63,10 @@ const {
  *                   description: List of stakes
  *                   items:
  *                     $ref: '#/components/schemas/Stake'
- *       404:
- *         description: No stakes found
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
  *         content:
  *           application/json:
  *             schema:
@@ -46,7 +74,7 @@ const {
  *               properties:
  *                 error:
  *                   type: string
- *                   example: No stakes found
+ *                   example: "Limit cannot exceed 100"
  *       500:
  *         description: Internal Server Error
  *         content:
@@ -60,18 +88,30 @@ const {
  */
 const getStakes = async (req, res) => {
   try {
-    // Fetch all stakes
-    const stakes = await Stake.find();
-
-    // Check if stakes exist
-    if (stakes.length === 0) {
-      return res.status(200).json({ message: "No stakes found" });
+    // Validate pagination, sorting and filters
+    const { error, list } = parseListQuery(req.query, stakeListQuery);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
     }
+    // The country is the last part of the location ("City, State, Country")
+    const { country, ...match } = list.filter;
+    const countryFilter = country
+      ? { location: new RegExp(`(^|, )${escapeRegExp(country)}$`, "i") }
+      : {};
+
+    // Fetch a page of the stakes within the caller's scope
+    const { data, pagination } = await paginate(
+      Stake,
+      combineFilters(stakeScopeFilter(req.scope), countryFilter, match),
+      list
+    );
 
     // Return the stakes
-    res
-      .status(200)
-      .json({ message: "Stakes retrieved successfully", data: stakes });
+    res.status(200).json({
+      message: "Stakes retrieved successfully",
+      data,
+      pagination,
+    });
   } catch (error) {
     console.error("Error fetching stakes:", error.message || error);
     res.status(500).json({ error: "Internal server error" });
@@ -320,8 +360,11 @@ const getStakeById = async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    // Find stake by ID
-    const stake = await Stake.findById(req.params.id);
+    // Find stake by ID within the caller's scope
+    const stake = await Stake.findOne({
+      _id: req.params.id,
+      ...stakeScopeFilter(req.scope),
+    });
     if (!stake) {
       return res.status(404).json({ error: "Stake not found" });
     }
@@ -416,8 +459,8 @@ const updateStake = async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    // Find existing stake
-    const stake = await Stake.findById(id);
+    // Find existing stake within the caller's scope
+    const stake = await Stake.findOne({ _id: id, ...stakeScopeFilter(req.scope) });
     if (!stake) {
       return res.status(404).send({ error: "Stake not found" });
     }
@@ -4,6 +4,14 @@ const mongoose = require("mongoose");
 const Ward = require("../models/ward");
 const Registration = require("../models/registration");
 const Attendance = require("../models/attendance");
+const { isStakeInScope } = require("../utils/scope");
+const { summarizeAttendance } = require("../utils/attendanceStats");
+const { enrolledFilter } = require("../utils/registrations");
+const Stake = require("../models/stake");
+const Term = require("../models/term");
+const { statsQuerySchema } = require("../validators/stats");
+const { exportQuerySchema } = require("../validators/export");
+const { sendExport, mapRows, fileSlug } = require("../utils/export");
 
 /**
  * @swagger
@@ -19,6 +27,7 @@ const Attendance = require("../models/attendance");
  *         schema:
  *           type: string
  *           format: objectid
+ *       - $ref: '#/components/parameters/TermIdParam'
  *     responses:
  *       200:
  *         description: A list of group sessions for the specified stake
@@ -55,6 +64,8 @@ const Attendance = require("../models/attendance");
  *                 message:
  *                   type: string
  *                   example: Invalid stake ID
+ *       403:
+ *         description: Stake is outside the caller's scope
  *       401:
  *         description: Unauthorized access
  *         content:
@@ -95,6 +106,14 @@ const getGroupSessionsByStake = async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(stakeId)) {
       return res.status(400).json({ message: "Invalid stake ID" });
     }
+    if (!isStakeInScope(req.scope, stakeId)) {
+      return res.status(403).json({ message: "Stake is outside your scope" });
+    }
+
+    const { term, status, message } = await resolveTerm(req.query);
+    if (status) {
+      return res.status(status).json({ message });
+    }
 
     // Step 3: Get all wards in the stake
     const wards = await Ward.find({ stakeId }).select("_id");
@@ -103,8 +122,8 @@ const getGroupSessionsByStake = async (req, res) => {
     }
     const wardIds = wards.map((w) => w._id);
 
-    // Step 4: Find all groups in those wards
-    const groups = await Group.find({ wardId: { $in: wardIds } }).select(
+    // Step 4: Find all groups in those wards (in the term, when given)
+    const groups = await Group.find(stakeGroupFilter(wardIds, term)).select(
       "name sessions"
     );
 
@@ -142,6 +161,7 @@ const getGroupSessionsByStake = async (req, res) => {
  *         schema:
  *           type: string
  *           format: objectid
+ *       - $ref: '#/components/parameters/TermIdParam'
  *     responses:
  *       200:
  *         description: A list of group student counts for the specified stake
@@ -178,6 +198,8 @@ const getGroupSessionsByStake = async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Invalid stake ID
+ *       403:
+ *         description: Stake is outside the caller's scope
  *       401:
  *         description: Unauthorized access
  *         content:
@@ -217,6 +239,14 @@ const getGroupStudentCountsByStake = async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(stakeId)) {
       return res.status(400).json({ message: "Invalid stake ID" });
     }
+    if (!isStakeInScope(req.scope, stakeId)) {
+      return res.status(403).json({ message: "Stake is outside your scope" });
+    }
+
+    const { term, status, message } = await resolveTerm(req.query);
+    if (status) {
+      return res.status(status).json({ message });
+    }
 
     // Step 1: Get all wards in the stake
     const wards = await Ward.find({ stakeId }).select("_id");
@@ -225,8 +255,8 @@ const getGroupStudentCountsByStake = async (req, res) => {
     }
     const wardIds = wards.map((w) => w._id);
 
-    // Step 2: Get all groups in those wards
-    const groups = await Group.find({ wardId: { $in: wardIds } }).select(
+    // Step 2: Get all groups in those wards (in the term, when given)
+    const groups = await Group.find(stakeGroupFilter(wardIds, term)).select(
       "_id name"
     );
 
@@ -235,6 +265,7 @@ const getGroupStudentCountsByStake = async (req, res) => {
       groups.map(async (group) => {
         const studentCount = await Registration.countDocuments({
           groupId: group._id,
+          ...enrolledFilter,
         });
 
         return {
@@ -268,6 +299,7 @@ const getGroupStudentCountsByStake = async (req, res) => {
  *         schema:
  *           type: string
  *           format: objectid
+ *       - $ref: '#/components/parameters/TermIdParam'
  *     responses:
  *       200:
  *         description: A list of group attendance statistics for the specified stake
@@ -293,7 +325,10 @@ const getGroupStudentCountsByStake = async (req, res) => {
  *                         example: EC1 Group A
  *                       averageAttendance:
  *                         type: integer
+ *                         description: Attendance percentage, excluding excused records
  *                         example: 85
+ *                       summary:
+ *                         $ref: '#/components/schemas/AttendanceSummary'
  *       400:
  *         description: Invalid stake ID
  *         content:
@@ -304,6 +339,8 @@ const getGroupStudentCountsByStake = async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Invalid stake ID
+ *       403:
+ *         description: Stake is outside the caller's scope
  *       401:
  *         description: Unauthorized access
  *         content:
@@ -343,6 +380,14 @@ const getGroupAttendanceByStake = async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(stakeId)) {
       return res.status(400).json({ message: "Invalid stake ID" });
     }
+    if (!isStakeInScope(req.scope, stakeId)) {
+      return res.status(403).json({ message: "Stake is outside your scope" });
+    }
+
+    const { term, status, message } = await resolveTerm(req.query);
+    if (status) {
+      return res.status(status).json({ message });
+    }
 
     // Step 1: Get all ward IDs for this stake
     const wards = await Ward.find({ stakeId }).select("_id");
@@ -351,31 +396,25 @@ const getGroupAttendanceByStake = async (req, res) => {
     }
     const wardIds = wards.map((w) => w._id);
 
-    // Step 2: Get all groups in these wards
-    const groups = await Group.find({ wardId: { $in: wardIds } }).select(
+    // Step 2: Get all groups in these wards (in the term, when given)
+    const groups = await Group.find(stakeGroupFilter(wardIds, term)).select(
       "_id name"
     );
 
     // Step 3: For each group, calculate attendance
     const attendanceStats = await Promise.all(
       groups.map(async (group) => {
-        const totalRecords = await Attendance.countDocuments({
-          groupId: group._id,
-        });
-        const presentRecords = await Attendance.countDocuments({
-          groupId: group._id,
-          isPresent: true,
-        });
-
-        const averageAttendance =
-          totalRecords === 0
-            ? 0
-            : Math.round((presentRecords / totalRecords) * 100);
+        // Excused records are left out of the average
+        const records = await Attendance.find({ groupId: group._id }).select(
+          "status isPresent makeUpFor"
+        );
+        const summary = summarizeAttendance(records);
 
         return {
           groupId: group._id,
           groupName: group.name,
-          averageAttendance,
+          averageAttendance: summary.percentage,
+          summary,
         };
       })
     );
@@ -387,8 +426,149 @@ const getGroupAttendanceByStake = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /stats/stake/{stakeId}/export:
+ *   get:
+ *     summary: Export the statistics of all groups in a specific stake
+ *     description: >-
+ *       One row per group with its ward, registered students, completed
+ *       sessions and attendance (attended, missed and excused records and
+ *       the attendance percentage).
+ *     tags: [Statistics]
+ *     parameters:
+ *       - name: stakeId
+ *         in: path
+ *         required: true
+ *         description: The ID of the stake to export statistics for
+ *         schema:
+ *           type: string
+ *           format: objectid
+ *       - $ref: '#/components/parameters/ExportFormatParam'
+ *       - $ref: '#/components/parameters/TermIdParam'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/ExportFile'
+ *       400:
+ *         description: Invalid stake ID or format
+ *       403:
+ *         description: Stake is outside the caller's scope
+ *       404:
+ *         description: Stake not found
+ *       500:
+ *         description: Server error
+ */
+const exportStakeStats = async (req, res) => {
+  try {
+    // Validate the stake ID and the format
+    const { stakeId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(stakeId)) {
+      return res.status(400).json({ message: "Invalid stake ID" });
+    }
+    if (!isStakeInScope(req.scope, stakeId)) {
+      return res.status(403).json({ message: "Stake is outside your scope" });
+    }
+    const { value, error } = exportQuerySchema.validate(req.query, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const { term, status, message } = await resolveTerm(req.query);
+    if (status) {
+      return res.status(status).json({ message });
+    }
+
+    const stake = await Stake.findById(stakeId).select("name");
+    if (!stake) {
+      return res.status(404).json({ message: "Stake not found" });
+    }
+
+    // Step 1: Get all wards in the stake
+    const wards = await Ward.find({ stakeId }).select("_id name");
+    const wardNames = new Map(wards.map((w) => [String(w._id), w.name]));
+
+    // Step 2: Get all groups in those wards (in the term, when given)
+    const wardIds = wards.map((w) => w._id);
+    const groups = await Group.find(stakeGroupFilter(wardIds, term))
+      .select("_id name wardId sessions")
+      .sort({ name: 1 });
+
+    // Step 3: Compute the statistics of each group as it is exported
+    const rows = mapRows(groups, async (group) => {
+      const studentCount = await Registration.countDocuments({
+        groupId: group._id,
+        ...enrolledFilter,
+      });
+      const records = await Attendance.find({ groupId: group._id }).select(
+        "status isPresent makeUpFor"
+      );
+      const summary = summarizeAttendance(records);
+
+      return {
+        ward: wardNames.get(String(group.wardId)),
+        group: group.name,
+        students: studentCount,
+        sessions: group.sessions?.filter((s) => s.completed).length || 0,
+        attended: summary.attended,
+        missed: summary.missed,
+        excused: summary.excused,
+        percentage: summary.percentage,
+      };
+    });
+
+    await sendExport(res, value.format, {
+      filename: `stats-${fileSlug(
+        [stake.name, term?.name].filter(Boolean).join(" ")
+      )}`,
+      title: `Statistics - ${stake.name}`,
+      subtitle: term?.name,
+      columns: [
+        { key: "ward", header: "Ward", width: 20 },
+        { key: "group", header: "Group", width: 20 },
+        { key: "students", header: "Students", width: 10 },
+        { key: "sessions", header: "Sessions completed", width: 12 },
+        { key: "attended", header: "Attended", width: 10 },
+        { key: "missed", header: "Missed", width: 10 },
+        { key: "excused", header: "Excused", width: 10 },
+        { key: "percentage", header: "Attendance %", width: 12 },
+      ],
+      rows,
+    });
+  } catch (error) {
+    console.error("Error in exportStakeStats:", error);
+    // The file may already be partially sent
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Term the statistics are scoped to (`termId` query parameter), if any.
+// Returns { term } or the { status, message } of an invalid request.
+const resolveTerm = async (query) => {
+  const { value, error } = statsQuerySchema.validate(query, {
+    stripUnknown: true,
+  });
+  if (error) {
+    return { status: 400, message: error.details[0].message };
+  }
+  if (!value.termId) return { term: null };
+
+  const term = await Term.findById(value.termId).select("name");
+  return term ? { term } : { status: 404, message: "Term not found" };
+};
+
+// Groups of the given wards, only those of the term when there is one
+const stakeGroupFilter = (wardIds, term) => ({
+  wardId: { $in: wardIds },
+  ...(term && { termId: term._id }),
+});
+
 module.exports = {
   getGroupSessionsByStake,
   getGroupStudentCountsByStake,
   getGroupAttendanceByStake,
+  exportStakeStats,
 };
@@ -5,15 +5,43 @@ const Address = require("../models/address");
 const TokenMetadata = require("../models/tokenMetadata");
 const Attendance = require("../models/attendance");
 const mongoose = require("mongoose");
-const { studentSchema } = require("../validators/student");
+const {
+  studentSchema,
+  studentImportSchema,
+} = require("../validators/student");
 const { partialStudentSchema } = require("../validators/partialStudent");
 const { generateAccessToken, generateRefreshToken } = require("../config/jwt");
 const getCountry = require("../utils/getCountry");
 const { uploadToS3, deleteFromS3 } = require("../utils/upload");
+const { studentScopeFilter, isWardInScope } = require("../utils/scope");
+const { summarizeAttendance } = require("../utils/attendanceStats");
+const {
+  parseListQuery,
+  paginate,
+  combineFilters,
+  filteredWardIds,
+} = require("../utils/listQuery");
+const { studentListQuery } = require("../validators/listQuery");
+const { exportQuerySchema } = require("../validators/export");
+const { sendExport, mapRows } = require("../utils/export");
+const Registration = require("../models/registration");
+const { freeSeats } = require("../utils/registrations");
+const { rules: completionRules } = require("../utils/completion");
+const { createCertificate } = require("../utils/certificate");
+const Ward = require("../models/ward");
+const Group = require("../models/group");
+const { readSpreadsheet } = require("../utils/spreadsheet");
+const {
+  mapColumns,
+  previewImport,
+  temporaryPassword,
+} = require("../utils/studentImport");
 
 const dotenv = require("dotenv");
 dotenv.config();
 const DEFAULT_AVATAR_URL = process.env.DEFAULT_AVATAR_URL;
+// Most rows accepted in a roster import (all are saved in one transaction)
+const MAX_IMPORT_ROWS = 1000;
 
 /**
  * @swagger
@@ -27,7 +55,48 @@ const DEFAULT_AVATAR_URL = process.env.DEFAULT_AVATAR_URL;
  * /api/students:
  *   get:
  *     summary: Get all students with user and address information
+ *     description: Paginated list of the students within the caller's scope.
  *     tags: [Student]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: "-createdAt"
+ *         description: "Comma-separated sort fields, prefixed with - for descending order: createdAt, birthDate, level, language"
+ *       - $ref: '#/components/parameters/FromParam'
+ *       - $ref: '#/components/parameters/ToParam'
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [EC1, EC2]
+ *         description: Filter by level
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           enum: [Spanish, French, Portuguese, Italian]
+ *         description: Filter by language
+ *       - in: query
+ *         name: churchMembership
+ *         schema:
+ *           type: string
+ *           enum: [Member, Non-member]
+ *         description: Filter by church membership
+ *       - in: query
+ *         name: wardId
+ *         schema:
+ *           type: string
+ *         description: Only students of this ward
+ *       - in: query
+ *         name: stakeId
+ *         schema:
+ *           type: string
+ *         description: Only students of the wards of this stake
  *     responses:
  *       200:
  *         description: A list of students with user and address information
@@ -142,6 +211,18 @@ const DEFAULT_AVATAR_URL = process.env.DEFAULT_AVATAR_URL;
  *                          format: date-time
  *                          description: The date and time when the student was last updated
  *                          example: 2020-08-20T20:00:00.000Z
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Limit cannot exceed 100"
  *       500:
  *         description: Internal server error
  *         content:
@@ -155,16 +236,25 @@ const DEFAULT_AVATAR_URL = process.env.DEFAULT_AVATAR_URL;
  */
 const getAllStudents = async (req, res) => {
   try {
-    // Get students with user and address information
-    const students = await Student.find()
-      .populate("userId")
-      .populate("addressId");
-    if (students.length === 0) {
-      return res.status(404).json({ message: "No students found" });
+    // 1. Validate pagination, sorting and filters
+    const { error, list } = parseListQuery(req.query, studentListQuery);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
     }
-    res
-      .status(200)
-      .json({ message: "Students retrieved succesfully", data: students });
+
+    // 2. Get a page of the students within the caller's scope with user and
+    // address information
+    const { data, pagination } = await paginate(
+      Student,
+      await studentListFilter(req, list),
+      list,
+      { populate: ["userId", "addressId"] }
+    );
+    res.status(200).json({
+      message: "Students retrieved succesfully",
+      data,
+      pagination,
+    });
   } catch (error) {
     res.status(500).json("Internal server error");
   }
@@ -335,8 +425,11 @@ const getStudentById = async (req, res) => {
     if (!mongoose.isValidObjectId(id)) {
       return res.status(400).json({ message: "Invalid student ID" });
     }
-    // 2. Find student by ID (404 Not Found if not found)
-    const student = await Student.findById(id)
+    // 2. Find student by ID within the caller's scope (404 Not Found if not found)
+    const student = await Student.findOne({
+      _id: id,
+      ...(await studentScopeFilter(req.scope)),
+    })
       .populate("userId")
       .populate("addressId");
     if (!student) {
@@ -413,6 +506,8 @@ const getStudentById = async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Invalid Ward ID provided"
+ *       403:
+ *         description: Ward is outside the caller's scope
  *       500:
  *         description: Internal server error
  *         content:
@@ -436,6 +531,10 @@ const getStudentsByWard = async (req, res) => {
       return res.status(400).json({ message: "Invalid Ward ID provided" });
     }
 
+    if (!isWardInScope(req.scope, wardId)) {
+      return res.status(403).json({ message: "Ward is outside your scope" });
+    }
+
     const wardObjectId = new mongoose.Types.ObjectId(wardId);
 
     // 2. Find students by matching the wardId on the associated User document
@@ -642,6 +741,8 @@ const getStudentsByWard = async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Type not found"
+ *       403:
+ *         description: Ward is outside the caller's scope
  *       500:
  *         description: Internal server error
  *         content:
@@ -670,6 +771,14 @@ const createStudent = async (req, res) => {
       });
     }
 
+    // Scoped admins can only create students in their own wards
+    if (!isWardInScope(req.scope, req.body.user.wardId)) {
+      return res.status(403).json({
+        success: false,
+        message: "Ward is outside your scope",
+      });
+    }
+
     // 2. Start a transaction
     session = await mongoose.startSession();
     session.startTransaction();
@@ -971,6 +1080,8 @@ const createStudent = async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Student not found"
+ *       403:
+ *         description: Target ward is outside the caller's scope
  *       500:
  *         description: Internal server error
  *         content:
@@ -994,8 +1105,11 @@ const updateStudent = async (req, res, next) => {
       session.endSession();
       return res.status(400).json({ message: "Invalid student ID" });
     }
-    // 2. Fetch student with populated user
-    const student = await Student.findById(id)
+    // 2. Fetch student within the caller's scope with populated user
+    const student = await Student.findOne({
+      _id: id,
+      ...(await studentScopeFilter(req.scope)),
+    })
       .populate("userId")
       .session(session);
 
@@ -1041,6 +1155,13 @@ const updateStudent = async (req, res, next) => {
       });
     }
 
+    // A student cannot be moved to a ward outside the caller's scope
+    if (value.user?.wardId && !isWardInScope(req.scope, value.user.wardId)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({ message: "Ward is outside your scope" });
+    }
+
     // 6. Update User (including new avatar if uploaded)
     if (value.user) {
       await User.findByIdAndUpdate(
@@ -1107,7 +1228,7 @@ const updateStudent = async (req, res, next) => {
 
     // 9. Generate new access token
     const newUser = updatedStudent.userId;
-    const newAccessToken = generateAccessToken(newUser);
+    const newAccessToken = generateAccessToken(newUser, req.user?.sid);
 
     return res.status(200).json({
       message: "Student updated successfully",
@@ -1173,10 +1294,12 @@ const updateStudent = async (req, res, next) => {
  *                       type: string
  *                       description: The ID of the deleted address
  *                       example: "5f3f9c5f6d7a0f0021e9d4b7"
- *                     tokenMetadataId:
- *                       type: string
- *                       description: The ID of the deleted token metadata
- *                       example: "5f3f9c5f6d7a0f0021e9d4b7"
+ *                     tokenMetadataIds:
+ *                       type: array
+ *                       description: The IDs of the deleted token metadata (one per device session)
+ *                       items:
+ *                         type: string
+ *                         example: "5f3f9c5f6d7a0f0021e9d4b7"
  *       400:
  *         description: Invalid student ID
  *         content:
@@ -1231,8 +1354,11 @@ const deleteStudent = async (req, res) => {
     try {
       session.startTransaction();
 
-      // Find student within the transaction session
-      const student = await Student.findById(id).session(session);
+      // Find student within the caller's scope inside the transaction session
+      const student = await Student.findOne({
+        _id: id,
+        ...(await studentScopeFilter(req.scope)),
+      }).session(session);
       if (!student) {
         await session.abortTransaction();
         session.endSession();
@@ -1251,7 +1377,7 @@ const deleteStudent = async (req, res) => {
         userAvatarUrl = user?.avatar; // save the avatar URL
       }
 
-      const tkMetaData = await TokenMetadata.findOne({
+      const tkMetaData = await TokenMetadata.find({
         userId: student.userId,
       }).session(session);
 
@@ -1271,9 +1397,9 @@ const deleteStudent = async (req, res) => {
       }
 
       // Check if token metadata exists before deleting
-      if (tkMetaData) {
+      if (tkMetaData.length > 0) {
         deletions.push(
-          TokenMetadata.deleteOne({ userId: student.userId }, { session })
+          TokenMetadata.deleteMany({ userId: student.userId }, { session })
         );
       }
 
@@ -1304,7 +1430,7 @@ const deleteStudent = async (req, res) => {
           studentId: student._id,
           userId: student.userId,
           addressId: student.addressId,
-          tokenMetadataId: tkMetaData ? tkMetaData._id : null,
+          tokenMetadataIds: tkMetaData.map((token) => token._id),
         },
       });
     } catch (error) {
@@ -1568,7 +1694,9 @@ const getStudentByUserId = async (req, res) => {
     }
 
     // 2. Fetch student with populated user
-    const student = await Student.findOne({ userId })
+    const student = await Student.findOne({
+      $and: [{ userId }, await studentScopeFilter(req.scope)],
+    })
       .populate({
         path: "userId",
         populate: {
@@ -1716,29 +1844,32 @@ const updateStudentAddressId = async (req, res) => {
  *               type: object
  *               properties:
  *                 summary:
- *                   type: object
- *                   properties:
- *                     total:
- *                       type: integer
- *                       description: Total number of attendance records
- *                       example: 10
- *                     attended:
- *                       type: integer
- *                       description: Number of attended sessions
- *                       example: 7
- *                     missed:
- *                       type: integer
- *                       description: Number of missed sessions
- *                       example: 3
- *                     percentage:
- *                       type: integer
- *                       description: Attendance percentage
- *                       example: 70
+ *                   $ref: '#/components/schemas/AttendanceSummary'
+ *                 groups:
+ *                   type: array
+ *                   description: >-
+ *                     Progress per group the student attends. Make-up sessions
+ *                     taken in other groups count toward the group they made up.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       groupId:
+ *                         type: string
+ *                         example: "707f1f77bcf86cd799439013"
+ *                       groupName:
+ *                         type: string
+ *                         example: "Group A"
+ *                       summary:
+ *                         $ref: '#/components/schemas/AttendanceSummary'
  *                 sessions:
  *                   type: array
  *                   items:
  *                     type: object
  *                     properties:
+ *                       session:
+ *                         type: integer
+ *                         description: Number of the group session (1 to 25)
+ *                         example: 3
  *                       date:
  *                         type: string
  *                         format: date
@@ -1746,8 +1877,13 @@ const updateStudentAddressId = async (req, res) => {
  *                         example: "2023-10-01"
  *                       status:
  *                         type: string
- *                         description: Attendance status (attended/missed)
+ *                         description: Attendance outcome (attended/missed/excused)
  *                         example: "attended"
+ *                       attendanceStatus:
+ *                         type: string
+ *                         enum: [present, late, excused, absent, made-up]
+ *                         description: Status recorded by the instructor
+ *                         example: "late"
  *                       groupName:
  *                         type: string
  *                         description: Name of the group
@@ -1756,6 +1892,20 @@ const updateStudentAddressId = async (req, res) => {
  *                         type: string
  *                         description: Notes for the attendance record
  *                         example: "Arrived on time"
+ *                       madeUpIn:
+ *                         type: object
+ *                         description: Where a made-up session was attended
+ *                         properties:
+ *                           groupName:
+ *                             type: string
+ *                             example: "Group B"
+ *                           session:
+ *                             type: integer
+ *                             example: 4
+ *                           date:
+ *                             type: string
+ *                             format: date
+ *                             example: "2023-10-03"
  *       404:
  *         description: Student not found
  *         content:
@@ -1797,36 +1947,66 @@ const getStudentAttendance = async (req, res) => {
 
     if (!attendanceRecords.length) {
       return res.json({
-        summary: {
-          total: 0,
-          attended: 0,
-          missed: 0,
-          percentage: 0,
-        },
+        summary: summarizeAttendance([]),
+        groups: [],
         sessions: [],
       });
     }
 
+    // Sessions taken in other groups count through the home group session
+    // they made up (recorded as "made-up"), so they are not counted twice
+    const makeUps = attendanceRecords.filter((r) => r.makeUpFor?.groupId);
+    const records = attendanceRecords.filter((r) => !r.makeUpFor?.groupId);
+
+    const findMakeUp = (record) =>
+      makeUps.find(
+        (m) =>
+          String(m.makeUpFor.groupId) === String(record.groupId?._id) &&
+          m.makeUpFor.sessionNumber === record.sessionNumber
+      );
+
     // Map attendance records to desired format
-    const sessions = attendanceRecords.map((record) => ({
-      date: record.date,
-      status: record.isPresent ? "attended" : "missed",
-      groupName: record.groupId?.name || "Unknown Group",
-      notes: record.notes,
-    }));
+    const sessions = records.map((record) => {
+      const makeUp = record.status === "made-up" && findMakeUp(record);
+      return {
+        session: record.sessionNumber,
+        date: record.date,
+        status: attendanceOutcome(record),
+        attendanceStatus: record.status,
+        groupName: record.groupId?.name || "Unknown Group",
+        notes: record.notes,
+        ...(makeUp && {
+          madeUpIn: {
+            groupName: makeUp.groupId?.name || "Unknown Group",
+            session: makeUp.sessionNumber,
+            date: makeUp.date,
+          },
+        }),
+      };
+    });
 
-    const total = sessions.length;
-    const attended = sessions.filter((s) => s.status === "attended").length;
-    const missed = total - attended;
-    const percentage = Math.round((attended / total) * 100);
+    // Progress per home group
+    const byGroup = new Map();
+    records.forEach((record) => {
+      const key = String(record.groupId?._id);
+      if (!byGroup.has(key)) {
+        byGroup.set(key, {
+          groupId: record.groupId?._id,
+          groupName: record.groupId?.name || "Unknown Group",
+          records: [],
+        });
+      }
+      byGroup.get(key).records.push(record);
+    });
+    const groups = [...byGroup.values()].map(({ records, ...group }) => ({
+      ...group,
+      summary: summarizeAttendance(records),
+    }));
 
+    // Excused sessions are left out of the percentage
     res.json({
-      summary: {
-        total,
-        attended,
-        missed,
-        percentage,
-      },
+      summary: summarizeAttendance(records),
+      groups,
       sessions,
     });
   } catch (error) {
@@ -1835,6 +2015,650 @@ const getStudentAttendance = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/students/{id}/progress:
+ *   get:
+ *     summary: Get the course progress of a student
+ *     description: >-
+ *       Returns the progress of each registration of the student against the
+ *       completion rules (minimum attendance of the course sessions and,
+ *       optionally, the final session completed), as evaluated when
+ *       attendance was recorded or a session was completed. Completing an EC1
+ *       group promotes an EC1 student to EC2.
+ *     tags: [Student]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The student ID
+ *     responses:
+ *       200:
+ *         description: Progress of the student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Success"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     studentId:
+ *                       type: string
+ *                       example: "507f1f77bcf86cd799439011"
+ *                     level:
+ *                       type: string
+ *                       enum: [EC1, EC2]
+ *                       example: "EC2"
+ *                     rules:
+ *                       type: object
+ *                       properties:
+ *                         totalSessions:
+ *                           type: integer
+ *                           example: 25
+ *                         minAttendance:
+ *                           type: number
+ *                           description: Minimum percentage of sessions attended
+ *                           example: 80
+ *                         requireFinalSession:
+ *                           type: boolean
+ *                           example: true
+ *                     registrations:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           registrationId:
+ *                             type: string
+ *                             example: "607f1f77bcf86cd799439012"
+ *                           group:
+ *                             type: object
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                                 example: "707f1f77bcf86cd799439013"
+ *                               name:
+ *                                 type: string
+ *                                 example: "Group A"
+ *                           completed:
+ *                             type: boolean
+ *                             example: true
+ *                           completedAt:
+ *                             type: string
+ *                             format: date-time
+ *                             example: "2024-06-01T18:00:00.000Z"
+ *                           completedLevel:
+ *                             type: string
+ *                             enum: [EC1, EC2]
+ *                             example: "EC1"
+ *                           progress:
+ *                             $ref: '#/components/schemas/RegistrationProgress'
+ *                           certificateUrl:
+ *                             type: string
+ *                             nullable: true
+ *                             example: "/api/students/507f1f77bcf86cd799439011/certificates/607f1f77bcf86cd799439012"
+ *       400:
+ *         description: Invalid student ID
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Student not found
+ *       500:
+ *         description: Internal server error
+ */
+const getStudentProgress = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // 1. Validate ID format
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid student ID" });
+    }
+    // 2. Find the student within the caller's scope
+    const student = await Student.findOne({
+      _id: id,
+      ...(await studentScopeFilter(req.scope)),
+    }).select("level");
+    if (!student) {
+      return res.status(404).json({ message: "Student not found" });
+    }
+
+    // 3. Progress as stored by the last evaluation of each registration
+    const registrations = await Registration.find({ studentId: id })
+      .populate("groupId", "name")
+      .sort({ createdAt: 1 });
+
+    // 4. Success response
+    res.status(200).json({
+      message: "Success",
+      data: {
+        studentId: student._id,
+        level: student.level,
+        rules: completionRules,
+        registrations: registrations.map((registration) => ({
+          registrationId: registration._id,
+          group: registration.groupId,
+          completed: registration.completed,
+          completedAt: registration.completedAt,
+          completedLevel: registration.completedLevel,
+          progress: registration.progress,
+          certificateUrl: registration.completed
+            ? `/api/students/${id}/certificates/${registration._id}`
+            : null,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting student progress:", error);
+    res.status(500).json({ message: "Server error fetching progress" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/students/{id}/certificates/{registrationId}:
+ *   get:
+ *     summary: Download the completion certificate of a course
+ *     description: Generates a PDF certificate for a completed registration of the student.
+ *     tags: [Student]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The student ID
+ *       - in: path
+ *         name: registrationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the completed registration
+ *     responses:
+ *       200:
+ *         description: The certificate
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid ID, or the course has not been completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "The course has not been completed yet"
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Student or registration not found
+ *       500:
+ *         description: Internal server error
+ */
+const getStudentCertificate = async (req, res) => {
+  try {
+    const { id, registrationId } = req.params;
+
+    // 1. Validate ID formats
+    if (
+      !mongoose.isValidObjectId(id) ||
+      !mongoose.isValidObjectId(registrationId)
+    ) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
+    // 2. Find the student within the caller's scope
+    const student = await Student.findOne({
+      _id: id,
+      ...(await studentScopeFilter(req.scope)),
+    }).populate({
+      path: "userId",
+      select: "firstName lastName wardId",
+      populate: { path: "wardId", select: "name" },
+    });
+    if (!student) {
+      return res.status(404).json({ message: "Student not found" });
+    }
+    // 3. The registration must belong to the student and be completed
+    const registration = await Registration.findOne({
+      _id: registrationId,
+      studentId: id,
+    }).populate("groupId", "name");
+    if (!registration) {
+      return res.status(404).json({ message: "Registration not found" });
+    }
+    if (!registration.completed) {
+      return res
+        .status(400)
+        .json({ message: "The course has not been completed yet" });
+    }
+
+    // 4. Stream the PDF
+    const user = student.userId;
+    const doc = createCertificate({
+      studentName: [user?.firstName, user?.lastName].filter(Boolean).join(" "),
+      level: registration.completedLevel,
+      groupName: registration.groupId?.name,
+      wardName: user?.wardId?.name,
+      completedAt: registration.completedAt,
+    });
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="certificate-${registration._id}.pdf"`
+    );
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    console.error("Error generating certificate:", error);
+    res.status(500).json({ message: "Server error generating certificate" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/students/import:
+ *   post:
+ *     summary: Import students from a CSV or XLSX roster
+ *     description: >-
+ *       Reads the first sheet of the file (first row with column names),
+ *       maps the columns to user, address and student fields and validates
+ *       every row like a single student creation. Column names are recognized
+ *       in English, Spanish, Portuguese and French (e.g. Nombre, Apellido,
+ *       Correo, Teléfono, Ciudad); others can be mapped with `mapping`.
+ *       With `dryRun=true` nothing is saved and the per-row report is
+ *       returned. Otherwise, if every row is valid, all students are created
+ *       in a single transaction (and registered in `groupId` when given,
+ *       students beyond its capacity going to its waitlist);
+ *       if any row has errors nothing is imported. Students without a
+ *       password column get a random password and can set their own with the
+ *       password reset flow.
+ *     tags: [Student]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - wardId
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV (comma or semicolon separated) or XLSX file
+ *               wardId:
+ *                 type: string
+ *                 description: Ward of the imported students
+ *               groupId:
+ *                 type: string
+ *                 description: Group to register every imported student in
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Only validate and report, without saving
+ *               mapping:
+ *                 type: string
+ *                 description: JSON object of column names to fields
+ *                 example: '{"Correo personal": "email", "Cel": "phone"}'
+ *     responses:
+ *       200:
+ *         description: Dry-run report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StudentImportReport'
+ *       201:
+ *         description: Students imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StudentImportReport'
+ *       400:
+ *         description: Invalid options (e.g. a group of another ward) or unreadable file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "A CSV or XLSX file is required"
+ *       403:
+ *         description: Ward or group outside the caller's scope
+ *       404:
+ *         description: Ward or group not found
+ *       409:
+ *         description: An email was registered while importing
+ *       422:
+ *         description: Some rows are invalid; nothing was imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StudentImportReport'
+ *       500:
+ *         description: Internal server error
+ */
+const importStudents = async (req, res) => {
+  let session;
+
+  try {
+    // 1. Validate the options and the file
+    const { value: options, error } = studentImportSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: "A CSV or XLSX file is required" });
+    }
+
+    // 2. The ward (and group) must exist within the caller's scope
+    const ward = await Ward.findById(options.wardId);
+    if (!ward) {
+      return res.status(404).json({ message: "Ward not found" });
+    }
+    if (!isWardInScope(req.scope, ward._id)) {
+      return res.status(403).json({ message: "Ward is outside your scope" });
+    }
+    let group = null;
+    if (options.groupId) {
+      group = await Group.findById(options.groupId);
+      if (!group) {
+        return res.status(404).json({ message: "Group not found" });
+      }
+      if (!isWardInScope(req.scope, group.wardId)) {
+        return res.status(403).json({ message: "Group is outside your scope" });
+      }
+      if (String(group.wardId) !== String(ward._id)) {
+        return res
+          .status(400)
+          .json({ message: "Group must belong to the ward of the import" });
+      }
+    }
+
+    // 3. Read the rows
+    let sheet;
+    try {
+      sheet = await readSpreadsheet(req.file);
+    } catch (err) {
+      return res
+        .status(400)
+        .json({ message: "The file could not be read as CSV or XLSX" });
+    }
+    if (sheet.rows.length === 0) {
+      return res.status(400).json({ message: "The file has no rows" });
+    }
+    if (sheet.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        message: `A file can contain at most ${MAX_IMPORT_ROWS} rows`,
+      });
+    }
+
+    // 4. Validate every row
+    const { columns, ignored } = mapColumns(sheet.headers, options.mapping);
+    const entries = await previewImport(sheet.rows, columns);
+    const invalid = entries.filter((entry) => entry.errors.length).length;
+    const report = {
+      dryRun: options.dryRun,
+      columns,
+      ignoredColumns: ignored,
+      summary: {
+        total: entries.length,
+        valid: entries.length - invalid,
+        invalid,
+      },
+      rows: entries.map(({ row, email, errors }) => ({ row, email, errors })),
+    };
+
+    if (options.dryRun) {
+      return res.status(200).json({ message: "Import preview", ...report });
+    }
+    if (invalid > 0) {
+      return res.status(422).json({
+        message: "Some rows are invalid; no students were imported",
+        ...report,
+      });
+    }
+
+    // 5. Create every student in a single transaction
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    // Students beyond the group's capacity go to its waitlist
+    let seats = group ? await freeSeats(group, session) : 0;
+
+    const imported = [];
+    for (const { row, payload } of entries) {
+      const { user, address, ...studentData } = payload;
+
+      const [newUser] = await User.create(
+        [
+          {
+            ...user,
+            password: user.password || temporaryPassword(),
+            type: 1, // Student type
+            wardId: ward._id,
+            avatar: DEFAULT_AVATAR_URL,
+          },
+        ],
+        { session }
+      );
+      const [newAddress] = address
+        ? await Address.create([address], { session })
+        : [null];
+      const [newStudent] = await Student.create(
+        [
+          {
+            ...studentData,
+            userId: newUser._id,
+            addressId: newAddress?._id,
+          },
+        ],
+        { session }
+      );
+      let registrationStatus = null;
+      if (group) {
+        registrationStatus = seats > 0 ? "active" : "pending";
+        seats--;
+        await Registration.create(
+          [
+            {
+              studentId: newStudent._id,
+              groupId: group._id,
+              date: new Date(),
+              status: registrationStatus,
+            },
+          ],
+          { session }
+        );
+      }
+
+      imported.push({
+        row,
+        email: newUser.email,
+        userId: newUser._id,
+        studentId: newStudent._id,
+        registrationStatus,
+      });
+    }
+
+    await session.commitTransaction();
+
+    // 6. Success response
+    res.status(201).json({
+      message: `${imported.length} students imported`,
+      ...report,
+      data: imported,
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error("Error importing students:", error);
+    // Another request registered one of the emails meanwhile
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: "An email in the file was registered while importing",
+      });
+    }
+    res.status(500).json({ message: "Student import failed" });
+  } finally {
+    if (session) {
+      session.endSession();
+    }
+  }
+};
+
+/**
+ * @swagger
+ * /api/students/export:
+ *   get:
+ *     summary: Export the student list
+ *     description: >-
+ *       Students within the caller's scope as CSV, XLSX or PDF. Accepts the
+ *       same sorting and filters as GET /api/students (without pagination);
+ *       the file is streamed as students are read.
+ *     tags: [Student]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ExportFormatParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: "-createdAt"
+ *         description: "Comma-separated sort fields, prefixed with - for descending order: createdAt, birthDate, level, language"
+ *       - $ref: '#/components/parameters/FromParam'
+ *       - $ref: '#/components/parameters/ToParam'
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [EC1, EC2]
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           enum: [Spanish, French, Portuguese, Italian]
+ *       - in: query
+ *         name: churchMembership
+ *         schema:
+ *           type: string
+ *           enum: [Member, Non-member]
+ *       - in: query
+ *         name: wardId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: stakeId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/ExportFile'
+ *       400:
+ *         description: Invalid format or filters
+ *       500:
+ *         description: Internal server error
+ */
+const exportStudents = async (req, res) => {
+  try {
+    // 1. Validate the format, sorting and filters
+    const format = exportQuerySchema.validate(req.query, {
+      stripUnknown: true,
+    });
+    const { error, list } = parseListQuery(req.query, studentListQuery);
+    const invalid = format.error || error;
+    if (invalid) {
+      return res.status(400).json({ message: invalid.details[0].message });
+    }
+
+    // 2. Stream the students within the caller's scope
+    const students = Student.find(await studentListFilter(req, list))
+      .sort(list.sort)
+      .populate({
+        path: "userId",
+        select: "firstName lastName email phone wardId",
+        populate: { path: "wardId", select: "name" },
+      })
+      .populate("addressId", "city state country")
+      .cursor();
+
+    await sendExport(res, format.value.format, {
+      filename: "students",
+      title: "Students",
+      columns: [
+        { key: "lastName", header: "Last name", width: 18 },
+        { key: "firstName", header: "First name", width: 18 },
+        { key: "email", header: "Email", width: 28 },
+        { key: "phone", header: "Phone", width: 14 },
+        { key: "ward", header: "Ward", width: 18 },
+        { key: "level", header: "Level", width: 7 },
+        { key: "language", header: "Language", width: 11 },
+        { key: "churchMembership", header: "Membership", width: 11 },
+        { key: "birthDate", header: "Birth date", width: 11 },
+        { key: "city", header: "City", width: 15 },
+        { key: "createdAt", header: "Created", width: 11 },
+      ],
+      rows: mapRows(students, (student) => ({
+        lastName: student.userId?.lastName,
+        firstName: student.userId?.firstName,
+        email: student.userId?.email,
+        phone: student.userId?.phone,
+        ward: student.userId?.wardId?.name,
+        level: student.level,
+        language: student.language,
+        churchMembership: student.churchMembership,
+        birthDate: student.birthDate,
+        city: student.addressId?.city,
+        createdAt: student.createdAt,
+      })),
+    });
+  } catch (error) {
+    console.error("Error exporting students:", error);
+    // The file may already be partially sent
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Students within the caller's scope matching the filters of a list query.
+// Students are linked to wards (and stakes) through their user.
+const studentListFilter = async (req, list) => {
+  const { wardId, stakeId, ...match } = list.filter;
+  let wardFilter = {};
+  if (wardId || stakeId) {
+    const wardIds = await filteredWardIds({ wardId, stakeId });
+    const userIds = await User.find({ wardId: { $in: wardIds } }).distinct(
+      "_id"
+    );
+    wardFilter = { userId: { $in: userIds } };
+  }
+  return combineFilters(await studentScopeFilter(req.scope), wardFilter, match);
+};
+
+// Outcome of an attendance record as reported to students
+const attendanceOutcome = (record) => {
+  if (record.status === "excused") return "excused";
+  return record.isPresent ? "attended" : "missed";
+};
+
 module.exports = {
   getAllStudents,
   getStudentById,
@@ -1846,4 +2670,8 @@ module.exports = {
   getStudentByUserId,
   updateStudentAddressId,
   getStudentAttendance,
+  getStudentProgress,
+  getStudentCertificate,
+  importStudents,
+  exportStudents,
 };
@@ -1,6 +1,14 @@
 // controllers/termController.js
 const Term = require("../models/term");
-const { termSchema, termUpdateSchema } = require("../validators/term");
+const Group = require("../models/group");
+const {
+  termSchema,
+  termUpdateSchema,
+  currentTermQuerySchema,
+  termRolloverSchema,
+} = require("../validators/term");
+const { findTermAt } = require("../utils/terms");
+const { planRollover, applyRollover } = require("../utils/rollover");
 const mongoose = require("mongoose");
 
 /**
@@ -161,6 +169,74 @@ const createTerm = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/terms/current:
+ *   get:
+ *     summary: Get the current term
+ *     description: >-
+ *       The term running today, or on `date` when given. When terms overlap,
+ *       the one that started last is returned.
+ *     tags: [Terms]
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Resolve the term running on this date instead of today
+ *         example: 2023-10-15
+ *     responses:
+ *       200:
+ *         description: The current term
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Term found
+ *                 term:
+ *                   $ref: '#/components/schemas/Term'
+ *       400:
+ *         description: Invalid date
+ *       404:
+ *         description: No term runs on that date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: No term found for this date
+ *       500:
+ *         description: Internal Server Error
+ */
+const getCurrentTerm = async (req, res) => {
+  try {
+    // Validate the date
+    const { error, value } = currentTermQuerySchema.validate(req.query, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    // Find the term running on that date
+    const term = await findTermAt(value.date);
+    if (!term) {
+      return res.status(404).json({ message: "No term found for this date" });
+    }
+
+    res.json({ message: "Term found", term });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
 /**
  * @swagger
  * /api/terms/{id}:
@@ -256,6 +332,10 @@ const getTermById = async (req, res) => {
  *               $ref: '#/components/schemas/Term'
  *       400:
  *         description: Bad request
+ *       404:
+ *         description: Term not found
+ *       409:
+ *         description: Groups of the term would fall outside its new dates
  */
 const updateTerm = async (req, res) => {
   try {
@@ -299,6 +379,24 @@ const updateTerm = async (req, res) => {
       }
     }
 
+    // The groups of the term must still fit in it
+    const term = await Term.findById(id);
+    if (!term) {
+      return res.status(404).json({ message: "Term not found" });
+    }
+    const outside = await Group.countDocuments({
+      termId: id,
+      $or: [
+        { start_date: { $lt: value.startDate || term.startDate } },
+        { end_date: { $gt: endOfDay(value.endDate || term.endDate) } },
+      ],
+    });
+    if (outside > 0) {
+      return res.status(409).json({
+        message: `${outside} group(s) of this term would fall outside its dates`,
+      });
+    }
+
     // Update the term
     const updatedTerm = await Term.findByIdAndUpdate(id, value, {
       new: true,
@@ -358,6 +456,8 @@ const updateTerm = async (req, res) => {
  *             schema:
  *               type: string
  *               example: Term not found
+ *       409:
+ *         description: The term still has groups
  *       500:
  *         description: Internal Server Error
  *         content:
@@ -374,6 +474,14 @@ const deleteTerm = async (req, res) => {
       return res.status(400).send({ error: "Invalid ID format" });
     }
     
+    // Terms with groups cannot be deleted
+    const groupCount = await Group.countDocuments({ termId: id });
+    if (groupCount > 0) {
+      return res.status(409).send({
+        error: `The term has ${groupCount} group(s); move them to another term first`,
+      });
+    }
+
     // Check if the term exists and delete it
     const term = await Term.findByIdAndDelete(id);
     if (!term) {
@@ -388,10 +496,221 @@ const deleteTerm = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/terms/{id}/rollover:
+ *   post:
+ *     summary: Roll a term's groups over into the next term
+ *     description: >-
+ *       Clones the groups of the term into an existing term (`targetTermId`)
+ *       or a new one (`newTerm`). Their dates are shifted by the gap between
+ *       both terms' start dates and they get 25 new sessions (topics are kept).
+ *       Optionally, students who did not complete are carried forward to the
+ *       clone of their group, and students who completed EC1 are promoted to
+ *       the EC2 group of their ward with the fewest students (groups need a
+ *       `level`). Students beyond a group's capacity go to its waitlist.
+ *       By default (`dryRun: true`) nothing is saved and the planned groups and
+ *       registrations are returned; send `dryRun: false` to create them in a
+ *       single transaction. Nothing is created when any group has errors.
+ *     tags: [Terms]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The term to roll over
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               targetTermId:
+ *                 type: string
+ *                 description: Existing term to clone the groups into
+ *                 example: 5f3f9c5f6d7a0f0021e9d4b8
+ *               newTerm:
+ *                 type: object
+ *                 description: Term to create and clone the groups into
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     example: Spring 2024
+ *                   startDate:
+ *                     type: string
+ *                     format: date
+ *                     example: 2024-01-22
+ *                   endDate:
+ *                     type: string
+ *                     format: date
+ *                     example: 2024-05-31
+ *               groupIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Only roll over these groups of the term
+ *               carryForward:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Register the active students who did not complete in the clone of their group
+ *               promoteCompleted:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Register the students who completed EC1 in an EC2 group of their ward
+ *               dryRun:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Only return the preview
+ *     responses:
+ *       200:
+ *         description: Preview of the rollover
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TermRollover'
+ *       201:
+ *         description: The groups and registrations were created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/TermRollover'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         groups:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Group'
+ *                         registrations:
+ *                           type: integer
+ *                           example: 34
+ *       400:
+ *         description: Invalid request, or the term has no groups to roll over
+ *       404:
+ *         description: Term not found
+ *       422:
+ *         description: Some groups cannot be rolled over; nothing was created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TermRollover'
+ *       500:
+ *         description: Internal Server Error
+ */
+const rolloverTerm = async (req, res) => {
+  let session;
+  try {
+    const { id } = req.params;
+
+    // 1. Validate the ID and the options
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
+    const { error, value } = termRolloverSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    // 2. Find the source term and the target term (or check the new one)
+    const source = await Term.findById(id);
+    if (!source) {
+      return res.status(404).json({ message: "Term not found" });
+    }
+    let target = value.newTerm;
+    if (value.targetTermId) {
+      if (value.targetTermId === id) {
+        return res
+          .status(400)
+          .json({ message: "Target term must be a different term" });
+      }
+      target = await Term.findById(value.targetTermId);
+      if (!target) {
+        return res.status(404).json({ message: "Target term not found" });
+      }
+    } else if (await Term.exists({ name: target.name })) {
+      return res.status(400).json({ message: "Term name already exists" });
+    }
+
+    // 3. Plan the rollover
+    const plan = await planRollover(source, target, value);
+    if (plan.groups.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "The term has no groups to roll over" });
+    }
+    const report = {
+      dryRun: value.dryRun,
+      source: { _id: source._id, name: source.name },
+      target: {
+        _id: target._id || null,
+        name: target.name,
+        startDate: target.startDate,
+        endDate: target.endDate,
+      },
+      ...plan,
+    };
+
+    if (value.dryRun) {
+      return res.status(200).json({ message: "Rollover preview", ...report });
+    }
+    if (plan.summary.invalid > 0) {
+      return res.status(422).json({
+        message: "Some groups cannot be rolled over; nothing was created",
+        ...report,
+      });
+    }
+
+    // 4. Create the term, groups and registrations in a single transaction
+    session = await mongoose.startSession();
+    session.startTransaction();
+
+    if (!target._id) {
+      [target] = await Term.create([value.newTerm], { session });
+    }
+    const data = await applyRollover(plan, target._id, {
+      session,
+      changedBy: req.user._id,
+    });
+
+    await session.commitTransaction();
+
+    res.status(201).json({
+      message: `${data.groups.length} groups rolled over into ${target.name}`,
+      ...report,
+      target,
+      data,
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error(error);
+    res.status(500).json({ message: "Internal Server Error" });
+  } finally {
+    if (session) {
+      session.endSession();
+    }
+  }
+};
+
+// Last moment of a date's day (UTC)
+const endOfDay = (date) => {
+  const end = new Date(date);
+  end.setUTCHours(23, 59, 59, 999);
+  return end;
+};
+
 module.exports = {
   getTerms,
+  getCurrentTerm,
   createTerm,
   getTermById,
   updateTerm,
   deleteTerm,
+  rolloverTerm,
 };
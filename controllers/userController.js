@@ -1,9 +1,19 @@
 const User = require("../models/user");
 const TokenMetadata = require("../models/tokenMetadata");
+const LoginAttempt = require("../models/loginAttempt");
 const argon2 = require("argon2");
 const { partialUserSchema } = require("../validators/user");
 const mongoose = require("mongoose");
 const { uploadToS3, deleteFromS3 } = require("../utils/upload");
+const { resetFailedLogins } = require("../utils/loginThrottle");
+const { isWardInScope } = require("../utils/scope");
+const {
+  parseListQuery,
+  paginate,
+  combineFilters,
+  filteredWardIds,
+} = require("../utils/listQuery");
+const { userListQuery } = require("../validators/listQuery");
 const dotenv = require("dotenv");
 dotenv.config();
 const DEFAULT_AVATAR_URL = process.env.DEFAULT_AVATAR_URL;
@@ -31,7 +41,36 @@ const comparePassword = async (password, hash) => {
  * /api/users:
  *   get:
  *     summary: Get a list of users
+ *     description: Paginated list of users.
  *     tags: [Users]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: "-createdAt"
+ *         description: "Comma-separated sort fields, prefixed with - for descending order: createdAt, firstName, lastName, email, type"
+ *       - $ref: '#/components/parameters/FromParam'
+ *       - $ref: '#/components/parameters/ToParam'
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: integer
+ *           enum: [1, 10, 11, 12, 13]
+ *         description: Filter by user type
+ *       - in: query
+ *         name: wardId
+ *         schema:
+ *           type: string
+ *         description: Only users of this ward
+ *       - in: query
+ *         name: stakeId
+ *         schema:
+ *           type: string
+ *         description: Only users of the wards of this stake
  *     responses:
  *       200:
  *         description: A list of users
@@ -47,8 +86,10 @@ const comparePassword = async (password, hash) => {
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/UserResponse'
- *       404:
- *         description: No users found
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
  *         content:
  *           application/json:
  *             schema:
@@ -56,7 +97,7 @@ const comparePassword = async (password, hash) => {
  *               properties:
  *                 message:
  *                   type: string
- *                   example: No users found
+ *                   example: "Limit cannot exceed 100"
  *       500:
  *         description: Internal Server
  *         content:
@@ -70,15 +111,27 @@ const comparePassword = async (password, hash) => {
  */
 const getUsers = async (req, res) => {
   try {
-    // Find all users and exclude hashedPassword
-    const users = await User.find().select("-hashedPassword");
-
-    // Check if users exist
-    if (users.length === 0) {
-      return res.status(404).send({ message: "No users found" });
+    // Validate pagination, sorting and filters
+    const { error, list } = parseListQuery(req.query, userListQuery);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
     }
+    const { wardId, stakeId, ...match } = list.filter;
+    const wardFilter =
+      wardId || stakeId
+        ? { wardId: { $in: await filteredWardIds({ wardId, stakeId }) } }
+        : {};
+
+    // Find a page of users and exclude hashedPassword
+    const { data, pagination } = await paginate(
+      User,
+      combineFilters(wardFilter, match),
+      list,
+      { select: "-hashedPassword" }
+    );
+
     // Send the response
-    res.status(200).json({ message: "Success", data: users });
+    res.status(200).json({ message: "Success", data, pagination });
   } catch (error) {
     console.error(error);
     res.status(500).send({ message: "Internal Server Error" });
@@ -277,6 +330,8 @@ const getUserById = async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: Invalid ward ID format
+ *       403:
+ *         description: Ward is outside the caller's scope
  *       500:
  *         description: Internal Server Error
  *         content:
@@ -298,6 +353,11 @@ const getUsersByWardId = async (req, res) => {
       return res.status(400).send({ error: "Invalid ward ID format" });
     }
 
+    // Scoped admins can only list the users of their wards
+    if (!isWardInScope(req.scope, wardId)) {
+      return res.status(403).json({ error: "Ward is outside your scope" });
+    }
+
     // Find users by ward ID and exclude hashedPassword
     const users = await User.find({ wardId: wardId }).select("-hashedPassword");
 
@@ -348,6 +408,8 @@ const getUsersByWardId = async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: Invalid ward ID format
+ *       403:
+ *         description: Ward is outside the caller's scope
  *       500:
  *         description: Internal Server Error
  *         content:
@@ -368,6 +430,11 @@ const getInstructorsByWardId = async (req, res) => {
       return res.status(400).send({ error: "Invalid ward ID format" });
     }
 
+    // Scoped admins can only list the users of their wards
+    if (!isWardInScope(req.scope, wardId)) {
+      return res.status(403).json({ error: "Ward is outside your scope" });
+    }
+
     // Find instructors by ward ID and exclude hashedPassword
     const instructors = await User.find({ wardId: wardId, type: 11 }).select(
       "-hashedPassword"
@@ -468,6 +535,16 @@ const getInstructorsByWardId = async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Invalid current password
+ *       403:
+ *         description: Forbidden (e.g., a non-admin tried to change the user type).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Only admins can change the user type
  *       404:
  *         description: User not found.
  *         content:
@@ -544,6 +621,13 @@ const updateUser = async (req, res) => {
       phone,
     } = value;
 
+    // Only admins can change the type of an account
+    if (type && type !== user.type && req.user.type !== 10) {
+      return res
+        .status(403)
+        .send({ message: "Only admins can change the user type" });
+    }
+
     // If the user is trying to update their email, check if it already exists
     if (email && email !== user.email) {
       const existing = await User.findOne({ email });
@@ -713,7 +797,146 @@ const deleteUser = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user account
+ *     description: Clears the failed login counter and any temporary lock of the account.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: Account unlocked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Account unlocked successfully
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal Server Error
+ */
+const unlockUser = async (req, res) => {
+  try {
+    // Validate the user ID format
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).send({ error: "Invalid ID format" });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).send({ message: "User not found" });
+    }
+
+    await resetFailedLogins(user._id);
+
+    res.status(200).json({ message: "Account unlocked successfully" });
+  } catch (error) {
+    console.error("Unlock user error:", error);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
+
+/**
+ * @swagger
+ * /api/users/{id}/login-attempts:
+ *   get:
+ *     summary: Get the login history of a user
+ *     description: Returns the most recent login attempts (successful and failed) of the user, newest first.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *         description: Maximum number of attempts to return
+ *     responses:
+ *       200:
+ *         description: Login attempts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                         example: 507f1f77bcf86cd799439011
+ *                       ipAddress:
+ *                         type: string
+ *                         example: 192.168.1.1
+ *                       userAgent:
+ *                         type: string
+ *                         example: Mozilla/5.0 (Windows NT 10.0; Win64; x64)
+ *                       success:
+ *                         type: boolean
+ *                         example: false
+ *                       reason:
+ *                         type: string
+ *                         enum: [success, invalid_credentials, locked, ip_blocked, unverified]
+ *                         example: invalid_credentials
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                         example: 2023-10-15T12:00:00Z
+ *       400:
+ *         description: Invalid ID format
+ *       500:
+ *         description: Internal Server Error
+ */
+const getUserLoginAttempts = async (req, res) => {
+  try {
+    // Validate the user ID format
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).send({ error: "Invalid ID format" });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const attempts = await LoginAttempt.find({ userId: id })
+      .select("ipAddress userAgent success reason createdAt")
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({ message: "Success", data: attempts });
+  } catch (error) {
+    console.error("Login attempts error:", error);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
+
 module.exports = {
+  unlockUser,
+  getUserLoginAttempts,
   getUsers,
   getUserById,
   deleteUser,
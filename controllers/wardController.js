@@ -2,6 +2,16 @@
 const Ward = require("../models/ward");
 const { wardSchema, wardUpdateSchema } = require("../validators/ward");
 const mongoose = require("mongoose");
+const {
+  stakeScopeFilter,
+  isStakeInScope,
+} = require("../utils/scope");
+const {
+  parseListQuery,
+  paginate,
+  combineFilters,
+} = require("../utils/listQuery");
+const { wardListQuery } = require("../validators/listQuery");
 /**
  * @swagger
  * tags:
@@ -15,7 +25,25 @@ const mongoose = require("mongoose");
  * /api/wards:
  *   get:
  *     summary: Get a list of wards
+ *     description: Paginated list of the wards within the caller's scope.
  *     tags: [Wards]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: "name"
+ *         description: "Comma-separated sort fields, prefixed with - for descending order: name, createdAt"
+ *       - $ref: '#/components/parameters/FromParam'
+ *       - $ref: '#/components/parameters/ToParam'
+ *       - in: query
+ *         name: stakeId
+ *         schema:
+ *           type: string
+ *         description: Only wards of this stake
  *     responses:
  *       200:
  *         description: A list of wards
@@ -32,8 +60,10 @@ const mongoose = require("mongoose");
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Ward'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       400:
- *         description: Bad Request
+ *         description: Invalid query parameters
  *         content:
  *           application/json:
  *             schema:
@@ -42,18 +72,7 @@ const mongoose = require("mongoose");
  *                 error:
  *                   type: string
  *                   description: Error message
- *                   example: "Invalid ID format"
- *       404:
- *         description: Wards not found
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   description: Error message
- *                   example: "No wards found"
+ *                   example: "Invalid Stake ID format"
  *       500:
  *         description: Internal Server Error
  *         content:
@@ -68,14 +87,21 @@ const mongoose = require("mongoose");
  */
 const getWards = async (req, res) => {
   try {
-    // Fetch all wards and populate the stakeId field
-    const wards = await Ward.find().populate("stakeId");
-    // Check if wards exist
-    if (wards.length === 0) {
-      return res.status(404).send("No wards found");
+    // Validate pagination, sorting and filters
+    const { error, list } = parseListQuery(req.query, wardListQuery);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
     }
+    // Fetch a page of the wards within the caller's scope and populate the
+    // stakeId field
+    const { data, pagination } = await paginate(
+      Ward,
+      combineFilters(stakeScopeFilter(req.scope, "stakeId"), list.filter),
+      list,
+      { populate: "stakeId" }
+    );
     // Return the wards
-    res.status(200).json({ message: "Wards found", data: wards });
+    res.status(200).json({ message: "Wards found", data, pagination });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
@@ -145,8 +171,11 @@ const getWardById = async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).send({ error: "Invalid ID format" });
     }
-    // Find the ward by ID
-    const ward = await Ward.findById(id).populate("stakeId");
+    // Find the ward by ID within the caller's scope
+    const ward = await Ward.findOne({
+      _id: id,
+      ...stakeScopeFilter(req.scope, "stakeId"),
+    }).populate("stakeId");
     // Check if the ward exists
     if (!ward) {
       return res.status(404).send({ error: "Ward not found" });
@@ -206,6 +235,8 @@ const getWardById = async (req, res) => {
  *                 error:
  *                   type: string
  *                   description: Error message
+ *       403:
+ *         description: Stake is outside the caller's scope
  *       500:
  *         description: Internal Server Error
  *         content:
@@ -226,6 +257,11 @@ const createWard = async (req, res) => {
     }
     const { name, location, stakeId } = req.body;
 
+    // Scoped admins can only create wards in their own stakes
+    if (!isStakeInScope(req.scope, stakeId)) {
+      return res.status(403).send({ error: "Stake is outside your scope" });
+    }
+
     const ward = new Ward({ name, location, stakeId });
     await ward.save();
 
@@ -305,6 +341,8 @@ const createWard = async (req, res) => {
  *                   type: string
  *                   description: Error message.
  *                   example: "Invalid ID format"
+ *       403:
+ *         description: Target stake is outside the caller's scope.
  *       404:
  *         description: Ward not found.
  *         content:
@@ -343,12 +381,20 @@ const updateWard = async (req, res) => {
       return res.status(400).send({ error: error.details[0].message });
     }
 
-    // Check if the ward exists
-    const ward = await Ward.findById(req.params.id).populate("stakeId");
+    // Check if the ward exists within the caller's scope
+    const ward = await Ward.findOne({
+      _id: id,
+      ...stakeScopeFilter(req.scope, "stakeId"),
+    }).populate("stakeId");
     if (!ward) {
       return res.status(404).send({ error: "Ward not found" });
     }
 
+    // A ward cannot be moved to a stake outside the caller's scope
+    if (stakeId && !isStakeInScope(req.scope, stakeId)) {
+      return res.status(403).send({ error: "Stake is outside your scope" });
+    }
+
     // Validate if changes were made
     if (!name && !location && !stakeId) {
       return res.status(400).send({ error: "No changes made" });
@@ -432,8 +478,11 @@ const deleteWard = async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).send({ error: "Invalid ID format" });
     }
-    // Check if the ward exists
-    const ward = await Ward.findById(id);
+    // Check if the ward exists within the caller's scope
+    const ward = await Ward.findOne({
+      _id: id,
+      ...stakeScopeFilter(req.scope, "stakeId"),
+    });
     if (!ward) {
       return res.status(404).send({ error: "Ward not found" });
     }
@@ -40,6 +40,9 @@ function authorize(types = []) {
         return res.status(403).json({ message: "Unauthorized access" });
       }
 
+      // Trust the stored role over the one in the token
+      req.user.type = user.type;
+
       next();
     } catch (error) {
       return res.status(500).json({ message: "Authorization check failed" });
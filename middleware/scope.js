@@ -0,0 +1,28 @@
+// middleware/scope.js
+const { userScope } = require("../utils/scope");
+
+// Resolve the stakes and wards a scoped administrator may manage and attach
+// them to `req.scope`:
+//   12 = Stake Admin    -> the stake of the admin's ward
+//   13 = Country Admin  -> every stake in the country of the admin's stake
+// Global admins (10) and other user types get `req.scope = null`, i.e. no
+// scope restriction. Must run after authenticate and authorize.
+async function resolveScope(req, res, next) {
+  try {
+    // The token can be stale, so the role and scope are read from the database
+    const scope = await userScope(req.user._id);
+    if (scope === undefined) {
+      return res
+        .status(403)
+        .json({ message: "No stake assigned to this administrator" });
+    }
+
+    req.scope = scope;
+    next();
+  } catch (error) {
+    console.error("Scope resolution error:", error);
+    res.status(500).json({ message: "Authorization check failed" });
+  }
+}
+
+module.exports = resolveScope;
@@ -27,11 +27,12 @@ const handleUploadErrors = (err, req, res, next) => {
   }
 
   // Custom file type errors
+  // (image uploads unless the error lists its own allowed types)
   if (err?.code === 'LIMIT_FILE_TYPE') {
     return res.status(400).json({
       success: false,
-      message: "Only JPEG, PNG, or WebP images are allowed",
-      allowedTypes: ['image/jpeg', 'image/png', 'image/webp'],
+      message: err.allowedTypes ? err.message : "Only JPEG, PNG, or WebP images are allowed",
+      allowedTypes: err.allowedTypes || ['image/jpeg', 'image/png', 'image/webp'],
       code: "INVALID_FILE_TYPE"
     });
   }
@@ -1,33 +1,42 @@
 // middleware/validateOwnership.js
-const Student = require("../models/student");
+const mongoose = require("mongoose");
+const { policies } = require("../utils/policies");
 
-async function validateStudentOwnership(req, res, next) {
-  // Skip check for admins (type=10)
-  if (req.user.type === 10) return next(); // Admin bypass
-  try {
-    const resourceId = req.params.id;
-    const userId = req.user._id;
+// Build a middleware that checks the authenticated user may access the
+// document identified by `req.params[param]`, according to the named policy
+// in utils/policies.js (student, studentUser, user, address, group,
+// instructor, attendance). Must run after authenticate and authorize, and after
+// resolveScope on routes open to scoped admins.
+function validateOwnership(resource, param = "id") {
+  const policy = policies[resource];
+  if (!policy) {
+    throw new Error(`Unknown ownership policy: ${resource}`);
+  }
 
-    // Single query that checks both existence and ownership
-    const student = await Student.findOne({
-      _id: resourceId,
-      userId: userId,
-    });
+  return async (req, res, next) => {
+    // Skip check for admins (type=10)
+    if (req.user.type === 10) return next(); // Admin bypass
+    try {
+      const resourceId = req.params[param];
+      if (!mongoose.isValidObjectId(resourceId)) {
+        return res.status(400).json({ error: "Invalid ID format" });
+      }
 
-    if (!student) {
-      // Don't reveal whether record exists
-      return res.status(403).json({
-        error: "You can only modify your own data",
-      });
-    }
+      if (!(await policy(req, resourceId))) {
+        // Don't reveal whether record exists
+        return res.status(403).json({
+          error: "You can only access your own data",
+        });
+      }
 
-    // Attach the student document to the request for later use
-    req.student = student;
-    next();
-  } catch (error) {
-    console.error("Ownership validation error:", error);
-    res.status(500).json({ error: "Server error during ownership validation" });
-  }
+      next();
+    } catch (error) {
+      console.error("Ownership validation error:", error);
+      res
+        .status(500)
+        .json({ error: "Server error during ownership validation" });
+    }
+  };
 }
 
-module.exports = validateStudentOwnership;
+module.exports = validateOwnership;
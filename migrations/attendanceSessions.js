@@ -0,0 +1,119 @@
+// migrations/attendanceSessions.js
+// Links existing Attendance records to the numbered sessions of their Group.
+// Usage: npm run migrate:attendance-sessions [-- --dry-run]
+//
+// Records are matched to the group session held on the same day. Days that
+// no session is dated for are assigned, in chronological order, to the first
+// sessions without a date, which then get that date and are marked completed.
+// Records that would duplicate a student/session pair are left unlinked and
+// reported, so the unique index can be built.
+const mongoose = require("mongoose");
+const { connectToDatabase } = require("../config/db");
+const Attendance = require("../models/attendance");
+const Group = require("../models/group");
+const { sessionNumberForDate } = require("../utils/attendanceSessions");
+
+const UNLINKED = { sessionNumber: { $exists: false } };
+
+const migrateGroup = async (group, dryRun) => {
+  const stats = { linked: 0, unmatched: 0, duplicates: 0 };
+
+  // Oldest day first; within a day the most recently updated record wins
+  const records = await Attendance.find({ groupId: group._id, ...UNLINKED })
+    .sort({ date: 1, updatedAt: -1 })
+    .select("studentId date");
+
+  // Student/session pairs already linked
+  const linked = await Attendance.find({
+    groupId: group._id,
+    sessionNumber: { $type: "number" },
+  }).select("studentId sessionNumber");
+  const taken = new Set(
+    linked.map((r) => `${r.studentId}:${r.sessionNumber}`)
+  );
+
+  const freeSessions = group.sessions
+    .filter((s) => !s.date)
+    .sort((a, b) => a.number - b.number);
+  let groupChanged = false;
+
+  for (const record of records) {
+    let number = sessionNumberForDate(group, record.date);
+
+    // 1. No session on that day: use the next undated session
+    if (number === undefined && freeSessions.length > 0) {
+      const session = freeSessions.shift();
+      session.date = record.date;
+      session.completed = true;
+      number = session.number;
+      groupChanged = true;
+    }
+    if (number === undefined) {
+      stats.unmatched++;
+      continue;
+    }
+
+    // 2. Keep a single record per student and session
+    const pair = `${record.studentId}:${number}`;
+    if (taken.has(pair)) {
+      stats.duplicates++;
+      continue;
+    }
+    taken.add(pair);
+
+    if (!dryRun) {
+      await Attendance.updateOne(
+        { _id: record._id },
+        { sessionNumber: number }
+      );
+    }
+    stats.linked++;
+  }
+
+  if (groupChanged && !dryRun) {
+    await group.save();
+  }
+  return stats;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+  await connectToDatabase();
+
+  const totals = { linked: 0, unmatched: 0, duplicates: 0 };
+  const groupIds = await Attendance.distinct("groupId", UNLINKED);
+
+  for (const groupId of groupIds) {
+    const group = await Group.findById(groupId);
+    if (!group) {
+      const orphans = await Attendance.countDocuments({
+        groupId,
+        ...UNLINKED,
+      });
+      console.warn(`Group ${groupId} not found, ${orphans} record(s) skipped`);
+      totals.unmatched += orphans;
+      continue;
+    }
+
+    const stats = await migrateGroup(group, dryRun);
+    console.log(
+      `${group.name}: ${stats.linked} linked, ${stats.unmatched} unmatched, ${stats.duplicates} duplicate(s)`
+    );
+    Object.keys(totals).forEach((key) => (totals[key] += stats[key]));
+  }
+
+  if (!dryRun) {
+    await Attendance.syncIndexes();
+  }
+
+  console.log(
+    `${dryRun ? "[dry run] " : ""}Done: ${totals.linked} linked, ${totals.unmatched} unmatched, ${totals.duplicates} duplicate(s)`
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("Attendance session migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
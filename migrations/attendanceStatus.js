@@ -0,0 +1,33 @@
+// migrations/attendanceStatus.js
+// Sets the status of Attendance records saved before statuses existed, from
+// their isPresent flag.
+// Usage: npm run migrate:attendance-status
+const mongoose = require("mongoose");
+const { connectToDatabase } = require("../config/db");
+const Attendance = require("../models/attendance");
+
+const run = async () => {
+  await connectToDatabase();
+
+  // Update pipeline on the raw collection: the model hooks would overwrite
+  // isPresent from the (missing) status
+  const result = await Attendance.collection.updateMany(
+    { status: { $exists: false } },
+    [
+      {
+        $set: {
+          status: { $cond: ["$isPresent", "present", "absent"] },
+        },
+      },
+    ]
+  );
+
+  console.log(`Done: ${result.modifiedCount} record(s) updated`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Attendance status migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
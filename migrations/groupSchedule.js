@@ -0,0 +1,41 @@
+// migrations/groupSchedule.js
+// Turns the free-text schedules of Groups saved before schedules were
+// structured into schedule objects, keeping the text as their description.
+// Session dates are left as they are.
+// Usage: npm run migrate:group-schedule
+const mongoose = require("mongoose");
+const { connectToDatabase } = require("../config/db");
+const Group = require("../models/group");
+const { normalizeSchedule } = require("../utils/schedule");
+
+const run = async () => {
+  await connectToDatabase();
+
+  // Raw documents: the model reads text schedules as a bare description
+  const groups = await Group.collection
+    .find({ schedule: { $type: "string" } })
+    .project({ schedule: 1 })
+    .toArray();
+
+  let unread = 0;
+  for (const group of groups) {
+    const schedule = normalizeSchedule(group.schedule);
+    if (!schedule.weekdays.length) unread++;
+    await Group.collection.updateOne(
+      { _id: group._id },
+      { $set: { schedule } }
+    );
+  }
+
+  console.log(
+    `Done: ${groups.length} group(s) updated, ` +
+      `${unread} without weekdays in their schedule`
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("Group schedule migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
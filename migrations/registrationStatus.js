@@ -0,0 +1,40 @@
+// migrations/registrationStatus.js
+// Sets the status of Registrations saved before statuses existed: completed
+// when the course was completed, active otherwise, with that status as the
+// start of their history.
+// Usage: npm run migrate:registration-status
+const mongoose = require("mongoose");
+const { connectToDatabase } = require("../config/db");
+const Registration = require("../models/registration");
+
+const run = async () => {
+  await connectToDatabase();
+
+  const result = await Registration.collection.updateMany(
+    { status: { $exists: false } },
+    [
+      {
+        $set: {
+          status: { $cond: ["$completed", "completed", "active"] },
+          statusChangedAt: { $ifNull: ["$completedAt", "$createdAt"] },
+        },
+      },
+      {
+        $set: {
+          statusHistory: [
+            { status: "$status", changedAt: "$statusChangedAt" },
+          ],
+        },
+      },
+    ]
+  );
+
+  console.log(`Done: ${result.modifiedCount} registration(s) updated`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Registration status migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
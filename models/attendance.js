@@ -1,6 +1,11 @@
 // models/attendance.js
 const mongoose = require('mongoose');
 
+// present, late and made-up count as attended, absent counts as missed and
+// excused is left out of attendance percentages.
+const STATUSES = ['present', 'late', 'excused', 'absent', 'made-up'];
+const ATTENDED_STATUSES = ['present', 'late', 'made-up'];
+
 const attendanceSchema = new mongoose.Schema({
   studentId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -16,6 +21,17 @@ const attendanceSchema = new mongoose.Schema({
     type: Date,
     required: true,
   },
+  sessionNumber: {
+    type: Number, // Number of the Group session (1 to 25)
+    min: 1,
+    max: 25,
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'absent',
+  },
+  // Derived from status and kept for older clients
   isPresent: {
     type: Boolean,
     default: false, // Default to absent
@@ -24,13 +40,76 @@ const attendanceSchema = new mongoose.Schema({
   notes: {
     type: String,
   },
+  // Set on a record taken in another group (where the student is not
+  // registered) that makes up a session of the student's own group
+  makeUpFor: {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+    },
+    sessionNumber: {
+      type: Number,
+      min: 1,
+      max: 25,
+    },
+  },
 }, {
   timestamps: true,
 });
 
 // Add an index for faster queries on studentId and groupId, and date.
 attendanceSchema.index({ studentId: 1, groupId: 1, date: 1 });
+// One record per student and group session. Legacy records that could not
+// be matched to a session have no sessionNumber and are not constrained.
+attendanceSchema.index(
+  { studentId: 1, groupId: 1, sessionNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { sessionNumber: { $type: 'number' } },
+  }
+);
+
+// Keep status and isPresent in sync in a set of values, giving precedence to
+// status. Older clients only send isPresent.
+const syncStatus = (values) => {
+  if (!values) return;
+  if (values.status !== undefined) {
+    values.isPresent = ATTENDED_STATUSES.includes(values.status);
+  } else if (values.isPresent !== undefined) {
+    values.status = values.isPresent ? 'present' : 'absent';
+  }
+};
+
+// Records saved before status existed only have isPresent
+attendanceSchema.pre('init', function (raw) {
+  if (raw && raw.status == null && raw.isPresent != null) {
+    raw.status = raw.isPresent ? 'present' : 'absent';
+  }
+});
+
+attendanceSchema.pre('validate', function (next) {
+  if (this.isModified('status')) {
+    this.isPresent = ATTENDED_STATUSES.includes(this.status);
+  } else if (this.isModified('isPresent')) {
+    this.status = this.isPresent ? 'present' : 'absent';
+  }
+  next();
+});
+
+attendanceSchema.pre(
+  ['findOneAndUpdate', 'updateOne', 'updateMany'],
+  function (next) {
+    const update = this.getUpdate();
+    syncStatus(update);
+    syncStatus(update?.$set);
+    next();
+  }
+);
 
 const Attendance = mongoose.model('Attendance', attendanceSchema);
 
+Attendance.STATUSES = STATUSES;
+Attendance.ATTENDED_STATUSES = ATTENDED_STATUSES;
+Attendance.syncStatus = syncStatus;
+
 module.exports = Attendance;
\ No newline at end of file
@@ -0,0 +1,53 @@
+// models/blackoutDate.js
+const mongoose = require("mongoose");
+
+// Holiday, stake conference or any other period without sessions. It applies
+// to every stake of a country or to a single stake.
+const blackoutDateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Calendar days; both are included, and they are the same day for a
+    // one-day blackout
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      required: true,
+    },
+    // Country as written in stake locations ("City, State, Country")
+    country: {
+      type: String,
+      trim: true,
+    },
+    stakeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Stake",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+blackoutDateSchema.index({ country: 1, startDate: 1 });
+blackoutDateSchema.index({ stakeId: 1, startDate: 1 });
+
+// Either a country or a stake, not both
+blackoutDateSchema.pre("validate", function (next) {
+  if (!this.country === !this.stakeId) {
+    this.invalidate("country", "A blackout date needs a country or a stake");
+  }
+  next();
+});
+
+module.exports = mongoose.model("BlackoutDate", blackoutDateSchema);
@@ -0,0 +1,67 @@
+// models/calendarFeed.js
+const mongoose = require("mongoose");
+
+const TYPES = ["group", "instructor", "student"];
+
+// Subscription URL of an iCalendar feed with the sessions of a group, of the
+// groups an instructor teaches or of the groups a student is registered in.
+// Calendar apps cannot send a JWT, so the feed is identified by a random
+// token (only its SHA-256 hash is stored), revoked on its own without
+// touching the user's sessions.
+const calendarFeedSchema = new mongoose.Schema(
+  {
+    // User who created the feed
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: TYPES,
+      required: true,
+    },
+    // The group, instructor or student of the feed, depending on its type
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+    },
+    instructorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Instructor",
+    },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+calendarFeedSchema.index({ userId: 1, createdAt: -1 });
+
+// The token hash never leaves the server
+calendarFeedSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  },
+});
+
+const CalendarFeed = mongoose.model("CalendarFeed", calendarFeedSchema);
+CalendarFeed.TYPES = TYPES;
+
+module.exports = CalendarFeed;
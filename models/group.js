@@ -2,6 +2,43 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
 
+// Days of the week, in the order of Date#getUTCDay()
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// Weekly recurrence of a group's sessions. Groups created before schedules
+// were structured only have the free text they were given as `description`.
+const scheduleSchema = new Schema(
+  {
+    weekdays: [{ type: String, enum: WEEKDAYS }],
+    // Local time of the day the sessions start, "HH:mm"
+    startTime: {
+      type: String,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/,
+    },
+    durationMinutes: {
+      type: Number,
+      min: 1,
+    },
+    // IANA timezone of the start time, e.g. "America/Mexico_City"
+    timezone: {
+      type: String,
+    },
+    // Schedule as shown to people, e.g. "Monday and Wednesday, 19:00"
+    description: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
 const groupSchema = new Schema(
   {
     name: {
@@ -21,13 +58,39 @@ const groupSchema = new Schema(
       type: Date,
       required: true,
     },
-    schedule: {
+    // Academic term the group runs in; its dates fall inside the term's
+    termId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Term",
+    },
+    // Course level taught in the group
+    level: {
       type: String,
+      enum: ["EC1", "EC2"],
+    },
+    // Group of a previous term this group was rolled over from
+    clonedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+    },
+    schedule: {
+      type: scheduleSchema,
       required: true,
     },
     room: {
       type: String,
     },
+    // Maximum number of enrolled students; no limit when not set
+    capacity: {
+      type: Number,
+      min: 1,
+    },
+    // Incremented by every transaction that counts free seats (see
+    // utils/registrations.js freeSeats), so concurrent ones conflict
+    seatVersion: {
+      type: Number,
+      select: false,
+    },
     instructorId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Instructor", // Reference to the Instructor model
@@ -48,6 +111,16 @@ const groupSchema = new Schema(
   }
 );
 
+groupSchema.index({ termId: 1 });
+
+// Schedules saved as plain text are read as their description
+groupSchema.pre("init", function (raw) {
+  if (raw && typeof raw.schedule === "string") {
+    raw.schedule = { description: raw.schedule };
+  }
+});
+
 const Group = mongoose.model("Group", groupSchema);
+Group.WEEKDAYS = WEEKDAYS;
 
 module.exports = Group;
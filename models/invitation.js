@@ -0,0 +1,55 @@
+// models/invitation.js
+const mongoose = require("mongoose");
+
+// Invitation for an admin or instructor account.
+// Privileged accounts cannot self-register; an admin invites them instead.
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    type: {
+      type: Number,
+      // 10 = Admin, 11 = Instructor, 12 = Stake Admin, 13 = Country Admin
+      enum: [10, 11, 12, 13],
+      required: true,
+    },
+    wardId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ward",
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+invitationSchema.index({ email: 1 });
+
+// An invitation can be redeemed only once, before it expires
+invitationSchema.methods.isPending = function () {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Invitation = mongoose.model("Invitation", invitationSchema);
+
+module.exports = Invitation;
@@ -0,0 +1,46 @@
+// models/loginAttempt.js
+const mongoose = require("mongoose");
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // Email as typed by the client, kept even when no account matches
+    email: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: ["success", "invalid_credentials", "locked", "ip_blocked", "unverified"],
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for the per-IP window and the per-user history
+loginAttemptSchema.index({ ipAddress: 1, success: 1, createdAt: -1 });
+loginAttemptSchema.index({ userId: 1, createdAt: -1 });
+
+// Keep the history for 90 days
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+module.exports = LoginAttempt;
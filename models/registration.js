@@ -1,6 +1,15 @@
 // models/registration.js
 const mongoose = require("mongoose");
 
+// pending:     on the waitlist of a full group
+// active:      holds a seat in the group
+// withdrawn:   left the group
+// transferred: moved to another group (see transferredTo)
+// completed:   completed the course in the group
+const STATUSES = ["pending", "active", "withdrawn", "transferred", "completed"];
+// Statuses that take a seat in the group
+const ENROLLED_STATUSES = ["active", "completed"];
+
 const registrationSchema = new mongoose.Schema(
   {
     studentId: {
@@ -20,6 +29,57 @@ const registrationSchema = new mongoose.Schema(
     notes: {
       type: String,
     },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: "active",
+    },
+    statusChangedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Every status the registration went through, oldest first
+    statusHistory: [
+      {
+        status: { type: String, enum: STATUSES, required: true },
+        changedAt: { type: Date, default: Date.now },
+        reason: { type: String },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        _id: false,
+      },
+    ],
+    // Registrations linked by a transfer between groups
+    transferredFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Registration",
+    },
+    transferredTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Registration",
+    },
+    // Last evaluation of the completion rules (see utils/completion.js)
+    progress: {
+      attendedSessions: { type: Number, default: 0 },
+      totalSessions: { type: Number },
+      percentage: { type: Number, default: 0 },
+      finalSessionCompleted: { type: Boolean, default: false },
+      evaluatedAt: { type: Date },
+    },
+    completed: {
+      type: Boolean,
+      default: false,
+    },
+    completedAt: {
+      type: Date,
+    },
+    // Level of the student when the course was completed
+    completedLevel: {
+      type: String,
+      enum: ["EC1", "EC2"],
+    },
   },
   {
     timestamps: true,
@@ -28,7 +88,32 @@ const registrationSchema = new mongoose.Schema(
 
 // Add an index for faster queries on studentId and groupId, and date.
 registrationSchema.index({ studentId: 1, groupId: 1, date: 1 });
+// Seats and waitlist of a group
+registrationSchema.index({ groupId: 1, status: 1, statusChangedAt: 1 });
+
+// Registrations saved before statuses existed are read as active, or
+// completed when the course was completed
+registrationSchema.pre("init", function (raw) {
+  if (raw && raw.status == null) {
+    raw.status = raw.completed ? "completed" : "active";
+    raw.statusChangedAt =
+      raw.statusChangedAt || raw.completedAt || raw.createdAt;
+  }
+});
+
+// New registrations start their history with their initial status
+registrationSchema.pre("validate", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      changedAt: this.statusChangedAt,
+    });
+  }
+  next();
+});
 
 const Registration = mongoose.model("Registration", registrationSchema);
+Registration.STATUSES = STATUSES;
+Registration.ENROLLED_STATUSES = ENROLLED_STATUSES;
 
 module.exports = Registration;
@@ -12,6 +12,12 @@ const tokenMetadataSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // jti of the latest refresh token issued for this session (token family).
+    // Any older token of the family presented again is treated as reuse.
+    tokenId: {
+      type: String,
+      required: true,
+    },
     ipAddress: {
       type: String,
       required: true,
@@ -20,10 +26,21 @@ const tokenMetadataSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
     isRevoked: {
       type: Boolean,
       default: false,
     },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "user", "reuse", "password_reset"],
+    },
     expiresAt: {
       type: Date,
       required: true,
@@ -32,6 +49,20 @@ const tokenMetadataSchema = new mongoose.Schema(
   { timestamps: true } // Automatically adds `createdAt` and `updatedAt` fields
 );
 
+// One record per device session, so a user can have several active at once
+tokenMetadataSchema.index({ userId: 1 });
+
+// Remove sessions once their refresh token has expired
+tokenMetadataSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Revoke the whole token family (device session)
+tokenMetadataSchema.methods.revoke = function (reason) {
+  this.isRevoked = true;
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
 const TokenMetadata = mongoose.model('TokenMetadata', tokenMetadataSchema);
 
 module.exports = TokenMetadata;
\ No newline at end of file
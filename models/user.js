@@ -23,8 +23,8 @@ const userSchema = new mongoose.Schema({
   },
   type: {
     type: Number,
-    // 1 = Student, 10 = Admin, 11 = Instructor
-    enum: [1, 10, 11],
+    // 1 = Student, 10 = Admin, 11 = Instructor, 12 = Stake Admin, 13 = Country Admin
+    enum: [1, 10, 11, 12, 13],
     required: true,
   },
   wardId: {
@@ -34,6 +34,43 @@ const userSchema = new mongoose.Schema({
   avatar: {
     type: String,
   },
+  // Self-registered users must confirm their email before logging in.
+  // Defaults to true so accounts created by admins (and existing ones) stay usable.
+  emailVerified: {
+    type: Boolean,
+    default: true,
+  },
+  emailVerifiedAt: {
+    type: Date,
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false,
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false,
+  },
+  // Login brute-force protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedLoginAt: {
+    type: Date,
+  },
+  lockUntil: {
+    type: Date,
+  },
+  // Password reset (only the hash of the emailed token is stored)
+  passwordResetToken: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false,
+  },
 }, {
   timestamps: true,
 });
@@ -45,6 +82,11 @@ userSchema.pre('save', async function (next) {
   next();
 });
 
+// Whether the account is temporarily locked after too many failed logins
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
 userSchema.methods.comparePassword = async function (password) {
   return await argon2.verify(this.password, password);
 };
@@ -53,6 +95,10 @@ userSchema.methods.comparePassword = async function (password) {
 userSchema.set('toJSON', {
     transform: (doc, ret) => {
       delete ret.password;
+      delete ret.passwordResetToken;
+      delete ret.passwordResetExpires;
+      delete ret.emailVerificationToken;
+      delete ret.emailVerificationExpires;
       return ret;
     },
 });
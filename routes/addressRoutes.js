@@ -1,23 +1,25 @@
 // routes/addressRoutes.js
 const express = require('express');
 const { getAllAddresses, getAddressById, createAddress, updateAddress, deleteAddress } = require('../controllers/addressController');
-const { authenticate } = require('../middleware/authenticate');
+const { authenticate, authorize } = require('../middleware/authenticate');
+const resolveScope = require('../middleware/scope');
+const validateOwnership = require('../middleware/validateOwnership');
 
 const router = express.Router();
 
 // GET /address
-router.get('/address', authenticate, getAllAddresses);
+router.get('/address', authenticate, authorize([10]), getAllAddresses);
 
 // GET /address/:id
-router.get('/address/:id', authenticate, getAddressById);
+router.get('/address/:id', authenticate, authorize([1, 10, 11, 12, 13]), resolveScope, validateOwnership('address'), getAddressById);
 
 // POST /address
 router.post('/address', authenticate, createAddress);
 
 // PUT /address/:id
-router.put('/address/:id', authenticate, updateAddress);
+router.put('/address/:id', authenticate, authorize([1, 10, 12, 13]), resolveScope, validateOwnership('address'), updateAddress);
 
 // DELETE /address/:id
-router.delete('/address/:id', authenticate, deleteAddress);
+router.delete('/address/:id', authenticate, authorize([1, 10, 12, 13]), resolveScope, validateOwnership('address'), deleteAddress);
 
 module.exports = router;
\ No newline at end of file
@@ -9,28 +9,48 @@ const {
   updateAttendance,
   deleteAttendance,
   getAttendanceByGroupByStake,
+  recordSessionAttendance,
+  createMakeUpAttendance,
+  getAttendanceMatrix,
+  exportAttendanceMatrix,
 } = require('../controllers/attendanceController');
 const { authenticate, authorize } = require('../middleware/authenticate');
+const resolveScope = require('../middleware/scope');
+const validateOwnership = require('../middleware/validateOwnership');
 
 // POST /attendance
 router.post('/attendance', authenticate, authorize([10,11]), createAttendance);
 
+// POST /attendance/make-up
+// Attendance in another group of the stake, counted toward the home group
+router.post('/attendance/make-up', authenticate, authorize([10, 11, 12, 13]), resolveScope, createMakeUpAttendance);
+
 // GET /attendance
 router.get('/attendance', authenticate, authorize([10,11]), getAttendances);
 
 // GET /attendance/:id
-router.get('/attendance/:id', authenticate, authorize([10,11]), getAttendance);
+router.get('/attendance/:id', authenticate, authorize([10,11]), validateOwnership('attendance'), getAttendance);
 
 // GET /attendance/group/:groupId
-router.get('/attendance/group/:groupId', authenticate, authorize([10,11]), getAttendanceByGroup);
+router.get('/attendance/group/:groupId', authenticate, authorize([10,11]), validateOwnership('group', 'groupId'), getAttendanceByGroup);
 
 // GET //attendance/stake/:stakeId
 router.get('/attendance/stake/:stakeId', authenticate, authorize([10,11]), getAttendanceByGroupByStake);
 
 // PUT /attendance/:id
-router.put('/attendance/:id', authenticate, authorize([10,11]), updateAttendance);
+router.put('/attendance/:id', authenticate, authorize([10,11]), validateOwnership('attendance'), updateAttendance);
 
 // DELETE /attendance/:id
-router.delete('/attendance/:id', authenticate, authorize([10,11]), deleteAttendance);
+router.delete('/attendance/:id', authenticate, authorize([10,11]), validateOwnership('attendance'), deleteAttendance);
+
+// POST /groups/:groupId/sessions/:number/attendance
+// Records the attendance of the whole roster for one session
+router.post('/groups/:groupId/sessions/:number/attendance', authenticate, authorize([10, 11, 12, 13]), resolveScope, validateOwnership('group', 'groupId'), recordSessionAttendance);
+
+// GET /groups/:groupId/attendance-matrix
+router.get('/groups/:groupId/attendance-matrix', authenticate, authorize([10, 11, 12, 13]), resolveScope, validateOwnership('group', 'groupId'), getAttendanceMatrix);
+
+// GET /groups/:groupId/attendance-matrix/export?format=csv|xlsx|pdf
+router.get('/groups/:groupId/attendance-matrix/export', authenticate, authorize([10, 11, 12, 13]), resolveScope, validateOwnership('group', 'groupId'), exportAttendanceMatrix);
 
 module.exports = router;
\ No newline at end of file
@@ -1,12 +1,31 @@
 // routes/authRoutes.js
 const express = require('express');
 const router = express.Router();
-const { register, login, profile, refreshToken, logout, validate } = require('../controllers/authController');
+const {
+  register,
+  login,
+  profile,
+  refreshToken,
+  logout,
+  validate,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+} = require('../controllers/authController');
+const { acceptInvitation } = require('../controllers/invitationController');
 const { authenticate } = require('../middleware/authenticate');
 
 // Public routes
 router.post('/register', register);
 router.post('/login', login);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', resendVerification);
+router.post('/accept-invitation', acceptInvitation);
 
 // Refresh token route
 router.post('/refresh-token', refreshToken);
@@ -16,4 +35,8 @@ router.get('/validate', validate)
 router.get('/profile', authenticate, profile);
 router.post('/logout', logout);
 
+// Device sessions
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions/:id', authenticate, revokeSession);
+
 module.exports = router;
\ No newline at end of file
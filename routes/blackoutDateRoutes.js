@@ -0,0 +1,29 @@
+// routes/blackoutDateRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+  getBlackoutDates,
+  getBlackoutDateById,
+  createBlackoutDate,
+  updateBlackoutDate,
+  deleteBlackoutDate,
+} = require('../controllers/blackoutDateController');
+const { authenticate, authorize } = require('../middleware/authenticate');
+const resolveScope = require('../middleware/scope');
+
+// GET /blackout-dates
+router.get('/blackout-dates', authenticate, authorize([10, 11, 12, 13]), resolveScope, getBlackoutDates);
+
+// GET /blackout-dates/:id
+router.get('/blackout-dates/:id', authenticate, authorize([10, 11, 12, 13]), resolveScope, getBlackoutDateById);
+
+// POST /blackout-dates
+router.post('/blackout-dates', authenticate, authorize([10, 12, 13]), resolveScope, createBlackoutDate);
+
+// PUT /blackout-dates/:id
+router.put('/blackout-dates/:id', authenticate, authorize([10, 12, 13]), resolveScope, updateBlackoutDate);
+
+// DELETE /blackout-dates/:id
+router.delete('/blackout-dates/:id', authenticate, authorize([10, 12, 13]), resolveScope, deleteBlackoutDate);
+
+module.exports = router;
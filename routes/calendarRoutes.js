@@ -0,0 +1,25 @@
+// routes/calendarRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+  createCalendarFeed,
+  getCalendarFeeds,
+  revokeCalendarFeed,
+  getCalendarFeedFile,
+} = require('../controllers/calendarController');
+const { authenticate, authorize } = require('../middleware/authenticate');
+const resolveScope = require('../middleware/scope');
+
+// GET /calendar/feeds
+router.get('/calendar/feeds', authenticate, authorize([1, 10, 11, 12, 13]), getCalendarFeeds);
+
+// POST /calendar/feeds
+router.post('/calendar/feeds', authenticate, authorize([1, 10, 11, 12, 13]), resolveScope, createCalendarFeed);
+
+// DELETE /calendar/feeds/:id
+router.delete('/calendar/feeds/:id', authenticate, authorize([1, 10, 11, 12, 13]), revokeCalendarFeed);
+
+// GET /calendar/feeds/:token.ics (public, authenticated by the feed token)
+router.get('/calendar/feeds/:token.ics', getCalendarFeedFile);
+
+module.exports = router;
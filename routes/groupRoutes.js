@@ -7,34 +7,41 @@ const { getGroups,
     getGroupsByWard,
     updateSession,
     getGroupSessions,
+    rescheduleGroupSessions,
 } = require('../controllers/groupController');
 const { authenticate, authorize } = require('../middleware/authenticate');
+const resolveScope = require('../middleware/scope');
+const validateOwnership = require('../middleware/validateOwnership');
 
 // GET /groups
-router.get('/groups', authenticate, authorize([10]), getGroups);
+router.get('/groups', authenticate, authorize([10, 12, 13]), resolveScope, getGroups);
 
 // GET /groups/:id
-router.get('/groups/:id', authenticate, authorize([10]), getGroupById);
+router.get('/groups/:id', authenticate, authorize([10, 11, 12, 13]), resolveScope, validateOwnership('group'), getGroupById);
 
 // GET /groups/ward/:wardId
-router.get('/groups/ward/:wardId', authenticate, authorize([10]), getGroupsByWard);
+router.get('/groups/ward/:wardId', authenticate, authorize([10, 12, 13]), resolveScope, getGroupsByWard);
 
 // POST /groups
-router.post('/groups', authenticate, authorize([10]), createGroup);
+router.post('/groups', authenticate, authorize([10, 12, 13]), resolveScope, createGroup);
 
 // PUT /groups/:id
-router.put('/groups/:id', authenticate, authorize([10]), updateGroup);
+router.put('/groups/:id', authenticate, authorize([10, 12, 13]), resolveScope, updateGroup);
 
 // DELETE /groups/:id
-router.delete('/groups/:id', authenticate, authorize([10]), deleteGroup);
+router.delete('/groups/:id', authenticate, authorize([10, 12, 13]), resolveScope, deleteGroup);
 
 // GET /groups/sessions
-router.get('/groups/sessions/:groupId', authenticate, authorize([10]), getGroupSessions);
+router.get('/groups/sessions/:groupId', authenticate, authorize([10, 11, 12, 13]), resolveScope, validateOwnership('group', 'groupId'), getGroupSessions);
 
 // PATCH /groups/sessions/:groupId/:sessionNumber
-router.patch('/groups/sessions/:groupId/:sessionNumber', authenticate, authorize([10]), updateSession);
+router.patch('/groups/sessions/:groupId/:sessionNumber', authenticate, authorize([10, 11, 12, 13]), resolveScope, validateOwnership('group', 'groupId'), updateSession);
+
+// POST /groups/sessions/:groupId/reschedule
+// Moves the remaining sessions around the blackout dates
+router.post('/groups/sessions/:groupId/reschedule', authenticate, authorize([10, 11, 12, 13]), resolveScope, validateOwnership('group', 'groupId'), rescheduleGroupSessions);
 
 // Get All Sessions for a Group
-router.get('/groups/sessions/:groupId', authenticate, authorize([10]), getGroupSessions);
+router.get('/groups/sessions/:groupId', authenticate, authorize([10, 11, 12, 13]), resolveScope, validateOwnership('group', 'groupId'), getGroupSessions);
 
 module.exports = router;
\ No newline at end of file
@@ -15,6 +15,10 @@ const studentRoutes = require('./studentRoutes');
 const attendanceRoutes = require('./attendanceRoutes');
 const registrationRoutes = require('./registrationRoutes');
 const statRoutes = require('./statRoutes');
+const invitationRoutes = require('./invitationRoutes');
+const searchRoutes = require('./searchRoutes');
+const blackoutDateRoutes = require('./blackoutDateRoutes');
+const calendarRoutes = require('./calendarRoutes');
 
 const router = express.Router();
 
@@ -32,5 +36,9 @@ router.use('/api', studentRoutes);
 router.use('/api', attendanceRoutes);
 router.use('/api', registrationRoutes);
 router.use('/api', statRoutes);
+router.use('/api', invitationRoutes);
+router.use('/api', searchRoutes);
+router.use('/api', blackoutDateRoutes);
+router.use('/api', calendarRoutes);
 
 module.exports = router;
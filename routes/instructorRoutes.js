@@ -8,8 +8,10 @@ const {
   updateInstructor,
   deleteInstructor,
   uploadAvatar,
+  getMyGroups,
 } = require("../controllers/instructorController");
 const { authenticate, authorize } = require("../middleware/authenticate");
+const validateOwnership = require("../middleware/validateOwnership");
 const router = express.Router();
 const formDataToJson = require("../middleware/formDataParser");
 const uploadErrors = require("../middleware/uploadErrors");
@@ -34,6 +36,15 @@ const upload = multer({
 // GET /instructors
 router.get("/instructors", authenticate, authorize([10]), getInstructors);
 
+// GET /instructors/me/groups
+// Groups taught by the authenticated instructor
+router.get(
+  "/instructors/me/groups",
+  authenticate,
+  authorize([11]),
+  getMyGroups
+);
+
 // GET /instructors/:id
 router.get(
   "/instructors/:id",
@@ -72,16 +83,15 @@ router.put(
   updateInstructor
 );
 
-// POST /instructors/upload/:id
-// Route requires authentication and authorization for types 1 and 10.
-// It checks if the user owns the data (or is admin).
+// PUT /instructors/upload/:id
+// Instructors can only replace their own avatar; admins any.
 router.put(
   "/instructors/upload/:id",
   upload.single("avatar"),
   authenticate,
-  authorize([1, 10, 11]),
+  authorize([10, 11]),
+  validateOwnership("instructor"),
   formDataToJson,
-  //validateOwnership,
   uploadAvatar
 );
 
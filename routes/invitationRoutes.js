@@ -0,0 +1,16 @@
+// routes/invitationRoutes.js
+const express = require('express');
+const router = express.Router();
+const { createInvitation, getInvitations, revokeInvitation } = require('../controllers/invitationController');
+const { authenticate, authorize } = require('../middleware/authenticate');
+
+// GET /invitations
+router.get('/invitations', authenticate, authorize([10]), getInvitations);
+
+// POST /invitations
+router.post('/invitations', authenticate, authorize([10]), createInvitation);
+
+// DELETE /invitations/:id
+router.delete('/invitations/:id', authenticate, authorize([10]), revokeInvitation);
+
+module.exports = router;
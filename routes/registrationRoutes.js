@@ -1,26 +1,37 @@
 // routes/registrationRoutes.js
 const express = require('express');
-const { getRegistrations, getRegistrationById, createRegistration, updateRegistration, deleteRegistration, getStudentsByGroupId } = require('../controllers/registrationController');
+const { getRegistrations, getRegistrationById, createRegistration, updateRegistration, deleteRegistration, getStudentsByGroupId, exportGroupRoster, updateRegistrationStatus, transferRegistration } = require('../controllers/registrationController');
 const { authorize, authenticate } = require('../middleware/authenticate');
+const resolveScope = require('../middleware/scope');
+const validateOwnership = require('../middleware/validateOwnership');
 
 const router = express.Router();
 
 // GET /registrations
-router.get('/registrations', authenticate, authorize([10]), getRegistrations);
+router.get('/registrations', authenticate, authorize([10, 12, 13]), resolveScope, getRegistrations);
 
 // GET /registrations/:id
-router.get('/registrations/:id', authenticate, authorize([10]), getRegistrationById);
+router.get('/registrations/:id', authenticate, authorize([10, 12, 13]), resolveScope, getRegistrationById);
 
 // GET /registrations/group/:groupId/students
-router.get('/registrations/group/:groupId/students', authenticate, authorize([10]), getStudentsByGroupId);
+router.get('/registrations/group/:groupId/students', authenticate, authorize([10, 11, 12, 13]), resolveScope, validateOwnership('group', 'groupId'), getStudentsByGroupId);
+
+// GET /registrations/group/:groupId/students/export?format=csv|xlsx|pdf
+router.get('/registrations/group/:groupId/students/export', authenticate, authorize([10, 11, 12, 13]), resolveScope, validateOwnership('group', 'groupId'), exportGroupRoster);
 
 // POST /registrations
-router.post('/registrations', authenticate, authorize([10]), createRegistration);
+router.post('/registrations', authenticate, authorize([10, 12, 13]), resolveScope, createRegistration);
 
 // PUT /registrations/:id
-router.put('/registrations/:id', authenticate, authorize([10]), updateRegistration);
+router.put('/registrations/:id', authenticate, authorize([10, 12, 13]), resolveScope, updateRegistration);
+
+// PUT /registrations/:id/status
+router.put('/registrations/:id/status', authenticate, authorize([10, 12, 13]), resolveScope, updateRegistrationStatus);
+
+// POST /registrations/:id/transfer
+router.post('/registrations/:id/transfer', authenticate, authorize([10, 12, 13]), resolveScope, transferRegistration);
 
 // DELETE /registrations/:id
-router.delete('/registrations/:id', authenticate, authorize([10]), deleteRegistration);
+router.delete('/registrations/:id', authenticate, authorize([10, 12, 13]), resolveScope, deleteRegistration);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+// routes/searchRoutes.js
+const express = require('express');
+const router = express.Router();
+const { search } = require('../controllers/searchController');
+const { authenticate, authorize } = require('../middleware/authenticate');
+const resolveScope = require('../middleware/scope');
+
+// GET /api/search?q=
+router.get('/search', authenticate, authorize([10, 11, 12, 13]), resolveScope, search);
+
+module.exports = router;
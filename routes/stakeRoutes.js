@@ -3,28 +3,29 @@ const express = require('express');
 const router = express.Router();
 const { getStakes, getStakeById, createStake, updateStake, deleteStake, getWardsInStake, getStakesByCountry } = require('../controllers/stakeController');
 const { authenticate, authorize } = require('../middleware/authenticate');
+const resolveScope = require('../middleware/scope');
 
 // GET /stakes
-router.get('/stakes', authenticate, authorize([10]), getStakes);
+router.get('/stakes', authenticate, authorize([10, 12, 13]), resolveScope, getStakes);
 
 // GET /stakes/:id
-router.get('/stakes/:id', authenticate, authorize([10]), getStakeById);
+router.get('/stakes/:id', authenticate, authorize([10, 12, 13]), resolveScope, getStakeById);
 
 // POST /stakes
 router.post('/stakes', authenticate, authorize([10]), createStake);
 
 // PUT /stakes/:id
-router.put('/stakes/:id', authenticate, authorize([10]), updateStake);
+router.put('/stakes/:id', authenticate, authorize([10, 12, 13]), resolveScope, updateStake);
 
 // DELETE /stakes/:id
 router.delete('/stakes/:id', authenticate, authorize([10]), deleteStake);
 
 // GET /stakes/wards/:id
 // This route retrieves all wards in a specific stake
-router.get('/stakes/wards/:id', authenticate, authorize([1, 10]), getWardsInStake);
+router.get('/stakes/wards/:id', authenticate, authorize([1, 10, 12, 13]), getWardsInStake);
 
 // GET /stakes/country/:countryName
 // This route retrieves all stakes in a specific country
-router.get('/stakes/country/:countryName', authenticate, authorize([1, 10]), getStakesByCountry);
+router.get('/stakes/country/:countryName', authenticate, authorize([1, 10, 12, 13]), getStakesByCountry);
 
 module.exports = router;
\ No newline at end of file
@@ -1,17 +1,21 @@
 // routes/groupRoutes.js
 const express = require('express');
 const router = express.Router();
-const { getGroupSessionsByStake, getGroupStudentCountsByStake, getGroupAttendanceByStake } = require('../controllers/statController');
+const { getGroupSessionsByStake, getGroupStudentCountsByStake, getGroupAttendanceByStake, exportStakeStats } = require('../controllers/statController');
 const { authenticate, authorize } = require('../middleware/authenticate');
+const resolveScope = require('../middleware/scope');
 
 // GET /api/stats/stake/:stakeId/groups-sessions
-router.get('/stats/stake/:stakeId/groups-sessions', authenticate, authorize([10]), getGroupSessionsByStake);
+router.get('/stats/stake/:stakeId/groups-sessions', authenticate, authorize([10, 12, 13]), resolveScope, getGroupSessionsByStake);
 
 //GET /api/stats/stake/:stakeId/group-students
-router.get('/stats/stake/:stakeId/group-students', authenticate, authorize([10]), getGroupStudentCountsByStake);
+router.get('/stats/stake/:stakeId/group-students', authenticate, authorize([10, 12, 13]), resolveScope, getGroupStudentCountsByStake);
 
 // GET /api/stats/stake/:stakeId/group-attendance
-router.get('/stats/stake/:stakeId/group-attendance', authenticate, authorize([10]), getGroupAttendanceByStake);
+router.get('/stats/stake/:stakeId/group-attendance', authenticate, authorize([10, 12, 13]), resolveScope, getGroupAttendanceByStake);
+
+// GET /api/stats/stake/:stakeId/export?format=csv|xlsx|pdf
+router.get('/stats/stake/:stakeId/export', authenticate, authorize([10, 12, 13]), resolveScope, exportStakeStats);
 
 
 module.exports = router;
\ No newline at end of file
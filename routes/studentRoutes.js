@@ -11,14 +11,20 @@ const {
   getStudentByUserId,
   updateStudentAddressId,
   getStudentAttendance,
+  getStudentProgress,
+  getStudentCertificate,
+  importStudents,
+  exportStudents,
 } = require("../controllers/studentController");
 const { authenticate, authorize } = require("../middleware/authenticate");
 const validateOwnership = require("../middleware/validateOwnership");
+const resolveScope = require("../middleware/scope");
 const router = express.Router();
 const formDataToJson = require("../middleware/formDataParser");
 const uploadErrors = require("../middleware/uploadErrors");
 
 const multer = require("multer");
+const { CSV_TYPES, XLSX_TYPES } = require("../utils/spreadsheet");
 const memoryStorage = multer.memoryStorage(); // Store file in memory
 
 const upload = multer({
@@ -35,17 +41,54 @@ const upload = multer({
   },
 });
 
+// Roster files for POST /students/import
+const spreadsheetUpload = multer({
+  storage: memoryStorage,
+  limits: { fileSize: 2 * 1024 * 1024 }, // Limit file size to 2MB
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [...CSV_TYPES, ...XLSX_TYPES];
+    // Some browsers send CSV files as application/vnd.ms-excel
+    if (
+      !/\.(csv|xlsx)$/i.test(file.originalname) &&
+      !allowedTypes.includes(file.mimetype)
+    ) {
+      const error = new Error("Only CSV or XLSX files are allowed");
+      error.code = "LIMIT_FILE_TYPE"; // Custom error code
+      error.allowedTypes = allowedTypes;
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
 // GET /students
-router.get("/students", authenticate, authorize([10]), getAllStudents);
+router.get(
+  "/students",
+  authenticate,
+  authorize([10, 12, 13]),
+  resolveScope,
+  getAllStudents
+);
+
+// GET /students/export
+// Registered before /students/:id so "export" is not taken as an ID
+router.get(
+  "/students/export",
+  authenticate,
+  authorize([10, 12, 13]),
+  resolveScope,
+  exportStudents
+);
 
 // GET /students/:id
-// Route requires authentication and authorization for types 1 and 10.
-// It checks if the user owns the data (or is admin).
+// Route requires authentication and authorization for types 1, 10, 11, 12 and 13.
+// It checks if the user owns the data (or teaches or administers the student).
 router.get(
   "/students/:id",
   authenticate,
-  authorize([1, 10]),
-  //validateOwnership,
+  authorize([1, 10, 11, 12, 13]),
+  resolveScope,
+  validateOwnership("student"),
   getStudentById
 );
 
@@ -53,18 +96,19 @@ router.get(
 router.get(
   "/students/user/:userId",
   authenticate,
-  authorize([1, 10]),
+  authorize([1, 10, 11, 12, 13]),
+  resolveScope,
+  validateOwnership("studentUser", "userId"),
   getStudentByUserId
 );
 
 // GET /students/wards/:wardId
-// Route requires authentication and authorization for types 1 and 10.
-// It checks if the user owns the data (or is admin).
+// Route requires authentication and authorization for admins (10, 12, 13).
 router.get(
   "/students/wards/:wardId",
   authenticate,
-  authorize([1, 10]),
-  //validateOwnership,
+  authorize([10, 12, 13]),
+  resolveScope,
   getStudentsByWard
 );
 
@@ -74,21 +118,36 @@ router.post(
   upload.single("avatar"),
   uploadErrors,
   authenticate,
-  authorize([10]),
+  authorize([10, 12, 13]),
+  resolveScope,
   formDataToJson,
   createStudent
 );
 
+// POST /students/import
+// Route requires authentication and authorization for admins (10, 12, 13).
+router.post(
+  "/students/import",
+  spreadsheetUpload.single("file"),
+  uploadErrors,
+  authenticate,
+  authorize([10, 12, 13]),
+  resolveScope,
+  formDataToJson,
+  importStudents
+);
+
 // PUT /students/:id
-// Route requires authentication and authorization for tyoes 1 and 10.
+// Route requires authentication and authorization for types 1, 10, 12 and 13.
 // It checks if the user owns the data (or is admin).
 router.put(
   "/students/:id",
   upload.single("avatar"),
   uploadErrors,
   authenticate,
-  authorize([1, 10]),
-  //validateOwnership,
+  authorize([1, 10, 12, 13]),
+  resolveScope,
+  validateOwnership("student"),
   formDataToJson,
   updateStudent
 );
@@ -101,8 +160,8 @@ router.put(
   upload.single("avatar"),
   authenticate,
   authorize([1, 10]),
+  validateOwnership("student"),
   formDataToJson,
-  //validateOwnership,
   uploadAvatar
 );
 
@@ -113,23 +172,52 @@ router.put(
   "/students/:studentId/address",
   authenticate,
   authorize([1, 10]),
-  //validateOwnership,
+  validateOwnership("student", "studentId"),
   updateStudentAddressId
 );
 
 // DELETE /students/:id
-// Route requires authentication and authorization for type 10 (admin).
-router.delete("/students/:id", authenticate, authorize([10]), deleteStudent);
+// Route requires authentication and authorization for admins (10, 12, 13).
+router.delete(
+  "/students/:id",
+  authenticate,
+  authorize([10, 12, 13]),
+  resolveScope,
+  deleteStudent
+);
 
 // GET /:id/attendance
-// Route requires authentication and authorization for types 1 and 10.
-// It checks if the user owns the data (or is admin).
+// Route requires authentication and authorization for types 1, 10, 11, 12 and 13.
+// It checks if the user owns the data (or teaches or administers the student).
 router.get(
   "/students/:userId/attendance",
   authenticate,
-  //authorize([1, 10]),
-  //validateOwnership,
+  authorize([1, 10, 11, 12, 13]),
+  resolveScope,
+  validateOwnership("studentUser", "userId"),
   getStudentAttendance
 );
 
+// GET /students/:id/progress
+// Route requires authentication and authorization for types 1, 10, 11, 12 and 13.
+// It checks if the user owns the data (or teaches or administers the student).
+router.get(
+  "/students/:id/progress",
+  authenticate,
+  authorize([1, 10, 11, 12, 13]),
+  resolveScope,
+  validateOwnership("student"),
+  getStudentProgress
+);
+
+// GET /students/:id/certificates/:registrationId
+router.get(
+  "/students/:id/certificates/:registrationId",
+  authenticate,
+  authorize([1, 10, 11, 12, 13]),
+  resolveScope,
+  validateOwnership("student"),
+  getStudentCertificate
+);
+
 module.exports = router;
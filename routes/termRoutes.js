@@ -1,6 +1,6 @@
 // routes/termRoutes.js
 const express = require('express');
-const { getTerms, createTerm, getTermById, updateTerm, deleteTerm } = require('../controllers/termController');
+const { getTerms, getCurrentTerm, createTerm, getTermById, updateTerm, deleteTerm, rolloverTerm } = require('../controllers/termController');
 const { authenticate, authorize } = require('../middleware/authenticate');
 
 const router = express.Router();
@@ -8,6 +8,10 @@ const router = express.Router();
 // GET /terms
 router.get('/terms', authenticate, authorize([10]), getTerms);
 
+// GET /terms/current
+// Registered before /terms/:id so "current" is not taken as an ID
+router.get('/terms/current', authenticate, authorize([10, 11, 12, 13]), getCurrentTerm);
+
 // GET /terms/:id
 router.get('/terms/:id', authenticate, authorize([10]), getTermById);
 
@@ -17,6 +21,9 @@ router.post('/terms', authenticate, authorize([10]), createTerm);
 // PUT /terms/:id
 router.put('/terms/:id', authenticate, authorize([10]), updateTerm);
 
+// POST /terms/:id/rollover
+router.post('/terms/:id/rollover', authenticate, authorize([10]), rolloverTerm);
+
 // DELETE /terms/:id
 router.delete('/terms/:id', authenticate, authorize([10]), deleteTerm);
 
@@ -7,9 +7,12 @@ const {
   getUsersByWardId,
   getInstructorsByWardId,
   getUsersAdmin,
+  unlockUser,
+  getUserLoginAttempts,
 } = require("../controllers/userController");
 const { authenticate, authorize } = require("../middleware/authenticate");
 const validateOwnership = require("../middleware/validateOwnership");
+const resolveScope = require("../middleware/scope");
 const router = express.Router();
 const uploadErrors = require("../middleware/uploadErrors");
 const formDataToJson = require("../middleware/formDataParser");
@@ -57,8 +60,8 @@ router.get("/users",
 router.get(
   "/users/:id",
   authenticate,
-  authorize([1,10]),
-  //validateOwnership,
+  authorize([1, 10, 11]),
+  validateOwnership("user"),
   getUserById
 );
 
@@ -66,8 +69,8 @@ router.get(
 router.get(
   "/users/wards/:wardId",
   authenticate,
-  authorize([1,10]),
-  //validateOwnership,
+  authorize([10, 12, 13]),
+  resolveScope,
   getUsersByWardId
 );
 
@@ -75,8 +78,8 @@ router.get(
 router.get(
   "/users/instructor/ward/:wardId",
   authenticate,
-  authorize([1,10]),
-  //validateOwnership,
+  authorize([10, 12, 13]),
+  resolveScope,
   getInstructorsByWardId
 );
 
@@ -87,11 +90,25 @@ router.put(
   uploadErrors,
   authenticate,
   authorize([1,10]),
-  //validateOwnership,
+  validateOwnership("user"),
   formDataToJson,
   updateUser
 );
 
+// POST /users/:id/unlock
+router.post("/users/:id/unlock",
+  authenticate,
+  authorize([10]),
+  unlockUser
+);
+
+// GET /users/:id/login-attempts
+router.get("/users/:id/login-attempts",
+  authenticate,
+  authorize([10]),
+  getUserLoginAttempts
+);
+
 // DELETE /users/:id
 router.delete("/users/:id", 
     authenticate, 
@@ -3,20 +3,21 @@ const express = require('express');
 const router = express.Router();
 const { getWards, getWardById, createWard, updateWard, deleteWard } = require('../controllers/wardController');
 const { authorize, authenticate } = require('../middleware/authenticate');
+const resolveScope = require('../middleware/scope');
 
 // GET /wards
-router.get('/wards', authenticate, authorize([10]), getWards);
+router.get('/wards', authenticate, authorize([10, 12, 13]), resolveScope, getWards);
 
 // GET /wards/:id
-router.get('/wards/:id', authenticate, authorize([10]), getWardById);
+router.get('/wards/:id', authenticate, authorize([10, 12, 13]), resolveScope, getWardById);
 
 // POST /wards
-router.post('/wards', authenticate, authorize([10]), createWard);
+router.post('/wards', authenticate, authorize([10, 12, 13]), resolveScope, createWard);
 
 // PUT /wards/:id
-router.put('/wards/:id', authenticate, authorize([10]), updateWard);
+router.put('/wards/:id', authenticate, authorize([10, 12, 13]), resolveScope, updateWard);
 
 // DELETE /wards/:id
-router.delete('/wards/:id', authenticate, authorize([10]), deleteWard);
+router.delete('/wards/:id', authenticate, authorize([10, 12, 13]), resolveScope, deleteWard);
 
 module.exports = router;
\ No newline at end of file
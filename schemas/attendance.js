@@ -28,9 +28,22 @@ module.exports = {
           description: 'The date and time of the attendance record.',
           example: '2023-11-20T10:00:00Z',
         },
+        sessionNumber: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 25,
+          description: 'The number of the group session (1 to 25) the record belongs to.',
+          example: 3,
+        },
+        status: {
+          type: 'string',
+          enum: ['present', 'late', 'excused', 'absent', 'made-up'],
+          description: 'The attendance status of the student.',
+          example: 'present',
+        },
         isPresent: {
           type: 'boolean',
-          description: 'Indicates whether the student was present (true) or absent (false).',
+          description: 'Derived from status, kept for older clients: true for present, late and made-up.',
           example: true,
         },
         notes: {
@@ -38,6 +51,21 @@ module.exports = {
           description: 'Optional notes related to the attendance record.',
           example: 'Late arrival.',
         },
+        makeUpFor: {
+          type: 'object',
+          description: 'Set when the record makes up a session of the student\'s own group.',
+          properties: {
+            groupId: {
+              type: 'string',
+              format: 'ObjectId',
+              example: '707f1f77bcf86cd799439014',
+            },
+            sessionNumber: {
+              type: 'integer',
+              example: 4,
+            },
+          },
+        },
         createdAt: {
           type: 'string',
           format: 'date-time',
@@ -52,4 +80,88 @@ module.exports = {
         },
       },
     },
-  };
\ No newline at end of file
+    AttendanceSummary: {
+      type: 'object',
+      description: 'Attendance counts. Excused records are left out of the percentage.',
+      properties: {
+        total: { type: 'integer', example: 20 },
+        attended: { type: 'integer', description: 'Present, late and made-up records.', example: 15 },
+        missed: { type: 'integer', example: 3 },
+        excused: { type: 'integer', example: 2 },
+        late: { type: 'integer', example: 1 },
+        madeUp: { type: 'integer', example: 1 },
+        percentage: { type: 'integer', example: 83 },
+      },
+    },
+    AttendanceMatrix: {
+      type: 'object',
+      properties: {
+        group: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', example: '707f1f77bcf86cd799439013' },
+            name: { type: 'string', example: 'Group A' },
+          },
+        },
+        sessions: {
+          type: 'array',
+          description: 'The 25 sessions of the group, with the totals of each one.',
+          items: {
+            type: 'object',
+            properties: {
+              number: { type: 'integer', example: 1 },
+              date: { type: 'string', format: 'date-time', nullable: true, example: '2024-02-06T00:00:00Z' },
+              topic: { type: 'string', nullable: true, example: 'Introductions' },
+              completed: { type: 'boolean', example: true },
+              summary: { $ref: '#/components/schemas/AttendanceSummary' },
+            },
+          },
+        },
+        students: {
+          type: 'array',
+          description: 'Sorted by last name, then first name.',
+          items: {
+            type: 'object',
+            properties: {
+              studentId: { type: 'string', example: '607f1f77bcf86cd799439012' },
+              registrationId: { type: 'string', nullable: true, example: '807f1f77bcf86cd799439015' },
+              firstName: { type: 'string', example: 'Maria' },
+              lastName: { type: 'string', example: 'Lima' },
+              email: { type: 'string', nullable: true, example: 'maria@example.com' },
+              enrollment: {
+                type: 'string',
+                enum: ['registered', 'late', 'waitlisted', 'withdrawn', 'transferred'],
+                description: 'late: registered after the first session; waitlisted: on the waitlist (only listed with attendance); withdrawn: withdrew, or has attendance in the group but is no longer registered; transferred: moved to another group.',
+                example: 'late',
+              },
+              registeredAt: { type: 'string', format: 'date-time', nullable: true, example: '2024-02-20T00:00:00Z' },
+              joinedSession: {
+                type: 'integer',
+                nullable: true,
+                description: 'First session the student was expected at.',
+                example: 3,
+              },
+              leftAt: {
+                type: 'string',
+                format: 'date-time',
+                nullable: true,
+                description: 'When a withdrawn or transferred student left the group.',
+                example: null,
+              },
+              cells: {
+                type: 'object',
+                description: 'Status of each recorded session, keyed by session number.',
+                additionalProperties: {
+                  type: 'string',
+                  enum: ['present', 'late', 'excused', 'absent', 'made-up'],
+                },
+                example: { 3: 'present', 4: 'late', 5: 'absent' },
+              },
+              summary: { $ref: '#/components/schemas/AttendanceSummary' },
+            },
+          },
+        },
+        summary: { $ref: '#/components/schemas/AttendanceSummary' },
+      },
+    },
+  };
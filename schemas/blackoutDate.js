@@ -0,0 +1,58 @@
+// schemas/blackoutDate.js
+module.exports = {
+    BlackoutDate: {
+      type: 'object',
+      description: 'A period without sessions in every stake of a country, or in one stake',
+      properties: {
+        _id: {
+          type: 'string',
+          format: 'objectid',
+          example: '507f1f77bcf86cd799439021',
+        },
+        name: {
+          type: 'string',
+          description: 'What the blackout is for',
+          example: 'Stake conference',
+        },
+        startDate: {
+          type: 'string',
+          format: 'date',
+          description: 'First day without sessions',
+          example: '2025-03-15',
+        },
+        endDate: {
+          type: 'string',
+          format: 'date',
+          description: 'Last day without sessions (the start date for a single day)',
+          example: '2025-03-16',
+        },
+        country: {
+          type: 'string',
+          description: 'Country of a country-level blackout, as written in stake locations',
+          example: 'Mexico',
+        },
+        stakeId: {
+          type: 'string',
+          format: 'objectid',
+          description: 'Stake of a stake-level blackout',
+          example: '507f1f77bcf86cd799439012',
+        },
+        createdBy: {
+          type: 'string',
+          format: 'objectid',
+          description: 'The user who added the blackout',
+          example: '507f1f77bcf86cd799439013',
+        },
+        createdAt: {
+          type: 'string',
+          format: 'date-time',
+          example: '2025-01-10T12:00:00Z',
+        },
+        updatedAt: {
+          type: 'string',
+          format: 'date-time',
+          example: '2025-01-10T12:00:00Z',
+        },
+      },
+    },
+  };
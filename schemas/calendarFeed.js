@@ -0,0 +1,62 @@
+// schemas/calendarFeed.js
+module.exports = {
+    CalendarFeed: {
+      type: 'object',
+      description: 'An iCalendar feed URL of the sessions of a group, of an instructor or of a student (the token of the URL is not stored)',
+      properties: {
+        _id: {
+          type: 'string',
+          format: 'objectid',
+          example: '507f1f77bcf86cd799439031',
+        },
+        userId: {
+          type: 'string',
+          format: 'objectid',
+          description: 'The user who created the feed',
+          example: '507f1f77bcf86cd799439013',
+        },
+        type: {
+          type: 'string',
+          enum: ['group', 'instructor', 'student'],
+          example: 'group',
+        },
+        groupId: {
+          type: 'string',
+          format: 'objectid',
+          description: 'Group of a group feed',
+          example: '507f1f77bcf86cd799439011',
+        },
+        instructorId: {
+          type: 'string',
+          format: 'objectid',
+          description: 'Instructor of an instructor feed',
+        },
+        studentId: {
+          type: 'string',
+          format: 'objectid',
+          description: 'Student of a student feed',
+        },
+        lastUsedAt: {
+          type: 'string',
+          format: 'date-time',
+          description: 'Last time a calendar app fetched the feed',
+          example: '2025-01-12T06:00:00Z',
+        },
+        revokedAt: {
+          type: 'string',
+          format: 'date-time',
+          description: 'When the feed was revoked; revoked feeds no longer work',
+        },
+        createdAt: {
+          type: 'string',
+          format: 'date-time',
+          example: '2025-01-10T12:00:00Z',
+        },
+        updatedAt: {
+          type: 'string',
+          format: 'date-time',
+          example: '2025-01-10T12:00:00Z',
+        },
+      },
+    },
+  };
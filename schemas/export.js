@@ -0,0 +1,21 @@
+// schemas/export.js
+module.exports = {
+    parameters: {
+        ExportFormatParam: {
+            in: 'query',
+            name: 'format',
+            schema: { type: 'string', enum: ['csv', 'xlsx', 'pdf'], default: 'csv' },
+            description: 'File format of the export',
+        },
+    },
+    ExportFile: {
+        description: 'The exported file, streamed as it is generated',
+        content: {
+            'text/csv': { schema: { type: 'string', format: 'binary' } },
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+                schema: { type: 'string', format: 'binary' },
+            },
+            'application/pdf': { schema: { type: 'string', format: 'binary' } },
+        },
+    },
+};
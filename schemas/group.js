@@ -3,6 +3,83 @@
 const session = require("./session");
 
 module.exports = {
+    GroupSchedule: {
+      type: 'object',
+      description: 'Weekly schedule of a Group. Groups created with a free-text schedule only have the fields that could be read from it',
+      properties: {
+        weekdays: {
+          type: 'array',
+          items: {
+            type: 'string',
+            enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+          },
+          description: 'Days of the week the Group meets',
+          example: ['monday', 'wednesday'],
+        },
+        startTime: {
+          type: 'string',
+          pattern: '^([01]\\d|2[0-3]):[0-5]\\d$',
+          description: 'Local time the sessions start (HH:mm)',
+          example: '19:00',
+        },
+        durationMinutes: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Length of each session in minutes; SCHEDULE_SESSION_DURATION by default',
+          example: 120,
+        },
+        timezone: {
+          type: 'string',
+          description: 'IANA timezone of the start time; SCHEDULE_TIMEZONE by default',
+          example: 'America/Mexico_City',
+        },
+        description: {
+          type: 'string',
+          description: 'The schedule as shown to people, or as it was entered as free text',
+          example: 'Monday and Wednesday, 19:00 (120 min)',
+        },
+      },
+    },
+    GroupReschedule: {
+      type: 'object',
+      description: 'Sessions of a Group moved to new dates',
+      properties: {
+        groupId: {
+          type: 'string',
+          format: 'objectid',
+          description: 'The Group (in the groups rescheduled by a blackout date)',
+          example: '507f1f77bcf86cd799439011',
+        },
+        name: {
+          type: 'string',
+          description: 'The name of the Group (in the groups rescheduled by a blackout date)',
+          example: 'EC1 Group A',
+        },
+        changes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              number: { type: 'integer', example: 7 },
+              from: {
+                type: 'string',
+                format: 'date',
+                nullable: true,
+                description: 'Previous date; null when the session had none',
+                example: '2025-03-17',
+              },
+              to: { type: 'string', format: 'date', example: '2025-03-19' },
+            },
+          },
+        },
+        endDate: {
+          type: 'string',
+          format: 'date',
+          description: 'End date of the Group, moved when the last session falls after it',
+          example: '2025-06-11',
+        },
+      },
+    },
     Group: {
       type: 'object',
       properties: {
@@ -35,16 +112,38 @@ module.exports = {
           description: 'The end date of the Group',
           example: '2023-12-15T12:00:00Z',
         },
-        schedule: {
+        termId: {
           type: 'string',
-          description: 'The schedule of the Group',
-          example: 'Mondays and Wednesdays, 7:00 PM',
+          format: 'objectid',
+          description: 'The academic term of the Group; the Group runs within its dates',
+          example: '507f1f77bcf86cd799439015',
+        },
+        level: {
+          type: 'string',
+          enum: ['EC1', 'EC2'],
+          description: 'The course level taught in the Group',
+          example: 'EC1',
+        },
+        clonedFrom: {
+          type: 'string',
+          format: 'objectid',
+          description: 'The Group of a previous term this Group was rolled over from',
+          example: '507f1f77bcf86cd799439016',
+        },
+        schedule: {
+          $ref: '#/components/schemas/GroupSchedule',
         },
         room: {
           type: 'string',
           description: 'Classroom information',
           example: 'Room 101',
         },
+        capacity: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Maximum number of enrolled students. Registrations beyond it go to the waitlist; no limit when not set',
+          example: 20,
+        },
         instructorId: {
           type: 'string',
           format: 'objectid',
@@ -0,0 +1,68 @@
+// schemas/invitation.js
+module.exports = {
+  Invitation: {
+    type: 'object',
+    properties: {
+      _id: {
+        type: 'string',
+        format: 'ObjectId',
+        description: 'The auto-generated ID of the invitation',
+        example: '507f1f77bcf86cd799439011',
+      },
+      email: {
+        type: 'string',
+        format: 'email',
+        description: 'The email address the invitation was sent to',
+        example: 'jane@example.com',
+      },
+      type: {
+        type: 'number',
+        enum: [10, 11, 12, 13],
+        description: 'The account type granted by the invitation (10 = Admin, 11 = Instructor, 12 = Stake Admin, 13 = Country Admin)',
+        example: 11,
+      },
+      wardId: {
+        type: 'string',
+        format: 'ObjectId',
+        description: 'The ward the invited user will belong to',
+        example: '507f1f77bcf86cd799439012',
+      },
+      invitedBy: {
+        type: 'string',
+        format: 'ObjectId',
+        description: 'The admin who issued the invitation',
+        example: '507f1f77bcf86cd799439013',
+      },
+      expiresAt: {
+        type: 'string',
+        format: 'date-time',
+        description: 'The timestamp after which the invitation can no longer be redeemed',
+        example: '2023-10-22T12:00:00Z',
+      },
+      acceptedAt: {
+        type: 'string',
+        format: 'date-time',
+        description: 'The timestamp when the invitation was redeemed',
+        example: '2023-10-16T12:00:00Z',
+      },
+      revokedAt: {
+        type: 'string',
+        format: 'date-time',
+        description: 'The timestamp when the invitation was revoked',
+        example: '2023-10-16T12:00:00Z',
+      },
+      createdAt: {
+        type: 'string',
+        format: 'date-time',
+        description: 'The timestamp when the invitation was created',
+        example: '2023-10-15T12:00:00Z',
+      },
+      updatedAt: {
+        type: 'string',
+        format: 'date-time',
+        description: 'The timestamp when the invitation was last updated',
+        example: '2023-10-15T12:00:00Z',
+      },
+    },
+  },
+};
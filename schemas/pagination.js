@@ -0,0 +1,72 @@
+// schemas/pagination.js
+module.exports = {
+    Pagination: {
+        type: 'object',
+        description: 'Position of a page in a list (see utils/listQuery.js)',
+        properties: {
+            total: {
+                type: 'integer',
+                description: 'Number of documents matching the filters',
+                example: 134,
+            },
+            limit: {
+                type: 'integer',
+                description: 'Maximum number of documents per page',
+                example: 20,
+            },
+            page: {
+                type: 'integer',
+                description: 'Current page (page-based pagination only)',
+                example: 1,
+            },
+            totalPages: {
+                type: 'integer',
+                description: 'Number of pages (page-based pagination only)',
+                example: 7,
+            },
+            hasMore: {
+                type: 'boolean',
+                description: 'Whether there are documents after this page',
+                example: true,
+            },
+            nextCursor: {
+                type: 'string',
+                nullable: true,
+                description: 'Cursor of the next page, to pass as `cursor`',
+                example: 'WyI2NWE...',
+            },
+        },
+    },
+    parameters: {
+        PageParam: {
+            in: 'query',
+            name: 'page',
+            schema: { type: 'integer', minimum: 1, default: 1 },
+            description: 'Page number (cannot be combined with cursor)',
+        },
+        LimitParam: {
+            in: 'query',
+            name: 'limit',
+            schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+            description: 'Documents per page',
+        },
+        CursorParam: {
+            in: 'query',
+            name: 'cursor',
+            schema: { type: 'string' },
+            description: 'nextCursor of the previous page, for cursor-based pagination',
+        },
+        FromParam: {
+            in: 'query',
+            name: 'from',
+            schema: { type: 'string', format: 'date' },
+            description: 'Only documents on or after this date',
+        },
+        ToParam: {
+            in: 'query',
+            name: 'to',
+            schema: { type: 'string', format: 'date' },
+            description: 'Only documents on or before this date (a date without time includes the whole day)',
+        },
+    },
+};
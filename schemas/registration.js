@@ -32,6 +32,78 @@ module.exports = {
                 description: 'Additional notes for the registration',
                 example: 'Late arrival',
             },
+            status: {
+                type: 'string',
+                enum: ['pending', 'active', 'withdrawn', 'transferred', 'completed'],
+                description: 'pending: on the waitlist of a full group; active: holds a seat; withdrawn: left the group; transferred: moved to another group; completed: completed the course',
+                example: 'active',
+            },
+            statusChangedAt: {
+                type: 'string',
+                format: 'date-time',
+                description: 'When the status last changed (orders the waitlist)',
+                example: '2020-08-20T20:00:00.000Z',
+            },
+            statusHistory: {
+                type: 'array',
+                description: 'Every status of the registration, oldest first',
+                items: {
+                    type: 'object',
+                    properties: {
+                        status: {
+                            type: 'string',
+                            example: 'withdrawn',
+                        },
+                        changedAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            example: '2020-09-15T20:00:00.000Z',
+                        },
+                        reason: {
+                            type: 'string',
+                            example: 'Moved to another city',
+                        },
+                        changedBy: {
+                            type: 'string',
+                            format: 'objectid',
+                            description: 'User who made the change',
+                            example: '5f3f9c5f6d7a0f0021e9d4b8',
+                        },
+                    },
+                },
+            },
+            transferredFrom: {
+                type: 'string',
+                format: 'objectid',
+                description: 'Registration in the group the student was transferred from',
+                example: '5f3f9c5f6d7a0f0021e9d4b9',
+            },
+            transferredTo: {
+                type: 'string',
+                format: 'objectid',
+                description: 'Registration in the group the student was transferred to',
+                example: '5f3f9c5f6d7a0f0021e9d4ba',
+            },
+            progress: {
+                $ref: '#/components/schemas/RegistrationProgress',
+            },
+            completed: {
+                type: 'boolean',
+                description: 'Whether the student completed the course in this group',
+                example: true,
+            },
+            completedAt: {
+                type: 'string',
+                format: 'date-time',
+                description: 'When the completion rules were first met',
+                example: '2020-12-10T20:00:00.000Z',
+            },
+            completedLevel: {
+                type: 'string',
+                enum: ['EC1', 'EC2'],
+                description: 'Level the student completed',
+                example: 'EC1',
+            },
             createdAt: {
                 type: 'string',
                 format: 'date-time',
@@ -47,4 +119,33 @@ module.exports = {
         },
         required: ['studentId', 'groupId', 'date'],
     },
+    RegistrationProgress: {
+        type: 'object',
+        description: 'Last evaluation of the completion rules for a registration',
+        properties: {
+            attendedSessions: {
+                type: 'integer',
+                description: 'Distinct sessions attended (present, late or made-up)',
+                example: 21,
+            },
+            totalSessions: {
+                type: 'integer',
+                example: 25,
+            },
+            percentage: {
+                type: 'number',
+                description: 'Attended sessions over the course sessions',
+                example: 84,
+            },
+            finalSessionCompleted: {
+                type: 'boolean',
+                example: true,
+            },
+            evaluatedAt: {
+                type: 'string',
+                format: 'date-time',
+                example: '2020-12-10T20:00:00.000Z',
+            },
+        },
+    },
 };
\ No newline at end of file
@@ -52,4 +52,81 @@ module.exports = {
         required: ['_id','userId','addressId','birthDate','phone','language','level','chuchMembership','createdAt','updatedAt'],
 
     },
+    StudentImportReport: {
+        type: 'object',
+        description: 'Result of a roster import (POST /api/students/import)',
+        properties: {
+            message: {
+                type: 'string',
+                example: '2 students imported',
+            },
+            dryRun: {
+                type: 'boolean',
+                example: false,
+            },
+            columns: {
+                type: 'object',
+                description: 'Field each column of the file was mapped to',
+                additionalProperties: { type: 'string' },
+                example: { Nombre: 'firstName', Apellido: 'lastName', Correo: 'email' },
+            },
+            ignoredColumns: {
+                type: 'array',
+                description: 'Columns that were not imported',
+                items: { type: 'string' },
+                example: ['Notas'],
+            },
+            summary: {
+                type: 'object',
+                properties: {
+                    total: { type: 'integer', example: 2 },
+                    valid: { type: 'integer', example: 2 },
+                    invalid: { type: 'integer', example: 0 },
+                },
+            },
+            rows: {
+                type: 'array',
+                description: 'Validation result of each row',
+                items: {
+                    type: 'object',
+                    properties: {
+                        row: {
+                            type: 'integer',
+                            description: 'Row number in the file',
+                            example: 2,
+                        },
+                        email: {
+                            type: 'string',
+                            example: 'maria@example.com',
+                        },
+                        errors: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            example: ["User 'maria@example.com' already exists"],
+                        },
+                    },
+                },
+            },
+            data: {
+                type: 'array',
+                description: 'Created students (only when imported)',
+                items: {
+                    type: 'object',
+                    properties: {
+                        row: { type: 'integer', example: 2 },
+                        email: { type: 'string', example: 'maria@example.com' },
+                        userId: { type: 'string', example: '507f1f77bcf86cd799439011' },
+                        studentId: { type: 'string', example: '607f1f77bcf86cd799439012' },
+                        registrationStatus: {
+                            type: 'string',
+                            nullable: true,
+                            enum: ['active', 'pending'],
+                            description: 'Registration in groupId: pending when the group was full (waitlist)',
+                            example: 'active',
+                        },
+                    },
+                },
+            },
+        },
+    },
 };
\ No newline at end of file
@@ -34,4 +34,103 @@ module.exports = {
       },
       required: ['name', 'startDate', 'endDate'],
    },
+   TermRollover: {
+      type: 'object',
+      description: 'Planned (or created) groups and registrations of a term rollover',
+      properties: {
+         message: { type: 'string', example: 'Rollover preview' },
+         dryRun: { type: 'boolean', example: true },
+         source: {
+            type: 'object',
+            properties: {
+               _id: { type: 'string', example: '5f3f9c5f6d7a0f0021e9d4b7' },
+               name: { type: 'string', example: 'Fall 2023' },
+            },
+         },
+         target: {
+            type: 'object',
+            description: 'The target term (_id is null until a new term is created)',
+            properties: {
+               _id: { type: 'string', nullable: true, example: null },
+               name: { type: 'string', example: 'Spring 2024' },
+               startDate: { type: 'string', format: 'date', example: '2024-01-22' },
+               endDate: { type: 'string', format: 'date', example: '2024-05-31' },
+            },
+         },
+         offsetDays: {
+            type: 'integer',
+            description: 'Days the group dates are shifted by',
+            example: 140,
+         },
+         summary: {
+            type: 'object',
+            properties: {
+               groups: { type: 'integer', example: 6 },
+               invalid: { type: 'integer', example: 0 },
+               carriedForward: { type: 'integer', example: 12 },
+               promoted: { type: 'integer', example: 20 },
+               waitlisted: { type: 'integer', example: 1 },
+               unplaced: { type: 'integer', example: 2 },
+            },
+         },
+         groups: {
+            type: 'array',
+            items: {
+               type: 'object',
+               properties: {
+                  sourceGroupId: { type: 'string', example: '507f1f77bcf86cd799439011' },
+                  sourceName: { type: 'string', example: 'EC1 A - Fall 2023' },
+                  name: { type: 'string', example: 'EC1 A - Spring 2024' },
+                  wardId: { type: 'string', example: '507f1f77bcf86cd799439012' },
+                  level: { type: 'string', example: 'EC1' },
+                  start_date: { type: 'string', format: 'date-time', example: '2024-01-23T00:00:00.000Z' },
+                  end_date: { type: 'string', format: 'date-time', example: '2024-05-28T00:00:00.000Z' },
+                  capacity: { type: 'integer', example: 20 },
+                  errors: {
+                     type: 'array',
+                     items: { type: 'string' },
+                     example: [],
+                  },
+                  students: {
+                     type: 'array',
+                     items: { $ref: '#/components/schemas/RolloverStudent' },
+                  },
+               },
+            },
+         },
+         unplaced: {
+            type: 'array',
+            description: 'Students who completed EC1 in a ward without an EC2 group',
+            items: { $ref: '#/components/schemas/RolloverStudent' },
+         },
+      },
+   },
+   RolloverStudent: {
+      type: 'object',
+      properties: {
+         studentId: { type: 'string', example: '607f1f77bcf86cd799439012' },
+         firstName: { type: 'string', example: 'Maria' },
+         lastName: { type: 'string', example: 'Lima' },
+         fromGroupId: { type: 'string', example: '507f1f77bcf86cd799439011' },
+         reason: {
+            type: 'string',
+            description: 'carried-forward or promoted, or why the student was not placed',
+            example: 'promoted',
+         },
+         status: {
+            type: 'string',
+            enum: ['active', 'pending'],
+            description: 'Registration status in the new group (pending when over capacity)',
+            example: 'active',
+         },
+      },
+   },
+   parameters: {
+      TermIdParam: {
+         in: 'query',
+         name: 'termId',
+         schema: { type: 'string' },
+         description: 'Only include the groups of this term (see GET /api/terms/current)',
+      },
+   },
 };
\ No newline at end of file
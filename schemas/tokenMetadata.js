@@ -52,6 +52,18 @@ module.exports = {
           description: 'Indicates whether the refresh token has been revoked',
           example: false,
         },
+        revokedAt: {
+          type: 'string',
+          format: 'date-time',
+          description: 'The timestamp when the session was revoked',
+          example: '2023-10-16T12:00:00Z',
+        },
+        revokedReason: {
+          type: 'string',
+          enum: ['logout', 'user', 'reuse', 'password_reset'],
+          description: 'Why the session was revoked (reuse = an already rotated refresh token was presented)',
+          example: 'logout',
+        },
         expiresAt: {
           type: 'string',
           format: 'date-time',
@@ -33,7 +33,7 @@ module.exports = {
             },
             type: {
                 type: 'number',
-                description: 'The user\'s type (1 = Student, 10 = Admin, 11 = Instructor)',
+                description: 'The user\'s type (1 = Student, 10 = Admin, 11 = Instructor, 12 = Stake Admin, 13 = Country Admin)',
                 example: 1,
             },
             wardId: {
@@ -45,6 +45,11 @@ module.exports = {
                 description: 'The URL of the user\'s avatar image',
                 example: 'https://example.com/avatar.jpg',
             },
+            emailVerified: {
+                type: 'boolean',
+                description: 'Whether the user has confirmed their email address',
+                example: true,
+            },
             createdAt: {
                 type: 'string',
                 format: 'date-time',
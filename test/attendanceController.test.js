@@ -0,0 +1,120 @@
+// test/attendanceController.test.js
+// Attendance handlers with the models stubbed, so no database is needed.
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+
+const Attendance = require("../models/attendance");
+const Group = require("../models/group");
+const Registration = require("../models/registration");
+const {
+  updateAttendance,
+  createMakeUpAttendance,
+} = require("../controllers/attendanceController");
+
+const recordId = new mongoose.Types.ObjectId().toString();
+
+// Minimal Express request and response
+const call = async (body, handler = updateAttendance) => {
+  const req = {
+    params: { id: recordId },
+    body,
+    user: { _id: new mongoose.Types.ObjectId(), type: 10 },
+    scope: null,
+  };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+  await handler(req, res);
+  return res;
+};
+
+// A stored record of an absent student; save() runs the validation hooks
+const stubRecord = () => {
+  const record = Attendance.hydrate({
+    _id: recordId,
+    studentId: new mongoose.Types.ObjectId(),
+    groupId: new mongoose.Types.ObjectId(),
+    date: new Date("2025-01-06T00:00:00.000Z"),
+    sessionNumber: 1,
+    status: "absent",
+    isPresent: false,
+  });
+  mock.method(record, "save", async function () {
+    await this.validate();
+    return this;
+  });
+  mock.method(record, "populate", async function () {
+    return this;
+  });
+  mock.method(Attendance, "findById", async () => record);
+  return record;
+};
+
+afterEach(() => {
+  Attendance.findById.mock?.restore();
+  Group.findById.mock?.restore();
+  Registration.find.mock?.restore();
+});
+
+test("rejects an unknown status before touching the record", async () => {
+  stubRecord();
+  const res = await call({ status: "asleep" });
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(Attendance.findById.mock.callCount(), 0);
+});
+
+test("keeps isPresent in sync with an updated status", async () => {
+  const record = stubRecord();
+  const res = await call({ status: "late", isPresent: false });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(record.save.mock.callCount(), 1);
+  assert.strictEqual(record.status, "late");
+  assert.strictEqual(record.isPresent, true);
+});
+
+test("derives the status of an isPresent-only update", async () => {
+  const record = stubRecord();
+  const res = await call({ isPresent: true });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(record.status, "present");
+});
+
+test("rejects a make-up when the stakes of the groups are unknown", async () => {
+  const homeGroupId = new mongoose.Types.ObjectId();
+  // Neither ward has a stake: their ids must not compare as equal
+  const groupOf = (id) => ({
+    _id: id,
+    name: "EC1-A",
+    wardId: { _id: new mongoose.Types.ObjectId() },
+    sessions: [{ number: 4, date: new Date("2025-03-18T00:00:00.000Z") }],
+  });
+  mock.method(Group, "findById", (id) => ({
+    populate: async () => groupOf(id),
+  }));
+  mock.method(Registration, "find", () => ({
+    distinct: async () => [homeGroupId],
+  }));
+
+  const res = await call(
+    {
+      studentId: new mongoose.Types.ObjectId().toString(),
+      groupId: new mongoose.Types.ObjectId().toString(),
+      sessionNumber: 4,
+    },
+    createMakeUpAttendance
+  );
+
+  assert.strictEqual(res.statusCode, 404);
+});
@@ -0,0 +1,74 @@
+// test/attendanceMatrix.test.js
+// buildAttendanceMatrix with the models stubbed, so no database is needed.
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+
+const Attendance = require("../models/attendance");
+const Registration = require("../models/registration");
+const Student = require("../models/student");
+const { buildAttendanceMatrix } = require("../utils/attendanceMatrix");
+
+const DAY = 24 * 60 * 60 * 1000;
+const studentId = new mongoose.Types.ObjectId();
+const group = {
+  _id: new mongoose.Types.ObjectId(),
+  start_date: new Date("2025-01-06T00:00:00.000Z"),
+  sessions: Array.from({ length: 25 }, (_, i) => ({
+    number: i + 1,
+    date: new Date(Date.parse("2025-01-06T00:00:00.000Z") + i * 7 * DAY),
+  })),
+};
+
+const registration = (status, date) => ({
+  _id: new mongoose.Types.ObjectId(),
+  studentId,
+  status,
+  date: new Date(date),
+});
+
+// Registrations of the student, in the order the query returns them
+const stubModels = (registrations) => {
+  mock.method(Registration, "find", () => ({
+    select() {
+      return this;
+    },
+    sort: async () => registrations,
+  }));
+  mock.method(Attendance, "find", () => ({ select: async () => [] }));
+  mock.method(Student, "find", () => ({
+    select() {
+      return this;
+    },
+    populate: async () => [
+      { _id: studentId, userId: { firstName: "Ana", lastName: "Lima" } },
+    ],
+  }));
+};
+
+afterEach(() => {
+  Registration.find.mock?.restore();
+  Attendance.find.mock?.restore();
+  Student.find.mock?.restore();
+});
+
+test("an active registration wins over a later withdrawn one", async () => {
+  const active = registration("active", "2025-01-02");
+  stubModels([active, registration("withdrawn", "2025-02-01")]);
+
+  const { students } = await buildAttendanceMatrix(group);
+
+  assert.strictEqual(students.length, 1);
+  assert.strictEqual(students[0].enrollment, "registered");
+  assert.strictEqual(students[0].registrationId, active._id);
+});
+
+test("the latest of two registrations that left is shown", async () => {
+  const transferred = registration("transferred", "2025-02-01");
+  stubModels([registration("withdrawn", "2025-01-02"), transferred]);
+
+  const { students } = await buildAttendanceMatrix(group);
+
+  assert.strictEqual(students[0].enrollment, "transferred");
+  assert.strictEqual(students[0].registrationId, transferred._id);
+});
@@ -0,0 +1,99 @@
+// test/authController.test.js
+// refreshToken with the models stubbed, so no database is needed.
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const argon2 = require("argon2");
+
+process.env.JWT_SECRET = "test-access-secret";
+process.env.JWT_REFRESH_SECRET = "test-refresh-secret";
+process.env.JWT_EXPIRATION = "15m";
+process.env.JWT_REFRESH_EXPIRATION = "7d";
+process.env.DEFAULT_AVATAR_URL = "https://example.com/avatar.png";
+
+const User = require("../models/user");
+const TokenMetadata = require("../models/tokenMetadata");
+const { generateRefreshToken } = require("../config/jwt");
+const { refreshToken } = require("../controllers/authController");
+
+// Minimal Express request and response
+const call = async (token) => {
+  const req = {
+    headers: { authorization: `Bearer ${token}`, "user-agent": "okhttp" },
+    cookies: {},
+    clientIp: "127.0.0.1",
+  };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    cookie() {},
+  };
+  await refreshToken(req, res);
+  return res;
+};
+
+// A user with one device session whose latest token is returned
+const stubSession = async () => {
+  const user = new User({ email: "student@example.com", type: 1 });
+  const sessionId = new mongoose.Types.ObjectId();
+  const tokenId = crypto.randomUUID();
+  const token = generateRefreshToken(user, sessionId, tokenId);
+  const session = new TokenMetadata({
+    _id: sessionId,
+    userId: user._id,
+    refreshToken: await argon2.hash(token),
+    tokenId,
+    ipAddress: "127.0.0.1",
+    userAgent: "okhttp",
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+
+  mock.method(User, "findById", () => ({ select: async () => user }));
+  mock.method(TokenMetadata, "findOne", async () => session);
+  mock.method(TokenMetadata, "updateOne", async () => ({ modifiedCount: 1 }));
+  // Only the first rotation still finds the presented token as the latest
+  let rotated = false;
+  mock.method(TokenMetadata, "findOneAndUpdate", async () => {
+    if (rotated) return null;
+    rotated = true;
+    return session;
+  });
+  return token;
+};
+
+afterEach(() => {
+  User.findById.mock?.restore();
+  TokenMetadata.findOne.mock?.restore();
+  TokenMetadata.updateOne.mock?.restore();
+  TokenMetadata.findOneAndUpdate.mock?.restore();
+});
+
+test("rotates a refresh token conditionally on it being the latest", async () => {
+  const token = await stubSession();
+  const res = await call(token);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(res.body.refreshToken);
+  const [filter] = TokenMetadata.findOneAndUpdate.mock.calls[0].arguments;
+  assert.strictEqual(filter.isRevoked, false);
+  assert.ok(filter.tokenId);
+  assert.strictEqual(TokenMetadata.updateOne.mock.callCount(), 0);
+});
+
+test("treats the loser of two concurrent refreshes as reuse", async () => {
+  const token = await stubSession();
+  const results = await Promise.all([call(token), call(token)]);
+
+  assert.deepStrictEqual(results.map((res) => res.statusCode).sort(), [200, 403]);
+  assert.strictEqual(TokenMetadata.updateOne.mock.callCount(), 1);
+  const [, update] = TokenMetadata.updateOne.mock.calls[0].arguments;
+  assert.strictEqual(update.$set.revokedReason, "reuse");
+});
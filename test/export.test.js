@@ -0,0 +1,56 @@
+// test/export.test.js
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { Readable, Writable } = require("stream");
+const { sendExport, mapRows } = require("../utils/export");
+
+// A response whose client stops reading: writes are never acknowledged, so
+// it fills up and never drains
+const stalledResponse = () => {
+  const res = new Writable({ highWaterMark: 16, write() {} });
+  res.setHeader = () => {};
+  return res;
+};
+
+const columns = [{ key: "name", header: "Name" }];
+
+test("stops a CSV export when the client disconnects", async () => {
+  const res = stalledResponse();
+  const cursor = Readable.from(
+    Array.from({ length: 1000 }, (_, i) => ({ name: `Student ${i}` }))
+  );
+  const exported = sendExport(res, "csv", {
+    filename: "students",
+    title: "Students",
+    columns,
+    rows: mapRows(cursor, (row) => row),
+  });
+
+  setImmediate(() => res.destroy());
+  await exported;
+
+  assert.ok(cursor.destroyed);
+});
+
+test("sends every row to a client that reads them", async () => {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  res.setHeader = () => {};
+
+  await sendExport(res, "csv", {
+    filename: "students",
+    title: "Students",
+    columns,
+    rows: [{ name: "Ana" }, { name: "José" }],
+  });
+
+  assert.strictEqual(
+    Buffer.concat(chunks).toString(),
+    "\uFEFFName\r\nAna\r\nJosé\r\n"
+  );
+});
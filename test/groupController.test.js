@@ -0,0 +1,153 @@
+// test/groupController.test.js
+// updateGroup with the models stubbed, so no database is needed.
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+
+// Stub the helpers before the controller destructures them
+const registrations = require("../utils/registrations");
+const calendar = require("../utils/calendar");
+mock.method(registrations, "promoteWaitlist", async () => []);
+mock.method(calendar, "wardBlackoutDays", async () => new Set());
+
+const Group = require("../models/group");
+const Term = require("../models/term");
+const Instructor = require("../models/instructor");
+const Ward = require("../models/ward");
+const { updateGroup } = require("../controllers/groupController");
+
+const DAY = 24 * 60 * 60 * 1000;
+const groupId = new mongoose.Types.ObjectId().toString();
+const wardId = new mongoose.Types.ObjectId();
+
+// A group meeting on Mondays from 2025-01-06, with its first two sessions
+// completed
+const currentGroup = () =>
+  new Group({
+    _id: groupId,
+    name: "EC1-A",
+    wardId,
+    instructorId: new mongoose.Types.ObjectId(),
+    start_date: new Date("2025-01-06T00:00:00.000Z"),
+    end_date: new Date("2025-06-23T00:00:00.000Z"),
+    schedule: { weekdays: ["monday"], startTime: "19:00", timezone: "UTC" },
+    sessions: Array.from({ length: 25 }, (_, i) => ({
+      number: i + 1,
+      date: new Date(Date.parse("2025-01-06T00:00:00.000Z") + i * 7 * DAY),
+      completed: i < 2,
+    })),
+  });
+
+// Minimal Express request and response
+const call = async (handler, body, { type = 10, scope = null } = {}) => {
+  const req = {
+    params: { id: groupId },
+    body,
+    user: { _id: new mongoose.Types.ObjectId(), type },
+    scope,
+  };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    send(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+  await handler(req, res);
+  return res;
+};
+
+// Stub the group queries: the current group, and the update it receives
+const stubGroup = () => {
+  const current = currentGroup();
+  const updates = [];
+  mock.method(Group, "findById", async () => current);
+  mock.method(Group, "findOne", async () => null);
+  mock.method(Group, "findOneAndUpdate", async (filter, update) => {
+    updates.push(update);
+    return { ...current.toObject(), ...update };
+  });
+  mock.method(Instructor, "findById", async () => null);
+  mock.method(Ward, "findById", async () => null);
+  return { current, updates };
+};
+
+afterEach(() => {
+  Group.findById.mock?.restore();
+  Group.findOne.mock?.restore();
+  Term.findById.mock?.restore();
+  Group.findOneAndUpdate.mock?.restore();
+  Instructor.findById.mock?.restore();
+  Ward.findById.mock?.restore();
+  registrations.promoteWaitlist.mock.resetCalls();
+});
+
+test("updateGroup changes only the capacity", async () => {
+  const { updates } = stubGroup();
+
+  const res = await call(updateGroup, { capacity: 20 });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(updates, [{ capacity: 20 }]);
+  assert.strictEqual(Instructor.findById.mock.callCount(), 0);
+  assert.strictEqual(Ward.findById.mock.callCount(), 0);
+  assert.strictEqual(registrations.promoteWaitlist.mock.callCount(), 1);
+});
+
+test("updateGroup lets a scoped admin move a group of their ward to a term", async () => {
+  const { updates } = stubGroup();
+  const termId = new mongoose.Types.ObjectId().toString();
+  mock.method(Term, "findById", async () => ({
+    name: "2025",
+    startDate: new Date("2025-01-01T00:00:00.000Z"),
+    endDate: new Date("2025-12-31T00:00:00.000Z"),
+  }));
+
+  const res = await call(
+    updateGroup,
+    { termId },
+    { type: 12, scope: { stakeIds: [], wardIds: [wardId] } }
+  );
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(updates, [{ termId }]);
+});
+
+test("updateGroup refuses to move a group to a ward outside the scope", async () => {
+  stubGroup();
+  const otherWardId = new mongoose.Types.ObjectId();
+
+  const res = await call(
+    updateGroup,
+    { wardId: otherWardId.toString() },
+    { type: 12, scope: { stakeIds: [], wardIds: [wardId] } }
+  );
+
+  assert.strictEqual(res.statusCode, 403);
+});
+
+test("updateGroup dates the uncompleted sessions again after a schedule change", async () => {
+  const { updates } = stubGroup();
+
+  const res = await call(updateGroup, {
+    schedule: { weekdays: ["tuesday"], startTime: "18:00", timezone: "UTC" },
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  const [{ sessions, end_date: endDate }] = updates;
+  const days = sessions.map((s) => s.date.toISOString().slice(0, 10));
+  // Completed sessions keep their Monday dates
+  assert.deepStrictEqual(days.slice(0, 2), ["2025-01-06", "2025-01-13"]);
+  // The rest move to the Tuesdays after them
+  assert.deepStrictEqual(days.slice(2, 4), ["2025-01-14", "2025-01-21"]);
+  assert.ok(sessions.slice(2).every((s) => s.date.getUTCDay() === 2));
+  assert.strictEqual(endDate.toISOString().slice(0, 10), "2025-06-17");
+});
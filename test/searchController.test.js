@@ -0,0 +1,95 @@
+// test/searchController.test.js
+// search with the models stubbed, so no database is needed.
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+
+const User = require("../models/user");
+const Student = require("../models/student");
+const Address = require("../models/address");
+const Group = require("../models/group");
+const Ward = require("../models/ward");
+const Registration = require("../models/registration");
+const { search } = require("../controllers/searchController");
+
+// Chainable stand-in for a Mongoose query resolving to `result`
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    distinct: () => query([]),
+    cursor: () => result[Symbol.iterator](),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+const user = (firstName, lastName) =>
+  new User({
+    _id: new mongoose.Types.ObjectId(),
+    firstName,
+    lastName,
+    email: `${firstName}.${lastName}@example.com`.toLowerCase(),
+    type: 10,
+  });
+
+// Minimal Express request and response
+const call = async (q, limit) => {
+  const req = {
+    query: { q, ...(limit && { limit }) },
+    user: { _id: new mongoose.Types.ObjectId(), type: 10 },
+    scope: null,
+  };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+  await search(req, res);
+  return res;
+};
+
+const stubModels = (users) => {
+  for (const Model of [Ward, Group, Address, Registration, Student]) {
+    mock.method(Model, "find", () => query([]));
+  }
+  mock.method(User, "find", () => query(users));
+};
+
+afterEach(() => {
+  for (const Model of [Ward, Group, Address, Registration, Student, User]) {
+    Model.find.mock?.restore();
+  }
+});
+
+test("ranks every match, not only the first ones found", async () => {
+  // Weak matches ("mar" inside the last name) come first, and more of them
+  // than are ranked at a time
+  const users = Array.from({ length: 250 }, (_, i) =>
+    user(`Ana${i}`, "Tamara")
+  );
+  users.push(user("Mar", "Lima"));
+  stubModels(users);
+
+  const res = await call("mar", 5);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.total, 251);
+  assert.strictEqual(res.body.data.length, 5);
+  assert.strictEqual(res.body.data[0].user.firstName, "Mar");
+});
+
+test("requires every term to match in the user query", async () => {
+  stubModels([]);
+  await call("maria lima");
+
+  const [filter] = User.find.mock.calls[0].arguments;
+  assert.strictEqual(filter.$and.length, 2);
+  assert.ok(filter.$and.every((condition) => condition.$or));
+});
@@ -0,0 +1,188 @@
+// utils/attendanceMatrix.js
+// Attendance of a group as a grid of students × sessions.
+const Attendance = require("../models/attendance");
+const Registration = require("../models/registration");
+const Student = require("../models/student");
+const { summarizeAttendance } = require("./attendanceStats");
+
+const TOTAL_SESSIONS = 25;
+
+// One-letter codes used in exported matrices
+const STATUS_CODES = {
+  present: "P",
+  late: "L",
+  excused: "E",
+  absent: "A",
+  "made-up": "M",
+};
+
+// How a student takes part in the group:
+//   registered:  registered before the course started
+//   late:        registered after the first session
+//   waitlisted:  still on the waitlist (only listed with attendance)
+//   withdrawn:   withdrew, or has attendance but is no longer registered
+//   transferred: moved to another group
+const ENROLLMENTS = [
+  "registered",
+  "late",
+  "waitlisted",
+  "withdrawn",
+  "transferred",
+];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Number of the first session held on or after `date` (null when every
+// session with a date is earlier)
+const firstSessionFrom = (sessions, date) => {
+  const day = startOfDay(date);
+  const session = sessions.find((s) => s.date && startOfDay(s.date) >= day);
+  return session ? session.number : null;
+};
+
+// Which registration describes a student registered in the group more than
+// once: an enrolled one wins over the waitlist, which wins over one that
+// withdrew or transferred. Equal ones are decided by the latest date.
+const registrationPriority = ({ status }) => {
+  if (Registration.ENROLLED_STATUSES.includes(status)) return 2;
+  return status === "pending" ? 1 : 0;
+};
+
+// Build the matrix of a group (document with its sessions):
+//   sessions: [{ number, date, topic, completed, summary }]
+//   students: [{ studentId, registrationId, firstName, lastName, email,
+//                enrollment, registeredAt, joinedSession, leftAt,
+//                cells: { [number]: status }, summary }]
+//   summary:  totals of the whole group
+// Students are sorted by last name, then first name. Make-up visits from
+// other groups are not part of the matrix: they count in the student's own
+// group.
+const buildAttendanceMatrix = async (group) => {
+  const [registrations, records] = await Promise.all([
+    Registration.find({ groupId: group._id })
+      .select("studentId date status statusChangedAt")
+      .sort({ date: 1 }),
+    Attendance.find({
+      groupId: group._id,
+      sessionNumber: { $type: "number" },
+      "makeUpFor.groupId": { $exists: false },
+    }).select("studentId sessionNumber status isPresent"),
+  ]);
+
+  const sessions = Array.from({ length: TOTAL_SESSIONS }, (_, i) => {
+    const session = group.sessions.find((s) => s.number === i + 1);
+    return {
+      number: i + 1,
+      date: session?.date || null,
+      topic: session?.topic || null,
+      completed: !!session?.completed,
+    };
+  });
+  const courseStart =
+    sessions.find((session) => session.date)?.date || group.start_date;
+
+  // Registered students (without the waitlist), and those only known
+  // through their attendance
+  const registrationOf = new Map();
+  registrations.forEach((registration) => {
+    const studentId = String(registration.studentId);
+    const current = registrationOf.get(studentId);
+    if (
+      !current ||
+      registrationPriority(registration) >= registrationPriority(current)
+    ) {
+      registrationOf.set(studentId, registration);
+    }
+  });
+  const studentIds = new Set(
+    [
+      ...registrations.filter((r) => r.status !== "pending"),
+      ...records,
+    ].map((doc) => String(doc.studentId))
+  );
+  const userOf = new Map(
+    (
+      await Student.find({ _id: { $in: [...studentIds] } })
+        .select("userId")
+        .populate("userId", "firstName lastName email")
+    ).map((student) => [String(student._id), student.userId])
+  );
+
+  const students = [...studentIds]
+    // Deleted students
+    .filter((studentId) => userOf.has(studentId))
+    .map((studentId) => {
+      const registration = registrationOf.get(studentId);
+      const user = userOf.get(studentId);
+      const own = records.filter(
+        (record) => String(record.studentId) === studentId
+      );
+      const cells = {};
+      own.forEach((record) => {
+        cells[record.sessionNumber] = record.status;
+      });
+
+      let enrollment = "withdrawn";
+      let joinedSession = null;
+      if (registration) {
+        const lateRegistration =
+          courseStart &&
+          registration.date &&
+          startOfDay(registration.date) > startOfDay(courseStart);
+        joinedSession = lateRegistration
+          ? firstSessionFrom(sessions, registration.date)
+          : 1;
+        if (["withdrawn", "transferred"].includes(registration.status)) {
+          enrollment = registration.status;
+        } else if (registration.status === "pending") {
+          enrollment = "waitlisted";
+        } else {
+          enrollment = lateRegistration ? "late" : "registered";
+        }
+      }
+      const left = ["withdrawn", "transferred"].includes(enrollment);
+
+      return {
+        studentId,
+        registrationId: registration?._id || null,
+        firstName: user?.firstName || "",
+        lastName: user?.lastName || "",
+        email: user?.email || null,
+        enrollment,
+        registeredAt: registration?.date || null,
+        joinedSession,
+        leftAt: left ? registration?.statusChangedAt || null : null,
+        cells,
+        summary: summarizeAttendance(own),
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.lastName.localeCompare(b.lastName) ||
+        a.firstName.localeCompare(b.firstName)
+    );
+
+  // Totals of each session over the students of the matrix
+  const listed = new Set(students.map((student) => student.studentId));
+  const counted = records.filter((record) =>
+    listed.has(String(record.studentId))
+  );
+  sessions.forEach((session) => {
+    session.summary = summarizeAttendance(
+      counted.filter((record) => record.sessionNumber === session.number)
+    );
+  });
+
+  return { sessions, students, summary: summarizeAttendance(counted) };
+};
+
+module.exports = {
+  TOTAL_SESSIONS,
+  STATUS_CODES,
+  ENROLLMENTS,
+  buildAttendanceMatrix,
+};
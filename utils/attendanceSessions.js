@@ -0,0 +1,18 @@
+// utils/attendanceSessions.js
+// Helpers to relate attendance dates to the numbered sessions of a Group.
+
+// Calendar day (UTC) of a date, e.g. "2025-03-15"
+const dayKey = (date) => new Date(date).toISOString().split("T")[0];
+
+// Number of the group session held on the same day as `date`, if any
+const sessionNumberForDate = (group, date) => {
+  if (!date) return undefined;
+  const key = dayKey(date);
+  const session = group.sessions.find((s) => s.date && dayKey(s.date) === key);
+  return session?.number;
+};
+
+module.exports = {
+  dayKey,
+  sessionNumberForDate,
+};
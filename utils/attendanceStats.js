@@ -0,0 +1,38 @@
+// utils/attendanceStats.js
+const Attendance = require("../models/attendance");
+
+// Summarize attendance records (anything with a `status`). Excused records
+// are left out of the percentage; present, late and made-up count as attended.
+// Make-up visits to another group are counted through the home group record
+// they made up, so they are skipped here.
+const summarizeAttendance = (allRecords) => {
+  const records = allRecords.filter((record) => !record.makeUpFor?.groupId);
+  const counts = Object.fromEntries(
+    Attendance.STATUSES.map((status) => [status, 0])
+  );
+  records.forEach((record) => {
+    if (record.status in counts) counts[record.status]++;
+  });
+
+  const total = records.length;
+  const attended = Attendance.ATTENDED_STATUSES.reduce(
+    (sum, status) => sum + counts[status],
+    0
+  );
+  const excused = counts.excused;
+  const counted = total - excused;
+
+  return {
+    total,
+    attended,
+    missed: counts.absent,
+    excused,
+    late: counts.late,
+    madeUp: counts["made-up"],
+    percentage: counted === 0 ? 0 : Math.round((attended / counted) * 100),
+  };
+};
+
+module.exports = {
+  summarizeAttendance,
+};
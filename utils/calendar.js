@@ -0,0 +1,232 @@
+// utils/calendar.js
+// Blackout calendar: the days without sessions of each stake (its own
+// blackout dates, those of its country and SCHEDULE_BLACKOUT_DATES), and the
+// rescheduling of a group's remaining sessions around them.
+const BlackoutDate = require("../models/blackoutDate");
+const Group = require("../models/group");
+const Stake = require("../models/stake");
+const Term = require("../models/term");
+const Ward = require("../models/ward");
+const getCountry = require("./getCountry");
+const { escapeRegExp } = require("./listQuery");
+const { dayKey } = require("./attendanceSessions");
+const { isWithinTerm, outsideTermError } = require("./terms");
+const {
+  configuredBlackouts,
+  isRecurring,
+  sessionDates,
+  unscheduledError,
+} = require("./schedule");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => new Date(`${dayKey(date)}T00:00:00.000Z`);
+
+// Blackout dates are matched to countries regardless of case
+const countryPattern = (country) =>
+  new RegExp(`^${escapeRegExp(country)}$`, "i");
+
+// Stakes whose location ends with a country
+const countryStakeFilter = (country) => ({
+  location: new RegExp(`(^|, )${escapeRegExp(country)}$`, "i"),
+});
+
+// Countries of the stakes in a scope
+const scopeCountries = async (scope) => {
+  const stakes = await Stake.find({ _id: { $in: scope.stakeIds } }).select(
+    "location"
+  );
+  return [...new Set(stakes.map((stake) => getCountry(stake.location)))];
+};
+
+// Blackout dates a scoped admin can see: those of their stakes and of their
+// stakes' countries
+const blackoutScopeFilter = async (scope) => {
+  if (!scope?.stakeIds) return {};
+  const countries = await scopeCountries(scope);
+  return {
+    $or: [
+      { stakeId: { $in: scope.stakeIds } },
+      { country: { $in: countries.map(countryPattern) } },
+    ],
+  };
+};
+
+// Whether a scoped admin can see a country's blackout dates
+const isCountryInScope = async (scope, country) =>
+  !scope?.stakeIds ||
+  (await scopeCountries(scope)).some((c) => countryPattern(country).test(c));
+
+// Days ("YYYY-MM-DD") of blackout dates, with SCHEDULE_BLACKOUT_DATES
+const blackoutDays = (blackouts) => {
+  const days = new Set(configuredBlackouts);
+  blackouts.forEach(({ startDate, endDate }) => {
+    const last = dayKey(endDate);
+    for (
+      let day = startOfDay(startDate);
+      dayKey(day) <= last;
+      day = new Date(day.getTime() + DAY)
+    ) {
+      days.add(dayKey(day));
+    }
+  });
+  return days;
+};
+
+// Days without sessions in the groups of a ward
+const wardBlackoutDays = async (wardId) => {
+  const ward = await Ward.findById(wardId)
+    .select("stakeId")
+    .populate("stakeId", "location");
+  const stake = ward?.stakeId;
+  if (!stake) return blackoutDays([]);
+
+  const blackouts = await BlackoutDate.find({
+    $or: [
+      { stakeId: stake._id },
+      { country: countryPattern(getCountry(stake.location)) },
+    ],
+  });
+  return blackoutDays(blackouts);
+};
+
+// Weekdays the sessions of a group fall on: those of its schedule, or those
+// of its dated sessions when the schedule is free text without weekdays
+const sessionWeekdays = (group) => {
+  if (isRecurring(group.schedule)) return group.schedule.weekdays;
+  const days = new Set(
+    group.sessions.filter((s) => s.date).map((s) => s.date.getUTCDay())
+  );
+  return Group.WEEKDAYS.filter((_, i) => days.has(i));
+};
+
+// New dates for the remaining sessions of a group (not completed, and not
+// dated before today) on its weekdays, skipping the `blackouts` days. They
+// start where the remaining sessions did, after the sessions already held,
+// which keep their dates. The end date is moved when the last session falls
+// after it. Returns { changes: [{ number, from, to }], endDate } or { error }.
+const planReschedule = (group, blackouts, today = new Date()) => {
+  const weekdays = sessionWeekdays(group);
+  if (!weekdays.length) {
+    return {
+      error:
+        "The sessions cannot be rescheduled: the group's schedule has no weekdays",
+    };
+  }
+
+  const sessions = [...group.sessions].sort((a, b) => a.number - b.number);
+  const remaining = sessions.filter(
+    (s) => !s.completed && (!s.date || dayKey(s.date) >= dayKey(today))
+  );
+  if (!remaining.length) return { changes: [], endDate: group.end_date };
+
+  const held = sessions.filter((s) => !remaining.includes(s) && s.date);
+  const remainingDates = remaining.filter((s) => s.date).map((s) => s.date);
+  const from = new Date(
+    Math.max(
+      startOfDay(
+        remainingDates.length
+          ? Math.min(...remainingDates)
+          : group.start_date
+      ).getTime(),
+      startOfDay(today).getTime(),
+      ...held.map((s) => startOfDay(s.date).getTime() + DAY)
+    )
+  );
+
+  const dates = sessionDates({ weekdays }, from, {
+    count: remaining.length,
+    blackouts,
+  });
+  if (dates.length < remaining.length) {
+    return { error: unscheduledError(dates, remaining.length) };
+  }
+
+  const last = dates[dates.length - 1];
+  return {
+    changes: remaining
+      .map((session, i) => ({
+        number: session.number,
+        from: session.date || null,
+        to: dates[i],
+      }))
+      .filter(({ from, to }) => !from || dayKey(from) !== dayKey(to)),
+    endDate: dayKey(last) > dayKey(group.end_date) ? last : group.end_date,
+  };
+};
+
+// Reschedule the remaining sessions of a group (document) around the
+// blackout days of its ward, and save it unless `dryRun`. The group must
+// still end within its term. Returns { changes, endDate } or { error }.
+const rescheduleGroup = async (group, { dryRun = false } = {}) => {
+  const plan = planReschedule(group, await wardBlackoutDays(group.wardId));
+  if (plan.error) return plan;
+
+  const endMoved = dayKey(plan.endDate) !== dayKey(group.end_date);
+  if (endMoved && group.termId) {
+    const term = await Term.findById(group.termId);
+    if (term && !isWithinTerm(term, group.start_date, plan.endDate)) {
+      return { error: outsideTermError(term) };
+    }
+  }
+
+  if (!dryRun && (plan.changes.length || endMoved)) {
+    plan.changes.forEach(({ number, to }) => {
+      group.sessions.find((s) => s.number === number).date = to;
+    });
+    group.end_date = plan.endDate;
+    await group.save();
+  }
+  return plan;
+};
+
+// Reschedule the groups with remaining sessions during a blackout date, in
+// its stake or in every stake of its country. Groups that cannot be
+// rescheduled keep their dates and are reported as failed.
+const rescheduleAffectedGroups = async (blackout) => {
+  const stakeIds = blackout.stakeId
+    ? [blackout.stakeId]
+    : await Stake.find(countryStakeFilter(blackout.country)).distinct("_id");
+  const wardIds = await Ward.find({ stakeId: { $in: stakeIds } }).distinct(
+    "_id"
+  );
+
+  const today = startOfDay(new Date());
+  const start = startOfDay(blackout.startDate);
+  const groups = await Group.find({
+    wardId: { $in: wardIds },
+    sessions: {
+      $elemMatch: {
+        completed: { $ne: true },
+        date: {
+          $gte: start > today ? start : today,
+          $lt: new Date(startOfDay(blackout.endDate).getTime() + DAY),
+        },
+      },
+    },
+  }).sort({ name: 1 });
+
+  const rescheduled = [];
+  const failed = [];
+  for (const group of groups) {
+    const { error, changes, endDate } = await rescheduleGroup(group);
+    const entry = { groupId: group._id, name: group.name };
+    if (error) {
+      failed.push({ ...entry, error });
+    } else {
+      rescheduled.push({ ...entry, changes, endDate });
+    }
+  }
+  return { rescheduled, failed };
+};
+
+module.exports = {
+  countryPattern,
+  blackoutScopeFilter,
+  isCountryInScope,
+  blackoutDays,
+  wardBlackoutDays,
+  planReschedule,
+  rescheduleGroup,
+  rescheduleAffectedGroups,
+};
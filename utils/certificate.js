@@ -0,0 +1,67 @@
+// utils/certificate.js
+const PDFDocument = require("pdfkit");
+
+const LEVEL_NAMES = {
+  EC1: "EnglishConnect 1",
+  EC2: "EnglishConnect 2",
+};
+
+// Build a course completion certificate. Returns a PDFKit document that the
+// caller pipes to its destination (e.g. the HTTP response).
+const createCertificate = ({ studentName, level, groupName, wardName, completedAt }) => {
+  const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 60 });
+  const { width, height } = doc.page;
+
+  // Border
+  doc
+    .lineWidth(3)
+    .rect(30, 30, width - 60, height - 60)
+    .stroke("#1f3b6f");
+
+  doc
+    .moveDown(3)
+    .font("Helvetica-Bold")
+    .fontSize(34)
+    .fillColor("#1f3b6f")
+    .text("Certificate of Completion", { align: "center" });
+
+  doc
+    .moveDown(1.5)
+    .font("Helvetica")
+    .fontSize(16)
+    .fillColor("black")
+    .text("This certifies that", { align: "center" });
+
+  doc
+    .moveDown(0.8)
+    .font("Helvetica-Bold")
+    .fontSize(28)
+    .text(studentName, { align: "center" });
+
+  doc
+    .moveDown(0.8)
+    .font("Helvetica")
+    .fontSize(16)
+    .text(
+      `has successfully completed ${LEVEL_NAMES[level] || level || "the course"}`,
+      { align: "center" }
+    );
+
+  const attendedWith = [groupName, wardName].filter(Boolean).join(", ");
+  if (attendedWith) {
+    doc.moveDown(0.5).text(attendedWith, { align: "center" });
+  }
+
+  doc
+    .moveDown(2)
+    .fontSize(14)
+    .text(`Completed on ${completedAt.toISOString().slice(0, 10)}`, {
+      align: "center",
+    });
+
+  return doc;
+};
+
+module.exports = {
+  createCertificate,
+};
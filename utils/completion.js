@@ -0,0 +1,123 @@
+// utils/completion.js
+// Completion engine: checks registrations against the rules in
+// config/completion.js, records the outcome on the registration and promotes
+// the student to the next level when they complete the course.
+const Attendance = require("../models/attendance");
+const Group = require("../models/group");
+const Registration = require("../models/registration");
+const Student = require("../models/student");
+const rules = require("../config/completion");
+const { setStatus } = require("./registrations");
+
+const NEXT_LEVEL = { EC1: "EC2" };
+
+// Groups whose attendance counts for a registration: its own group and the
+// groups the student was transferred from
+const attendanceGroupIds = async (registration) => {
+  const groupIds = [registration.groupId];
+  const seen = new Set([String(registration._id)]);
+  let previousId = registration.transferredFrom;
+  while (previousId && !seen.has(String(previousId))) {
+    seen.add(String(previousId));
+    const previous = await Registration.findById(previousId).select(
+      "groupId transferredFrom"
+    );
+    if (!previous) break;
+    groupIds.push(previous.groupId);
+    previousId = previous.transferredFrom;
+  }
+  return groupIds;
+};
+
+// Attendance of a registration in its group (document) measured against the
+// completion rules
+const measureProgress = async (registration, group) => {
+  // Each session counts once, through the student's home group record
+  // (make-up visits to other groups are recorded there as "made-up")
+  const attendedSessions = await Attendance.find({
+    studentId: registration.studentId,
+    groupId: { $in: await attendanceGroupIds(registration) },
+    sessionNumber: { $type: "number" },
+    status: { $in: Attendance.ATTENDED_STATUSES },
+    "makeUpFor.groupId": { $exists: false },
+  }).distinct("sessionNumber");
+
+  const finalSession = group?.sessions.find(
+    (s) => s.number === rules.totalSessions
+  );
+
+  return {
+    attendedSessions: attendedSessions.length,
+    totalSessions: rules.totalSessions,
+    percentage: Math.round(
+      (attendedSessions.length / rules.totalSessions) * 100
+    ),
+    finalSessionCompleted: !!finalSession?.completed,
+    evaluatedAt: new Date(),
+  };
+};
+
+const meetsRules = (progress) =>
+  progress.percentage >= rules.minAttendance &&
+  (!rules.requireFinalSession || progress.finalSessionCompleted);
+
+// Evaluate one registration (document) and save the result. Completion is
+// kept once reached, so later corrections do not demote the student. Only
+// active registrations can be completed: waitlisted students and students who
+// left the group only get their progress updated. The completed level is the
+// group's (the student's for groups without one), and the student is only
+// promoted while they are still at that level.
+const evaluateRegistration = async (registration) => {
+  const group = await Group.findById(registration.groupId).select(
+    "sessions level"
+  );
+  registration.progress = await measureProgress(registration, group);
+
+  if (
+    !registration.completed &&
+    registration.status === "active" &&
+    meetsRules(registration.progress)
+  ) {
+    const student = await Student.findById(registration.studentId);
+    const level = group?.level || student?.level;
+    registration.completed = true;
+    registration.completedAt = new Date();
+    registration.completedLevel = level;
+    setStatus(registration, "completed", {
+      reason: "Completion rules met",
+    });
+
+    if (student && student.level === level && NEXT_LEVEL[level]) {
+      student.level = NEXT_LEVEL[level];
+      await student.save();
+    }
+  }
+
+  await registration.save();
+  return registration;
+};
+
+// Evaluate every registration of a group
+const evaluateGroup = async (groupId) => {
+  const registrations = await Registration.find({ groupId });
+  for (const registration of registrations) {
+    await evaluateRegistration(registration);
+  }
+  return registrations;
+};
+
+// Evaluate every registration of a student
+const evaluateStudent = async (studentId) => {
+  const registrations = await Registration.find({ studentId });
+  for (const registration of registrations) {
+    await evaluateRegistration(registration);
+  }
+  return registrations;
+};
+
+module.exports = {
+  rules,
+  evaluateRegistration,
+  evaluateGroup,
+  evaluateStudent,
+};
@@ -0,0 +1,211 @@
+// utils/export.js
+// Streams tabular data to a response as CSV, XLSX or PDF. Rows can be an
+// array or an async iterable (e.g. a Mongoose query cursor), so large
+// exports are written as they are read instead of being built in memory.
+// When the client disconnects the export stops and its cursor is destroyed.
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+const PDFDocument = require("pdfkit");
+const { normalize } = require("./search");
+
+const FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+  pdf: { contentType: "application/pdf" },
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return value;
+};
+
+// Quote CSV fields when needed, and keep spreadsheet apps from running
+// values that look like formulas
+const csvField = (value) => {
+  let text = String(formatValue(value));
+  if (/^[=+\-@]/.test(text) && isNaN(Number(text))) text = `'${text}`;
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write to the response, waiting when its buffer is full until it drains or
+// the client disconnects
+const write = async (res, chunk, signal) => {
+  if (!res.write(chunk)) await once(res, "drain", { signal });
+};
+
+// Rejects when the client disconnects
+const disconnected = (signal) =>
+  new Promise((resolve, reject) =>
+    signal.addEventListener("abort", () => reject(signal.reason), {
+      once: true,
+    })
+  );
+
+const streamCsv = async (res, { columns, rows }, signal) => {
+  const line = (values) => values.map(csvField).join(",") + "\r\n";
+
+  // The BOM lets Excel open UTF-8 files with accents correctly
+  await write(res, "\uFEFF" + line(columns.map((c) => c.header)), signal);
+  for await (const row of rows) {
+    signal.throwIfAborted();
+    await write(res, line(columns.map((c) => row[c.key])), signal);
+  }
+  res.end();
+};
+
+const streamXlsx = async (res, { title, columns, rows }, signal) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+  });
+  // Sheet names are limited to 31 characters
+  const sheet = workbook.addWorksheet(
+    title.replace(/[\\/?*[\]:]/g, " ").slice(0, 31)
+  );
+  sheet.columns = columns.map((c) => ({
+    header: c.header,
+    key: c.key,
+    width: c.width || 15,
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const row of rows) {
+    signal.throwIfAborted();
+    const values = {};
+    columns.forEach((c) => {
+      values[c.key] = row[c.key] ?? null;
+    });
+    sheet.addRow(values).commit();
+  }
+  sheet.commit();
+  await Promise.race([workbook.commit(), disconnected(signal)]);
+};
+
+const streamPdf = async (res, { title, subtitle, columns, rows }, signal) => {
+  const doc = new PDFDocument({
+    size: "A4",
+    layout: columns.length > 8 ? "landscape" : "portrait",
+    margin: 30,
+  });
+  doc.pipe(res);
+
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - left - doc.page.margins.right;
+  const totalWidth = columns.reduce((sum, c) => sum + (c.width || 15), 0);
+  const widths = columns.map(
+    (c) => ((c.width || 15) / totalWidth) * tableWidth
+  );
+  const fontSize = columns.length > 20 ? 6 : 8;
+  const rowHeight = fontSize + 6;
+  const bottom = () => doc.page.height - doc.page.margins.bottom - rowHeight;
+
+  const drawRow = (values, font) => {
+    let x = left;
+    const y = doc.y;
+    doc.font(font).fontSize(fontSize);
+    values.forEach((value, i) => {
+      doc.text(String(formatValue(value)), x + 2, y + 3, {
+        width: widths[i] - 4,
+        height: rowHeight,
+        lineBreak: false,
+        ellipsis: true,
+      });
+      x += widths[i];
+    });
+    doc
+      .moveTo(left, y + rowHeight)
+      .lineTo(left + tableWidth, y + rowHeight)
+      .lineWidth(0.3)
+      .stroke("#999999");
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+  const drawHeader = () =>
+    drawRow(columns.map((c) => c.header), "Helvetica-Bold");
+
+  doc.font("Helvetica-Bold").fontSize(14).text(title);
+  if (subtitle) doc.font("Helvetica").fontSize(9).text(subtitle);
+  doc.moveDown(0.5);
+  drawHeader();
+
+  for await (const row of rows) {
+    signal.throwIfAborted();
+    if (doc.y > bottom()) {
+      doc.addPage();
+      drawHeader();
+    }
+    drawRow(columns.map((c) => row[c.key]), "Helvetica");
+  }
+
+  doc.end();
+  await once(res, "finish", { signal });
+};
+
+// Send an export. `columns` are [{ key, header, width }] (width in
+// characters), `rows` objects keyed by column key. `title` names the
+// spreadsheet and heads the PDF. Resolves without sending the rest of the
+// file when the client disconnects.
+const sendExport = async (res, format, { filename, ...table }) => {
+  res.setHeader("Content-Type", FORMATS[format].contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename}.${format}"`
+  );
+
+  const controller = new AbortController();
+  const onClose = () => {
+    if (!res.writableFinished) {
+      controller.abort(new Error("Client disconnected"));
+    }
+  };
+  const onError = (error) => controller.abort(error);
+  res.on("close", onClose);
+  res.on("error", onError);
+
+  try {
+    if (format === "xlsx") {
+      await streamXlsx(res, table, controller.signal);
+    } else if (format === "pdf") {
+      await streamPdf(res, table, controller.signal);
+    } else {
+      await streamCsv(res, table, controller.signal);
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) throw error;
+  } finally {
+    res.off("close", onClose);
+    res.off("error", onError);
+  }
+};
+
+// Transform rows lazily, e.g. documents of a query cursor into export rows.
+// A cursor that is not read to the end (the export stopped) is destroyed.
+async function* mapRows(rows, transform) {
+  let finished = false;
+  try {
+    for await (const row of rows) {
+      yield transform(row);
+    }
+    finished = true;
+  } finally {
+    if (!finished && typeof rows.destroy === "function") rows.destroy();
+  }
+}
+
+// File-name-safe version of a name: "Grupo Año 1" -> "grupo-ano-1"
+const fileSlug = (name) =>
+  normalize(name || "export")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+module.exports = {
+  EXPORT_FORMATS: Object.keys(FORMATS),
+  sendExport,
+  mapRows,
+  fileSlug,
+};
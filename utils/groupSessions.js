@@ -0,0 +1,28 @@
+// utils/groupSessions.js
+// The numbered sessions of a Group's course.
+
+const SESSION_COUNT = 25;
+
+// Fresh sessions for a new group, dated with `dates` when its schedule gives
+// them. Topics can be carried over from another group's sessions.
+const generateSessions = (topicsFrom = [], dates = []) => {
+  const sessions = [];
+
+  for (let i = 0; i < SESSION_COUNT; i++) {
+    const previous = topicsFrom.find((s) => s.number === i + 1);
+    sessions.push({
+      number: i + 1,
+      date: dates[i] || null,
+      completed: false,
+      topic: previous?.topic || "",
+      notes: "",
+    });
+  }
+
+  return sessions;
+};
+
+module.exports = {
+  SESSION_COUNT,
+  generateSessions,
+};
@@ -0,0 +1,150 @@
+// utils/ical.js
+// iCalendar (RFC 5545) feeds of group sessions, for calendar apps to
+// subscribe to. Sessions with a start time are timed events in UTC; sessions
+// of groups whose schedule has no start time are all-day events.
+const config = require("../config/schedule");
+const { dayKey } = require("./attendanceSessions");
+
+const PRODUCT_ID = "-//EnglishConnect//PWConnect//EN";
+
+// Text values escape backslashes, separators and line breaks
+const escapeText = (text) =>
+  String(text ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let part = "";
+  for (const char of line) {
+    if (Buffer.byteLength(part + char) > (parts.length ? 74 : 75)) {
+      parts.push(part);
+      part = "";
+    }
+    part += char;
+  }
+  parts.push(part);
+  return parts.join("\r\n ");
+};
+
+// 2025-03-04T01:00:00.000Z -> 20250304T010000Z
+const formatDateTime = (date) =>
+  date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// 2025-03-03 -> 20250303
+const formatDate = (date) => dayKey(date).replace(/-/g, "");
+
+// Milliseconds a timezone is ahead of UTC at an instant
+const timezoneOffset = (time, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(new Date(time))
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  return (
+    Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second
+    ) - time
+  );
+};
+
+// Instant of a local time ("19:00") on a calendar day in a timezone
+const zonedTime = (day, time, timeZone) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const local = Date.UTC(
+    day.getUTCFullYear(),
+    day.getUTCMonth(),
+    day.getUTCDate(),
+    hours,
+    minutes
+  );
+  // The offset at the guess differs from the real one across DST changes
+  const guess = local - timezoneOffset(local, timeZone);
+  return new Date(local - timezoneOffset(guess, timeZone));
+};
+
+// Lines of the event of a group session
+const sessionEvent = (group, session, stamp) => {
+  const { startTime, durationMinutes, timezone, description } =
+    group.schedule || {};
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${group._id}-${session.number}@pwconnect`,
+    `DTSTAMP:${stamp}`,
+  ];
+
+  if (startTime) {
+    const start = zonedTime(session.date, startTime, timezone || "UTC");
+    const minutes = durationMinutes || config.durationMinutes;
+    const end = new Date(start.getTime() + minutes * 60 * 1000);
+    lines.push(
+      `DTSTART:${formatDateTime(start)}`,
+      `DTEND:${formatDateTime(end)}`
+    );
+  } else {
+    const next = new Date(session.date.getTime() + 24 * 60 * 60 * 1000);
+    lines.push(
+      `DTSTART;VALUE=DATE:${formatDate(session.date)}`,
+      `DTEND;VALUE=DATE:${formatDate(next)}`
+    );
+  }
+
+  const summary = `${group.name} - Session ${session.number}`;
+  lines.push(
+    `SUMMARY:${escapeText(
+      session.topic ? `${summary}: ${session.topic}` : summary
+    )}`
+  );
+  if (group.room) lines.push(`LOCATION:${escapeText(group.room)}`);
+  const details = [session.topic, description].filter(Boolean).join("\n");
+  if (details) lines.push(`DESCRIPTION:${escapeText(details)}`);
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+// Calendar named `name` with the dated sessions of `groups` (documents)
+const buildCalendar = (name, groups) => {
+  const stamp = formatDateTime(new Date());
+  const events = groups.flatMap((group) =>
+    group.sessions
+      .filter((session) => session.date)
+      .sort((a, b) => a.number - b.number)
+      .flatMap((session) => sessionEvent(group, session, stamp))
+  );
+
+  return (
+    [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      `PRODID:${PRODUCT_ID}`,
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      `X-WR-CALNAME:${escapeText(name)}`,
+      ...events,
+      "END:VCALENDAR",
+    ]
+      .map(foldLine)
+      .join("\r\n") + "\r\n"
+  );
+};
+
+module.exports = {
+  buildCalendar,
+};
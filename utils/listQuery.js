@@ -0,0 +1,184 @@
+// utils/listQuery.js
+// Shared pagination, sorting and filtering for list endpoints.
+//
+//   const { error, list } = parseListQuery(req.query, {
+//     sortFields: ["name", "createdAt"],
+//     filters: { level: Joi.string().valid("EC1", "EC2") },
+//   });
+//   const filter = combineFilters(scopeFilter, list.filter);
+//   const { data, pagination } = await paginate(Model, filter, list);
+//
+// Every list responds with { message, data, pagination }.
+const mongoose = require("mongoose");
+const Ward = require("../models/ward");
+const Group = require("../models/group");
+const { listQuerySchema } = require("../validators/listQuery");
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// A date without a time (YYYY-MM-DD) used as `to` includes that whole day
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const dateRange = (field, from, to, rawTo) => {
+  if (!from && !to) return {};
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) {
+    if (isDateOnly(rawTo)) {
+      range.$lt = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+    } else {
+      range.$lte = to;
+    }
+  }
+  return { [field]: range };
+};
+
+// `-createdAt,name` -> { createdAt: -1, name: 1, _id: -1 }
+const parseSort = (sort) => {
+  const order = {};
+  sort.split(",").forEach((field) => {
+    if (field.startsWith("-")) order[field.slice(1)] = -1;
+    else order[field] = 1;
+  });
+  // Tie-breaker so pages (and cursors) are stable
+  if (!("_id" in order)) {
+    order._id = Object.values(order)[0] || 1;
+  }
+  return order;
+};
+
+// Populated references are stored by id
+const encodeCursor = (doc, sort) =>
+  Buffer.from(
+    EJSON.stringify(
+      Object.keys(sort).map(
+        (field) => doc.populated(field) ?? doc.get(field)
+      )
+    )
+  ).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const values = EJSON.parse(Buffer.from(cursor, "base64url").toString());
+    return Array.isArray(values) ? values : null;
+  } catch {
+    return null;
+  }
+};
+
+// Documents after the cursor position in the given sort order
+const cursorFilter = (values, sort) => {
+  const fields = Object.keys(sort);
+  return {
+    $or: fields.map((field, i) => {
+      const condition = {};
+      fields.slice(0, i).forEach((previous, j) => {
+        condition[previous] = values[j];
+      });
+      condition[field] = { [sort[field] === 1 ? "$gt" : "$lt"]: values[i] };
+      return condition;
+    }),
+  };
+};
+
+// Validate a list query string. `filters` are extra Joi keys; filters on
+// fields of the model become equality conditions in `list.filter`, and
+// controllers take out (and translate) the ones that are not model fields.
+const parseListQuery = (
+  query,
+  { sortFields, defaultSort = "-createdAt", dateField = "createdAt", filters = {} }
+) => {
+  const { value, error } = listQuerySchema({ sortFields, filters }).validate(
+    query,
+    { stripUnknown: true }
+  );
+  if (error) return { error };
+
+  const { page, limit, cursor, sort, from, to, ...params } = value;
+
+  let cursorValues = null;
+  if (cursor) {
+    cursorValues = decodeCursor(cursor);
+    if (!cursorValues) {
+      return { error: { details: [{ message: "Invalid cursor" }] } };
+    }
+  }
+
+  return {
+    list: {
+      page: cursor ? null : page || 1,
+      limit,
+      cursorValues,
+      sort: parseSort(sort || defaultSort),
+      filter: { ...params, ...dateRange(dateField, from, to, query.to) },
+    },
+  };
+};
+
+// Fetch one page of `Model` matching `filter`. `options.populate` and
+// `options.select` are applied to the query.
+const paginate = async (Model, filter, list, { populate, select } = {}) => {
+  const { page, limit, cursorValues, sort } = list;
+
+  const pageFilter = cursorValues
+    ? { $and: [filter, cursorFilter(cursorValues, sort)] }
+    : filter;
+
+  let query = Model.find(pageFilter).sort(sort).limit(limit + 1);
+  if (page) query = query.skip((page - 1) * limit);
+  if (select) query = query.select(select);
+  if (populate) query = query.populate(populate);
+
+  const [docs, total] = await Promise.all([
+    query,
+    Model.countDocuments(filter),
+  ]);
+
+  const hasMore = docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    data,
+    pagination: {
+      total,
+      limit,
+      ...(page && { page, totalPages: Math.ceil(total / limit) }),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null,
+    },
+  };
+};
+
+// Combine query filters (skipping empty ones) so conditions on the same
+// field, e.g. a scope and a ward filter, do not overwrite each other
+const combineFilters = (...filters) => {
+  const conditions = filters.filter((f) => f && Object.keys(f).length);
+  if (conditions.length === 0) return {};
+  if (conditions.length === 1) return conditions[0];
+  return { $and: conditions };
+};
+
+// Wards matching the `wardId` and/or `stakeId` filters of a list query
+const filteredWardIds = ({ wardId, stakeId }) =>
+  Ward.find({
+    ...(wardId && { _id: wardId }),
+    ...(stakeId && { stakeId }),
+  }).distinct("_id");
+
+// Records of the groups of a term, for lists filtered by `termId`
+const termGroupFilter = async (termId) => {
+  if (!termId) return {};
+  return { groupId: { $in: await Group.find({ termId }).distinct("_id") } };
+};
+
+// Match user input literally inside a RegExp
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = {
+  parseListQuery,
+  paginate,
+  combineFilters,
+  filteredWardIds,
+  termGroupFilter,
+  escapeRegExp,
+};
@@ -0,0 +1,99 @@
+// utils/loginThrottle.js
+// Brute-force protection for login: per-account lockout, per-IP limit and
+// progressive delays. Thresholds can be tuned through environment variables.
+const User = require("../models/user");
+const LoginAttempt = require("../models/loginAttempt");
+const { parseEnvTimeToMs } = require("./timeParser");
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || "5");
+const LOCK_DURATION_MS = parseEnvTimeToMs(process.env.LOGIN_LOCK_DURATION || "15m");
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES || "20");
+const IP_WINDOW_MS = parseEnvTimeToMs(process.env.LOGIN_IP_WINDOW || "15m");
+const BASE_DELAY_MS = 250;
+const MAX_DELAY_MS = 5000;
+
+// Number of failed logins from an IP address within the current window
+const countRecentIpFailures = (ipAddress) =>
+  LoginAttempt.countDocuments({
+    ipAddress,
+    success: false,
+    createdAt: { $gt: new Date(Date.now() - IP_WINDOW_MS) },
+  });
+
+const isIpBlocked = (ipFailures) => ipFailures >= IP_MAX_FAILURES;
+
+// Milliseconds until the IP window frees up again
+const ipRetryAfterMs = () => IP_WINDOW_MS;
+
+// Delay doubling with each previous failure: 0, 250ms, 500ms, 1s, ... up to 5s
+const progressiveDelay = (failures) =>
+  failures <= 0
+    ? 0
+    : Math.min(BASE_DELAY_MS * 2 ** (failures - 1), MAX_DELAY_MS);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Count a failed login for the account and lock it once the limit is reached.
+// After a lock expires the counter starts over. Every step is an atomic
+// update, so parallel failed logins cannot skip the lockout.
+const registerFailedLogin = async (user) => {
+  const now = new Date();
+
+  // 1. Start over after an expired lock
+  await User.updateOne(
+    { _id: user._id, lockUntil: { $lte: now } },
+    { $set: { failedLoginAttempts: 0, lockUntil: null } }
+  );
+
+  // 2. Count the failure
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  ).select("failedLoginAttempts lockUntil");
+  if (!updated) return null;
+
+  // 3. Lock the account once the count reaches the limit
+  if (updated.failedLoginAttempts >= MAX_FAILED_ATTEMPTS) {
+    updated.lockUntil = new Date(now.getTime() + LOCK_DURATION_MS);
+    await User.updateOne(
+      { _id: user._id, failedLoginAttempts: { $gte: MAX_FAILED_ATTEMPTS } },
+      { $set: { lockUntil: updated.lockUntil } }
+    );
+  }
+  return {
+    failedLoginAttempts: updated.failedLoginAttempts,
+    lastFailedLoginAt: now,
+    lockUntil: updated.lockUntil,
+  };
+};
+
+// Clear the failure counter and any lock
+const resetFailedLogins = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    { failedLoginAttempts: 0, lockUntil: null, lastFailedLoginAt: null }
+  );
+
+// Store one entry of the login history
+const recordLoginAttempt = (req, { email, user, success, reason }) =>
+  LoginAttempt.create({
+    email,
+    userId: user?._id ?? null,
+    ipAddress: req.clientIp,
+    userAgent: req.headers["user-agent"],
+    success,
+    reason,
+  });
+
+module.exports = {
+  MAX_FAILED_ATTEMPTS,
+  countRecentIpFailures,
+  isIpBlocked,
+  ipRetryAfterMs,
+  progressiveDelay,
+  sleep,
+  registerFailedLogin,
+  resetFailedLogins,
+  recordLoginAttempt,
+};
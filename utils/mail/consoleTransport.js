@@ -0,0 +1,16 @@
+// utils/mail/consoleTransport.js
+// Prints every message to the console instead of sending it.
+// Meant for local development.
+const createConsoleTransport = () => ({
+  name: "console",
+  send: async (message) => {
+    console.log("----- Outgoing mail -----");
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log(message.text);
+    console.log("-------------------------");
+    return { messageId: null };
+  },
+});
+
+module.exports = createConsoleTransport;
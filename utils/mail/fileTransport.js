@@ -0,0 +1,25 @@
+// utils/mail/fileTransport.js
+// Writes every message as a JSON file instead of sending it.
+// Meant for local development and tests.
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const createFileTransport = () => {
+  const directory =
+    process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), "pwconnect-mail");
+
+  return {
+    name: "file",
+    send: async (message) => {
+      await fs.mkdir(directory, { recursive: true });
+      const filename = `${Date.now()}-${crypto.randomUUID()}.json`;
+      const filePath = path.join(directory, filename);
+      await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+      return { messageId: filename, path: filePath };
+    },
+  };
+};
+
+module.exports = createFileTransport;
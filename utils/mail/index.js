@@ -0,0 +1,47 @@
+// utils/mail/index.js
+// Mail transport abstraction. The transport is selected with MAIL_TRANSPORT
+// (smtp, file or console); production defaults to smtp, anything else to console.
+const createSmtpTransport = require("./smtpTransport");
+const createFileTransport = require("./fileTransport");
+const createConsoleTransport = require("./consoleTransport");
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (transport) return transport;
+
+  const name =
+    process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === "production" ? "smtp" : "console");
+  const createTransport = transports[name];
+  if (!createTransport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  transport = createTransport();
+  return transport;
+};
+
+// Replace the active transport (e.g. with a stub in tests)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send a message built by one of the templates in ./templates
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || "EnglishConnect <no-reply@englishconnect.org>",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = { sendMail, getTransport, setTransport };
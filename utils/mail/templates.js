@@ -0,0 +1,60 @@
+// utils/mail/templates.js
+// Subject and body of each email sent by the API
+
+// Escape user-provided values before putting them in HTML
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const passwordResetEmail = ({ name, url, expiresIn }) => ({
+  subject: "Reset your EnglishConnect password",
+  text:
+    `Hello ${name},\n\n` +
+    `We received a request to reset your password. Open the link below to choose a new one:\n\n` +
+    `${url}\n\n` +
+    `The link expires in ${expiresIn} and can be used only once. ` +
+    `If you did not request a reset, you can ignore this email.`,
+  html:
+    `<p>Hello ${escapeHtml(name)},</p>` +
+    `<p>We received a request to reset your password. Open the link below to choose a new one:</p>` +
+    `<p><a href="${url}">Reset my password</a></p>` +
+    `<p>The link expires in ${expiresIn} and can be used only once. ` +
+    `If you did not request a reset, you can ignore this email.</p>`,
+});
+
+const emailVerificationEmail = ({ name, url, expiresIn }) => ({
+  subject: "Confirm your EnglishConnect email address",
+  text:
+    `Hello ${name},\n\n` +
+    `Welcome to EnglishConnect! Please confirm your email address by opening the link below:\n\n` +
+    `${url}\n\n` +
+    `The link expires in ${expiresIn}. If you did not create an account, you can ignore this email.`,
+  html:
+    `<p>Hello ${escapeHtml(name)},</p>` +
+    `<p>Welcome to EnglishConnect! Please confirm your email address by opening the link below:</p>` +
+    `<p><a href="${url}">Confirm my email</a></p>` +
+    `<p>The link expires in ${expiresIn}. If you did not create an account, you can ignore this email.</p>`,
+});
+
+const invitationEmail = ({ role, url, expiresIn }) => ({
+  subject: "You have been invited to EnglishConnect",
+  text:
+    `Hello,\n\n` +
+    `You have been invited to join EnglishConnect as ${role}. Open the link below to set your password and activate your account:\n\n` +
+    `${url}\n\n` +
+    `The invitation expires in ${expiresIn}.`,
+  html:
+    `<p>Hello,</p>` +
+    `<p>You have been invited to join EnglishConnect as ${escapeHtml(role)}. Open the link below to set your password and activate your account:</p>` +
+    `<p><a href="${url}">Accept the invitation</a></p>` +
+    `<p>The invitation expires in ${expiresIn}.</p>`,
+});
+
+module.exports = {
+  passwordResetEmail,
+  emailVerificationEmail,
+  invitationEmail,
+};
@@ -0,0 +1,169 @@
+// utils/policies.js
+// Resource-level access rules used by middleware/validateOwnership.js.
+// Each policy answers "may the authenticated user access this document?":
+//   10 = Admin             -> everything
+//   12/13 = Scoped Admins  -> documents within req.scope (see middleware/scope.js)
+//   11 = Instructor        -> students registered in the groups they teach,
+//                             and their own instructor record
+//   1  = Student           -> only their own documents
+const Student = require("../models/student");
+const User = require("../models/user");
+const Instructor = require("../models/instructor");
+const Group = require("../models/group");
+const Registration = require("../models/registration");
+const Attendance = require("../models/attendance");
+const {
+  groupScopeFilter,
+  studentScopeFilter,
+  isWardInScope,
+} = require("./scope");
+
+const ADMIN = 10;
+const INSTRUCTOR = 11;
+const SCOPED_ADMINS = [12, 13];
+
+// Groups whose instructorId is the Instructor record of the given user
+const getInstructorGroupIds = async (userId) => {
+  const instructor = await Instructor.findOne({ userId }).select("_id");
+  if (!instructor) return [];
+  return Group.find({ instructorId: instructor._id }).distinct("_id");
+};
+
+// Students registered in any group taught by the given user
+const getInstructorStudentIds = async (userId) => {
+  const groupIds = await getInstructorGroupIds(userId);
+  return Registration.find({ groupId: { $in: groupIds } }).distinct(
+    "studentId"
+  );
+};
+
+const includesId = (ids, id) => ids.some((i) => String(i) === String(id));
+
+const isOwnUser = (req, userId) => String(req.user._id) === String(userId);
+
+// A student, identified by the Student _id
+const student = async (req, studentId) => {
+  const { type } = req.user;
+  if (type === ADMIN) return true;
+  if (SCOPED_ADMINS.includes(type)) {
+    return !!(await Student.exists({
+      _id: studentId,
+      ...(await studentScopeFilter(req.scope)),
+    }));
+  }
+  if (type === INSTRUCTOR) {
+    return includesId(await getInstructorStudentIds(req.user._id), studentId);
+  }
+  return !!(await Student.exists({ _id: studentId, userId: req.user._id }));
+};
+
+// A student, identified by the _id of their User
+const studentUser = async (req, userId) => {
+  if (isOwnUser(req, userId)) return true;
+  const record = await Student.findOne({ userId }).select("_id");
+  return !!record && student(req, record._id);
+};
+
+// Any user account
+const user = async (req, userId) => {
+  const { type } = req.user;
+  if (type === ADMIN || isOwnUser(req, userId)) return true;
+  if (SCOPED_ADMINS.includes(type)) {
+    const target = await User.findById(userId).select("wardId");
+    return !!target && isWardInScope(req.scope, target.wardId);
+  }
+  if (type === INSTRUCTOR) return studentUser(req, userId);
+  return false;
+};
+
+// An address, reachable through the student that references it
+const address = async (req, addressId) => {
+  if (req.user.type === ADMIN) return true;
+  const owners = await Student.find({ addressId }).select("_id userId");
+  if (owners.some((owner) => isOwnUser(req, owner.userId))) return true;
+  if (req.user.type === 1) return false;
+  for (const owner of owners) {
+    if (await student(req, owner._id)) return true;
+  }
+  return false;
+};
+
+// A group, as seen by the staff who run it
+const group = async (req, groupId) => {
+  const { type } = req.user;
+  if (type === ADMIN) return true;
+  if (SCOPED_ADMINS.includes(type)) {
+    return !!(await Group.exists({
+      _id: groupId,
+      ...groupScopeFilter(req.scope),
+    }));
+  }
+  if (type === INSTRUCTOR) {
+    return includesId(await getInstructorGroupIds(req.user._id), groupId);
+  }
+  return false;
+};
+
+// An instructor, identified by the Instructor _id: the instructor themself
+// and the admins of their ward
+const instructor = async (req, instructorId) => {
+  const { type } = req.user;
+  if (type === ADMIN) return true;
+  const record = await Instructor.findById(instructorId).select(
+    "userId wardId"
+  );
+  if (!record) return false;
+  if (SCOPED_ADMINS.includes(type)) {
+    return isWardInScope(req.scope, record.wardId);
+  }
+  return type === INSTRUCTOR && isOwnUser(req, record.userId);
+};
+
+// An attendance record: its student may read it, the group's staff manage it
+const attendance = async (req, attendanceId) => {
+  if (req.user.type === ADMIN) return true;
+  const record = await Attendance.findById(attendanceId).select(
+    "studentId groupId"
+  );
+  if (!record) return false;
+  if (req.user.type === 1) return student(req, record.studentId);
+  return group(req, record.groupId);
+};
+
+const policies = {
+  student,
+  studentUser,
+  user,
+  address,
+  group,
+  instructor,
+  attendance,
+};
+
+// Check a policy from inside a controller (e.g. for ids in the request body)
+const canAccess = (resource, req, id) => policies[resource](req, id);
+
+// Query filter restricting attendance listings to what the user may see
+const attendanceAccessFilter = async (req) => {
+  const { type } = req.user;
+  if (type === ADMIN) return {};
+  if (SCOPED_ADMINS.includes(type)) {
+    const groupIds = await Group.find(groupScopeFilter(req.scope)).distinct(
+      "_id"
+    );
+    return { groupId: { $in: groupIds } };
+  }
+  if (type === INSTRUCTOR) {
+    return { groupId: { $in: await getInstructorGroupIds(req.user._id) } };
+  }
+  const own = await Student.find({ userId: req.user._id }).distinct("_id");
+  return { studentId: { $in: own } };
+};
+
+module.exports = {
+  policies,
+  canAccess,
+  attendanceAccessFilter,
+  getInstructorGroupIds,
+  getInstructorStudentIds,
+};
@@ -0,0 +1,122 @@
+// utils/registrations.js
+// Registration lifecycle: status changes, group seats and waitlists.
+const mongoose = require("mongoose");
+const Registration = require("../models/registration");
+const Group = require("../models/group");
+
+// Registrations saved before statuses existed have no status and count as
+// enrolled, so enrolled registrations are matched by exclusion
+const enrolledFilter = {
+  status: {
+    $nin: Registration.STATUSES.filter(
+      (status) => !Registration.ENROLLED_STATUSES.includes(status)
+    ),
+  },
+};
+
+// Change the status of a registration (document, not saved) and record it in
+// its history
+const setStatus = (registration, status, { reason, changedBy } = {}) => {
+  const changedAt = new Date();
+  registration.status = status;
+  registration.statusChangedAt = changedAt;
+  registration.statusHistory.push({ status, changedAt, reason, changedBy });
+  return registration;
+};
+
+// Seats left in a group (document); Infinity when it has no capacity. In a
+// transaction (`session`) the group is written first, so two transactions
+// taking its seats at the same time conflict instead of both counting the
+// last seat as free: the later one fails with isSeatConflict.
+const freeSeats = async (group, session) => {
+  if (!group.capacity) return Infinity;
+  if (session) {
+    await Group.updateOne(
+      { _id: group._id },
+      { $inc: { seatVersion: 1 } },
+      { session }
+    );
+  }
+  const taken = await Registration.countDocuments({
+    groupId: group._id,
+    ...enrolledFilter,
+  }).session(session || null);
+  return Math.max(group.capacity - taken, 0);
+};
+
+// Waitlist of a group, first come first served
+const waitlist = (groupId, session) =>
+  Registration.find({ groupId, status: "pending" })
+    .sort({ statusChangedAt: 1, createdAt: 1 })
+    .session(session || null);
+
+// 1-based position of a pending registration on its group's waitlist
+const waitlistPosition = async (registration) => {
+  if (registration.status !== "pending") return null;
+  const ahead = await Registration.countDocuments({
+    groupId: registration.groupId,
+    status: "pending",
+    statusChangedAt: { $lt: registration.statusChangedAt },
+  });
+  return ahead + 1;
+};
+
+// Give the free seats of a group (document) to the first students of its
+// waitlist, in the transaction `session` or in one of its own. Returns the
+// promoted registrations.
+const promoteWaitlist = async (group, { changedBy, session } = {}) => {
+  if (!session) {
+    return inTransaction((own) =>
+      promoteWaitlist(group, { changedBy, session: own })
+    );
+  }
+
+  const seats = await freeSeats(group, session);
+  if (seats === 0) return [];
+
+  // Without a capacity the whole waitlist gets in
+  const query = waitlist(group._id, session);
+  if (Number.isFinite(seats)) query.limit(seats);
+  const pending = await query;
+  for (const registration of pending) {
+    setStatus(registration, "active", {
+      reason: "Promoted from the waitlist",
+      changedBy,
+    });
+    await registration.save({ session });
+  }
+  return pending;
+};
+
+// Whether a transaction failed because another one was taking the seats of
+// the same group (see freeSeats)
+const isSeatConflict = (error) =>
+  !!error?.hasErrorLabel?.("TransientTransactionError");
+
+// Run `work(session)` in a transaction
+const inTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    const result = await work(session);
+    await session.commitTransaction();
+    return result;
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  enrolledFilter,
+  setStatus,
+  freeSeats,
+  waitlist,
+  waitlistPosition,
+  promoteWaitlist,
+  isSeatConflict,
+};
@@ -0,0 +1,264 @@
+// utils/rollover.js
+// Term rollover: clones the groups of a term into the next one, shifting
+// their dates by the gap between both terms, and optionally registers the
+// students who did not complete (carried forward to the clone of their group)
+// and the students who completed EC1 (promoted to an EC2 group of their
+// ward).
+const Group = require("../models/group");
+const Registration = require("../models/registration");
+const { enrolledFilter } = require("./registrations");
+const { SESSION_COUNT, generateSessions } = require("./groupSessions");
+const { isWithinTerm, outsideTermError } = require("./terms");
+const { isRecurring, sessionDates, unscheduledError } = require("./schedule");
+const { wardBlackoutDays } = require("./calendar");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const shiftDate = (date, days) => new Date(date.getTime() + days * DAY);
+
+// Name of the clone of a group: the source term's name is replaced by the
+// target's ("EC1 A - Fall 2024" -> "EC1 A - Spring 2025"), or appended
+const cloneName = (name, source, target) =>
+  source.name && name.includes(source.name)
+    ? name.split(source.name).join(target.name)
+    : `${name} (${target.name})`;
+
+// Blackout days of the wards of some groups, by ward id
+const blackoutsByWard = async (groups) => {
+  const blackouts = new Map();
+  for (const { wardId } of groups) {
+    if (!blackouts.has(String(wardId))) {
+      blackouts.set(String(wardId), await wardBlackoutDays(wardId));
+    }
+  }
+  return blackouts;
+};
+
+const studentEntry = (registration, reason) => ({
+  studentId: registration.studentId._id,
+  firstName: registration.studentId.userId?.firstName || "",
+  lastName: registration.studentId.userId?.lastName || "",
+  fromGroupId: registration.groupId,
+  reason,
+});
+
+// Plan the rollover of `source` (term document) into `target` (term
+// document, or the { name, startDate, endDate } of a term to create).
+// Nothing is saved; the plan is the preview returned to the caller:
+//   { offsetDays, groups: [{ ..., errors, students }], unplaced, summary }
+const planRollover = async (
+  source,
+  target,
+  { groupIds, carryForward, promoteCompleted }
+) => {
+  const offsetDays = Math.round(
+    (new Date(target.startDate) - source.startDate) / DAY
+  );
+
+  const groups = await Group.find({
+    termId: source._id,
+    ...(groupIds && { _id: { $in: groupIds } }),
+  }).sort({ name: 1 });
+
+  // Groups already rolled over into the target, and names already taken
+  const clones = target._id
+    ? await Group.find({
+        termId: target._id,
+        clonedFrom: { $in: groups.map((g) => g._id) },
+      }).select("name clonedFrom")
+    : [];
+  const names = groups.map((g) => cloneName(g.name, source, target));
+  const takenNames = new Set(
+    await Group.find({ name: { $in: names } }).distinct("name")
+  );
+  const blackouts = await blackoutsByWard(groups);
+
+  const planned = groups.map((group, i) => {
+    const startDate = shiftDate(group.start_date, offsetDays);
+    // Sessions fall on other days in the new term (and around the blackout
+    // dates of the ward), so the clone runs at least until its last session
+    const dates = sessionDates(group.schedule, startDate, {
+      blackouts: blackouts.get(String(group.wardId)),
+    });
+    const lastSession = dates[SESSION_COUNT - 1];
+    const shiftedEnd = shiftDate(group.end_date, offsetDays);
+    const endDate =
+      lastSession && lastSession > shiftedEnd ? lastSession : shiftedEnd;
+    const clone = clones.find(
+      (c) => String(c.clonedFrom) === String(group._id)
+    );
+
+    const errors = [];
+    if (clone) {
+      errors.push(`Already rolled over into ${clone.name}`);
+    } else if (takenNames.has(names[i])) {
+      errors.push(`Group name '${names[i]}' already exists`);
+    }
+    if (isRecurring(group.schedule) && dates.length < SESSION_COUNT) {
+      errors.push(unscheduledError(dates));
+    }
+    if (!isWithinTerm(target, startDate, endDate)) {
+      errors.push(outsideTermError(target));
+    }
+
+    return {
+      sourceGroupId: group._id,
+      sourceName: group.name,
+      name: names[i],
+      wardId: group.wardId,
+      instructorId: group.instructorId,
+      level: group.level,
+      start_date: startDate,
+      end_date: endDate,
+      schedule: group.schedule,
+      room: group.room,
+      capacity: group.capacity,
+      errors,
+      students: [],
+    };
+  });
+
+  // Students to register in the new groups
+  const unplaced = [];
+  if (carryForward || promoteCompleted) {
+    const registrations = await Registration.find({
+      groupId: { $in: groups.map((g) => g._id) },
+      ...enrolledFilter,
+    }).populate({
+      path: "studentId",
+      select: "userId",
+      populate: { path: "userId", select: "firstName lastName" },
+    });
+    const planOf = (groupId) =>
+      planned.find((p) => String(p.sourceGroupId) === String(groupId));
+    const placed = new Set();
+    const place = (plan, entry) => {
+      const key = `${plan.sourceGroupId}:${entry.studentId}`;
+      if (placed.has(key)) return;
+      placed.add(key);
+      plan.students.push(entry);
+    };
+
+    registrations
+      .filter((registration) => registration.studentId)
+      .forEach((registration) => {
+        if (carryForward && registration.status === "active") {
+          place(
+            planOf(registration.groupId),
+            studentEntry(registration, "carried-forward")
+          );
+        }
+        if (
+          promoteCompleted &&
+          registration.completed &&
+          registration.completedLevel === "EC1"
+        ) {
+          // The EC2 group of the ward with the fewest students so far
+          const wardId = String(planOf(registration.groupId).wardId);
+          const [ec2] = planned
+            .filter((p) => p.level === "EC2" && String(p.wardId) === wardId)
+            .sort((a, b) => a.students.length - b.students.length);
+          const entry = studentEntry(registration, "promoted");
+          if (ec2) {
+            place(ec2, entry);
+          } else {
+            unplaced.push({ ...entry, reason: "No EC2 group in the ward" });
+          }
+        }
+      });
+  }
+
+  // Students beyond a group's capacity go to its waitlist
+  planned.forEach((plan) => {
+    plan.students.forEach((entry, i) => {
+      entry.status = plan.capacity && i >= plan.capacity ? "pending" : "active";
+    });
+  });
+
+  const students = planned.flatMap((plan) => plan.students);
+  const count = (key, value) => students.filter((s) => s[key] === value).length;
+  return {
+    offsetDays,
+    groups: planned,
+    unplaced,
+    summary: {
+      groups: planned.length,
+      invalid: planned.filter((plan) => plan.errors.length).length,
+      carriedForward: count("reason", "carried-forward"),
+      promoted: count("reason", "promoted"),
+      waitlisted: count("status", "pending"),
+      unplaced: unplaced.length,
+    },
+  };
+};
+
+// Create the groups and registrations of a plan in `termId`. Returns the
+// created groups and the number of registrations.
+const applyRollover = async (plan, termId, { session, changedBy } = {}) => {
+  const sources = await Group.find({
+    _id: { $in: plan.groups.map((p) => p.sourceGroupId) },
+  })
+    .select("sessions")
+    .session(session || null);
+  const blackouts = await blackoutsByWard(plan.groups);
+
+  const created = [];
+  let registrations = 0;
+  for (const planned of plan.groups) {
+    // Preview-only fields are not saved
+    const { sourceGroupId, sourceName, errors, students, ...fields } = planned;
+    const source = sources.find((g) => String(g._id) === String(sourceGroupId));
+    const [group] = await Group.create(
+      [
+        {
+          ...fields,
+          termId,
+          clonedFrom: sourceGroupId,
+          // Topics carry over; progress starts over and the sessions are
+          // dated from the schedule
+          sessions: generateSessions(
+            source?.sessions,
+            sessionDates(fields.schedule, fields.start_date, {
+              blackouts: blackouts.get(String(fields.wardId)),
+            })
+          ),
+        },
+      ],
+      { session }
+    );
+    created.push(group);
+
+    const date = new Date(Math.min(Date.now(), group.start_date.getTime()));
+    for (const student of students) {
+      await Registration.create(
+        [
+          {
+            studentId: student.studentId,
+            groupId: group._id,
+            date,
+            status: student.status,
+            statusHistory: [
+              {
+                status: student.status,
+                reason:
+                  student.reason === "promoted"
+                    ? "Promoted to EC2 at term rollover"
+                    : "Carried forward at term rollover",
+                changedBy,
+              },
+            ],
+          },
+        ],
+        { session }
+      );
+      registrations++;
+    }
+  }
+
+  return { groups: created, registrations };
+};
+
+module.exports = {
+  planRollover,
+  applyRollover,
+};
@@ -0,0 +1,279 @@
+// utils/schedule.js
+// Weekly schedules of groups: reading the free-text schedules older clients
+// send, describing structured ones and computing the dates of the sessions.
+const Group = require("../models/group");
+const config = require("../config/schedule");
+const { normalize } = require("./search");
+const { dayKey } = require("./attendanceSessions");
+const { SESSION_COUNT } = require("./groupSessions");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Blackout dates could cover every day left; stop looking after three years
+const MAX_SCHEDULED_DAYS = 3 * 366;
+
+// Weekday names (lowercase, without accents) in English, Spanish, Portuguese
+// and French
+const WEEKDAY_NAMES = {
+  sunday: ["sunday", "sun", "domingo", "dimanche"],
+  monday: ["monday", "mon", "lunes", "segunda", "lundi"],
+  tuesday: ["tuesday", "tue", "tues", "martes", "terca", "mardi"],
+  wednesday: ["wednesday", "wed", "miercoles", "quarta", "mercredi"],
+  thursday: ["thursday", "thu", "thurs", "jueves", "quinta", "jeudi"],
+  friday: ["friday", "fri", "viernes", "sexta", "vendredi"],
+  saturday: ["saturday", "sat", "sabado", "samedi"],
+};
+
+// "19:00", "7:30 pm", "7pm", "19h", "19h30"
+const TIME = String.raw`\b(\d{1,2})(?:(?::|h)(\d{2})?)?\s*(am|pm|a\.m\.|p\.m\.)?`;
+// "10-12", "7 to 9 pm", "de 10 a 12", "19h as 21h"
+const TIME_RANGE = new RegExp(`${TIME}\\s*(?:-|–|to|a|as|ate)\\s*${TIME}`);
+
+// Minutes after midnight of a time, or null when it is not one
+const minutesOf = (hours, minutes, meridiem) => {
+  let hour = Number(hours);
+  const minute = Number(minutes || 0);
+  if (meridiem?.startsWith("p") && hour < 12) hour += 12;
+  if (meridiem?.startsWith("a") && hour === 12) hour = 0;
+  return hour <= 23 && minute <= 59 ? hour * 60 + minute : null;
+};
+
+// 1140 -> "19:00"
+const formatTime = (minutes) =>
+  [Math.floor(minutes / 60), minutes % 60]
+    .map((part) => String(part).padStart(2, "0"))
+    .join(":");
+
+// Read what can be read of a free-text schedule:
+// "Lunes y miércoles de 7 a 9 pm" -> { weekdays: ["monday", "wednesday"],
+// startTime: "19:00", durationMinutes: 120 }
+const parseScheduleText = (text) => {
+  const lower = normalize(text);
+  const words = lower.split(/[^a-z]+/);
+  const schedule = {
+    weekdays: Group.WEEKDAYS.filter((day) =>
+      words.some(
+        (word) =>
+          WEEKDAY_NAMES[day].includes(word) ||
+          WEEKDAY_NAMES[day].includes(word.replace(/s$/, ""))
+      )
+    ),
+  };
+
+  const range = lower.match(TIME_RANGE);
+  // "7-9 pm": the start takes the end's am/pm
+  const start =
+    range && minutesOf(range[1], range[2], range[3] || range[6]);
+  if (range && start !== null) {
+    let end = minutesOf(range[4], range[5], range[6]);
+    if (end !== null) {
+      // "11-1" ends in the afternoon
+      while (end <= start) end += 12 * 60;
+      schedule.durationMinutes = end - start;
+    }
+    schedule.startTime = formatTime(start);
+  } else {
+    // A single time needs minutes, an "h" or am/pm to tell it from other
+    // numbers
+    const single = [...lower.matchAll(new RegExp(TIME, "g"))].find(
+      (match) => match[2] || match[3] || match[0].includes("h")
+    );
+    const time = single && minutesOf(single[1], single[2], single[3]);
+    if (single && time !== null) schedule.startTime = formatTime(time);
+  }
+
+  return schedule;
+};
+
+// Schedule as shown to people: "Monday and Wednesday, 19:00 (120 min)"
+const describeSchedule = ({ weekdays = [], startTime, durationMinutes }) => {
+  const days = weekdays.map((day) => day[0].toUpperCase() + day.slice(1));
+  let description =
+    days.length > 1
+      ? `${days.slice(0, -1).join(", ")} and ${days[days.length - 1]}`
+      : days.join("");
+  if (startTime) description += `${description ? ", " : ""}${startTime}`;
+  if (startTime && durationMinutes) description += ` (${durationMinutes} min)`;
+  return description;
+};
+
+// Schedule to save from the validated `schedule` of a request: structured
+// schedules are completed with the configured defaults, and free text is
+// kept as the description of what could be read from it
+const normalizeSchedule = (input) => {
+  const schedule =
+    typeof input === "string"
+      ? { ...parseScheduleText(input), description: input }
+      : { ...input };
+
+  // Week order, without repetitions
+  schedule.weekdays = Group.WEEKDAYS.filter((day) =>
+    (schedule.weekdays || []).includes(day)
+  );
+  if (schedule.startTime && !schedule.durationMinutes) {
+    schedule.durationMinutes = config.durationMinutes;
+  }
+  schedule.timezone = schedule.timezone || config.timezone;
+  schedule.description = schedule.description || describeSchedule(schedule);
+  return schedule;
+};
+
+// Whether sessions can be dated from a schedule
+const isRecurring = (schedule) => !!schedule?.weekdays?.length;
+
+// Days of a comma-separated list of dates and ranges
+// ("2024-12-25,2024-12-20..2025-01-06"), as "YYYY-MM-DD" keys
+const parseBlackoutDates = (text) => {
+  const days = new Set();
+  text
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [from, to = from] = entry
+        .split("..")
+        .map((date) => new Date(`${date.trim()}T00:00:00.000Z`));
+      if (isNaN(from) || isNaN(to)) {
+        console.warn(`Ignoring invalid blackout date: ${entry}`);
+        return;
+      }
+      for (let day = from; day <= to; day = new Date(day.getTime() + DAY)) {
+        days.add(dayKey(day));
+      }
+    });
+  return days;
+};
+
+// Days without sessions anywhere, from SCHEDULE_BLACKOUT_DATES
+const configuredBlackouts = parseBlackoutDates(config.blackoutDates);
+
+// Dates of the sessions of a schedule from `startDate` on: the days of its
+// weekdays that are not blackout dates. Like the start and end dates of
+// groups they are calendar days (midnight UTC); sessions start at the
+// schedule's startTime in its timezone. Fewer than `count` dates are
+// returned when blackouts leave no room for them, and none when the
+// schedule has no weekdays.
+const sessionDates = (
+  schedule,
+  startDate,
+  { count = SESSION_COUNT, blackouts = configuredBlackouts } = {}
+) => {
+  if (!isRecurring(schedule)) return [];
+  const weekdays = schedule.weekdays.map((day) => Group.WEEKDAYS.indexOf(day));
+
+  const dates = [];
+  let day = new Date(`${dayKey(startDate)}T00:00:00.000Z`);
+  for (let i = 0; dates.length < count && i < MAX_SCHEDULED_DAYS; i++) {
+    if (weekdays.includes(day.getUTCDay()) && !blackouts.has(dayKey(day))) {
+      dates.push(day);
+    }
+    day = new Date(day.getTime() + DAY);
+  }
+  return dates;
+};
+
+// Error of a schedule whose `count` sessions could not all be dated
+const unscheduledError = (dates, count = SESSION_COUNT) =>
+  `Only ${dates.length} of the ${count} sessions could be scheduled ` +
+  "in the next three years; check the schedule and the blackout dates";
+
+// Session dates and end date of a new group, skipping the `blackouts` days.
+// The end date is the day of the last session unless a later one is given;
+// without weekdays the sessions are not dated and the end date is required.
+// Returns { dates, endDate } or { error }.
+const scheduleSessions = (schedule, startDate, endDate, blackouts) => {
+  if (!isRecurring(schedule)) {
+    return endDate
+      ? { dates: [], endDate }
+      : { error: "End date is required when the schedule has no weekdays" };
+  }
+
+  const dates = sessionDates(schedule, startDate, { blackouts });
+  if (dates.length < SESSION_COUNT) {
+    return { error: unscheduledError(dates) };
+  }
+  const last = dates[dates.length - 1];
+  if (endDate && dayKey(endDate) < dayKey(last)) {
+    return {
+      error:
+        `The ${SESSION_COUNT} sessions run until ${dayKey(last)}, ` +
+        `after the end date ${dayKey(endDate)}`,
+    };
+  }
+  return { dates, endDate: endDate || last };
+};
+
+// Latest day of a list of dates, or null
+const lastDay = (dates) =>
+  dates.length
+    ? new Date(`${dates.map(dayKey).sort()[dates.length - 1]}T00:00:00.000Z`)
+    : null;
+
+// Session dates and end date of an existing group after its schedule or
+// start date changed. Completed sessions keep their dates; the others are
+// dated from `startDate` on, after the last completed session, skipping the
+// `blackouts` days (and are left undated when the schedule has no weekdays).
+// The end date is checked or derived as for a new group. Returns
+// { dates: [{ number, date }], endDate } with the dates of the uncompleted
+// sessions, or { error }.
+const rescheduleSessions = (
+  sessions,
+  schedule,
+  startDate,
+  endDate,
+  blackouts
+) => {
+  const remaining = sessions
+    .filter((s) => !s.completed)
+    .sort((a, b) => a.number - b.number);
+  const held = sessions.filter((s) => s.completed && s.date).map((s) => s.date);
+
+  if (!isRecurring(schedule)) {
+    if (!endDate) {
+      return { error: "End date is required when the schedule has no weekdays" };
+    }
+    return {
+      dates: remaining.map(({ number }) => ({ number, date: null })),
+      endDate,
+    };
+  }
+
+  const lastHeld = lastDay(held);
+  const from =
+    lastHeld && dayKey(lastHeld) >= dayKey(startDate)
+      ? new Date(lastHeld.getTime() + DAY)
+      : startDate;
+  const dates = sessionDates(schedule, from, {
+    count: remaining.length,
+    blackouts,
+  });
+  if (dates.length < remaining.length) {
+    return { error: unscheduledError(dates, remaining.length) };
+  }
+
+  const last = lastDay([...held, ...dates]);
+  if (endDate && last && dayKey(endDate) < dayKey(last)) {
+    return {
+      error:
+        `The sessions run until ${dayKey(last)}, ` +
+        `after the end date ${dayKey(endDate)}`,
+    };
+  }
+  return {
+    dates: remaining.map(({ number }, i) => ({ number, date: dates[i] })),
+    endDate: endDate || last,
+  };
+};
+
+module.exports = {
+  configuredBlackouts,
+  parseScheduleText,
+  describeSchedule,
+  normalizeSchedule,
+  isRecurring,
+  sessionDates,
+  unscheduledError,
+  scheduleSessions,
+  lastDay,
+  rescheduleSessions,
+};
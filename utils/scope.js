@@ -0,0 +1,88 @@
+// utils/scope.js
+// Query filters that limit what a scoped administrator can see or modify.
+// `scope` is attached to the request by middleware/scope.js. A null scope
+// (global admins, or routes without the middleware) means no restriction.
+const User = require("../models/user");
+const Group = require("../models/group");
+const Stake = require("../models/stake");
+const Ward = require("../models/ward");
+const getCountry = require("./getCountry");
+
+const SCOPED_ADMIN_TYPES = [12, 13];
+
+const includesId = (ids, id) =>
+  ids.some((scopedId) => String(scopedId) === String(id));
+
+// Filter on a stake reference (the stake _id by default)
+const stakeScopeFilter = (scope, field = "_id") =>
+  scope?.stakeIds ? { [field]: { $in: scope.stakeIds } } : {};
+
+// Filter on a ward reference (the ward _id by default)
+const wardScopeFilter = (scope, field = "_id") =>
+  scope?.wardIds ? { [field]: { $in: scope.wardIds } } : {};
+
+// Groups belong to a ward
+const groupScopeFilter = (scope) => wardScopeFilter(scope, "wardId");
+
+// Students belong to a ward through their user
+const studentScopeFilter = async (scope) => {
+  if (!scope?.wardIds) return {};
+  const userIds = await User.find({ wardId: { $in: scope.wardIds } }).distinct(
+    "_id"
+  );
+  return { userId: { $in: userIds } };
+};
+
+// Registrations belong to a ward through their group
+const registrationScopeFilter = async (scope) => {
+  if (!scope?.wardIds) return {};
+  const groupIds = await Group.find(groupScopeFilter(scope)).distinct("_id");
+  return { groupId: { $in: groupIds } };
+};
+
+const isStakeInScope = (scope, stakeId) =>
+  !scope?.stakeIds || includesId(scope.stakeIds, stakeId);
+
+const isWardInScope = (scope, wardId) =>
+  !scope?.wardIds || includesId(scope.wardIds, wardId);
+
+// Scope of a user, read from the database:
+//   12 = Stake Admin    -> the stake of the admin's ward
+//   13 = Country Admin  -> every stake in the country of the admin's stake
+// Other user types get null (no scope restriction), and scoped administrators
+// without a stake get undefined.
+const userScope = async (userId) => {
+  const user = await User.findById(userId).populate({
+    path: "wardId",
+    populate: { path: "stakeId" },
+  });
+  if (!SCOPED_ADMIN_TYPES.includes(user?.type)) return null;
+
+  const stake = user.wardId?.stakeId;
+  if (!stake) return undefined;
+
+  let stakeIds = [stake._id];
+  if (user.type === 13) {
+    const country = getCountry(stake.location);
+    const stakes = await Stake.find().select("location");
+    stakeIds = stakes
+      .filter((s) => getCountry(s.location) === country)
+      .map((s) => s._id);
+  }
+
+  const wardIds = await Ward.find({ stakeId: { $in: stakeIds } }).distinct(
+    "_id"
+  );
+  return { stakeIds, wardIds };
+};
+
+module.exports = {
+  stakeScopeFilter,
+  wardScopeFilter,
+  groupScopeFilter,
+  studentScopeFilter,
+  registrationScopeFilter,
+  isStakeInScope,
+  isWardInScope,
+  userScope,
+};
@@ -0,0 +1,92 @@
+// utils/search.js
+// Accent-insensitive text matching and ranking for GET /api/search.
+const { escapeRegExp } = require("./listQuery");
+
+// Letters and the accented forms found in Spanish, Portuguese and French data
+const ACCENTS = {
+  a: "aáàâãäå",
+  c: "cç",
+  e: "eéèêë",
+  i: "iíìîï",
+  n: "nñ",
+  o: "oóòôõö",
+  u: "uúùûü",
+  y: "yýÿ",
+};
+
+// Lowercase text without diacritics: "José Nuñez" -> "jose nunez"
+const normalize = (text) =>
+  String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+// Search terms of a query, normalized
+const searchTerms = (query) => normalize(query).split(/\s+/).filter(Boolean);
+
+// RegExp matching a normalized term in stored text with or without accents
+const accentInsensitiveRegExp = (term) =>
+  new RegExp(
+    [...term]
+      .map((char) =>
+        ACCENTS[char] ? `[${ACCENTS[char]}]` : escapeRegExp(char)
+      )
+      .join(""),
+    "i"
+  );
+
+// RegExp matching the digits of a term in a phone number with any separators
+// ("5551234" matches "555-1234"), or null when the term is not a number
+const phoneRegExp = (term) => {
+  const digits = term.replace(/\D/g, "");
+  if (!/^[\d()+.-]+$/.test(term) || digits.length < 3) return null;
+  return new RegExp(digits.split("").join("\\D*"));
+};
+
+// How well a term matches a value: whole value, start of a word or anywhere
+const matchStrength = (term, value) => {
+  const text = normalize(value);
+  if (!text) return 0;
+  if (text === term) return 3;
+  const words = text.split(/[\s@._-]+/);
+  if (words.some((word) => word.startsWith(term))) return 2;
+  return text.includes(term) ? 1 : 0;
+};
+
+// Rank a result: every term must match one of the fields, and the score adds
+// the best match of each term weighted by the field it matched.
+//   fields: [{ name, weight, values: [String] }]
+// Returns { score, matchedOn } or null when a term matches nothing.
+const rankMatch = (terms, fields) => {
+  let score = 0;
+  const matchedOn = new Set();
+
+  for (const term of terms) {
+    let best = null;
+    for (const field of fields) {
+      for (const value of field.values) {
+        const strength =
+          field.name === "phone"
+            ? phoneRegExp(term)?.test(value ?? "") ? 2 : 0
+            : matchStrength(term, value);
+        const points = strength * field.weight;
+        if (points > 0 && (!best || points > best.points)) {
+          best = { points, field: field.name };
+        }
+      }
+    }
+    if (!best) return null;
+    score += best.points;
+    matchedOn.add(best.field);
+  }
+
+  return { score, matchedOn: [...matchedOn] };
+};
+
+module.exports = {
+  normalize,
+  searchTerms,
+  accentInsensitiveRegExp,
+  phoneRegExp,
+  rankMatch,
+};
@@ -0,0 +1,86 @@
+// utils/spreadsheet.js
+const { Readable } = require("stream");
+const ExcelJS = require("exceljs");
+
+const CSV_TYPES = ["text/csv", "application/csv"];
+const XLSX_TYPES = [
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+];
+
+// Browsers send some CSV files as application/vnd.ms-excel, so the file name
+// is checked first
+const isCsv = (file) =>
+  /\.csv$/i.test(file.originalname) ||
+  (CSV_TYPES.includes(file.mimetype) && !/\.xlsx$/i.test(file.originalname));
+
+// Spreadsheets exported with a Spanish, Portuguese or French locale use ";"
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return (firstLine.match(/;/g) || []).length >
+    (firstLine.match(/,/g) || []).length
+    ? ";"
+    : ",";
+};
+
+// Plain value of an XLSX cell (dates as YYYY-MM-DD, formulas by their result,
+// hyperlinks and rich text by their text)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") {
+    if ("result" in value) return cellValue(value.result);
+    if ("text" in value) return cellValue(value.text);
+    if (Array.isArray(value.richText)) {
+      return value.richText.map((part) => part.text).join("");
+    }
+    return "";
+  }
+  return String(value).trim();
+};
+
+// Read the first sheet of an uploaded CSV or XLSX file (multer memory
+// storage). The first row holds the column names; returns
+// { headers, rows } with each row as { header: value } and its `rowNumber`
+// in the file. Empty rows are skipped.
+const readSpreadsheet = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+
+  let worksheet;
+  if (isCsv(file)) {
+    const text = file.buffer.toString("utf8").replace(/^\uFEFF/, "");
+    worksheet = await workbook.csv.read(Readable.from([text]), {
+      parserOptions: { delimiter: detectDelimiter(text) },
+      // Keep values as written (e.g. postal codes with leading zeros)
+      map: (value) => value,
+    });
+  } else {
+    await workbook.xlsx.load(file.buffer);
+    worksheet = workbook.worksheets[0];
+  }
+  if (!worksheet) return { headers: [], rows: [] };
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = cellValue(cell.value);
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    headers.forEach((header, column) => {
+      if (header) values[header] = cellValue(row.getCell(column).value);
+    });
+    if (Object.values(values).some(Boolean)) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+module.exports = {
+  CSV_TYPES,
+  XLSX_TYPES,
+  readSpreadsheet,
+};
@@ -0,0 +1,180 @@
+// utils/studentImport.js
+// Turns spreadsheet rows into the payload accepted by createStudent
+// ({ user, address, birthDate, language }) and validates them with the
+// same studentSchema.
+const crypto = require("crypto");
+const User = require("../models/user");
+const { studentSchema } = require("../validators/student");
+const { normalize } = require("./search");
+
+const USER_FIELDS = ["firstName", "lastName", "email", "phone", "password"];
+const ADDRESS_FIELDS = [
+  "street",
+  "neighborhood",
+  "city",
+  "state",
+  "country",
+  "postalCode",
+];
+const STUDENT_FIELDS = ["birthDate", "language"];
+
+// Column names recognized for each field (compared without case, accents,
+// spaces or punctuation), in English, Spanish, Portuguese and French
+const COLUMN_ALIASES = {
+  firstName: [
+    "firstname", "first", "nombre", "nombres", "prenom", "nome", "primeironome",
+  ],
+  lastName: [
+    "lastname", "last", "surname", "apellido", "apellidos", "nomdefamille",
+    "sobrenome",
+  ],
+  email: [
+    "email", "mail", "correo", "correoelectronico", "courriel", "emailaddress",
+  ],
+  phone: [
+    "phone", "phonenumber", "telefono", "celular", "movil", "telephone",
+    "telefone", "portable",
+  ],
+  password: ["password", "contrasena", "senha", "motdepasse"],
+  birthDate: [
+    "birthdate", "dateofbirth", "birthday", "fechadenacimiento", "nacimiento",
+    "datadenascimento", "datedenaissance",
+  ],
+  language: ["language", "idioma", "lengua", "langue", "lingua"],
+  street: [
+    "street", "address", "calle", "direccion", "rue", "adresse", "rua",
+    "endereco",
+  ],
+  neighborhood: ["neighborhood", "colonia", "barrio", "bairro", "quartier"],
+  city: ["city", "ciudad", "ville", "cidade", "municipio"],
+  state: ["state", "province", "estado", "provincia", "region"],
+  country: ["country", "pais", "pays"],
+  postalCode: [
+    "postalcode", "zip", "zipcode", "codigopostal", "cp", "codepostal", "cep",
+  ],
+};
+
+// Language names as written in rosters
+const LANGUAGES = {
+  spanish: "Spanish",
+  espanol: "Spanish",
+  castellano: "Spanish",
+  portuguese: "Portuguese",
+  portugues: "Portuguese",
+  french: "French",
+  frances: "French",
+  francais: "French",
+  italian: "Italian",
+  italiano: "Italian",
+};
+
+const columnKey = (header) => normalize(header).replace(/[^a-z0-9]/g, "");
+
+// Match the file's columns to fields. `mapping` ({ "Column": "field" })
+// overrides the automatic matching.
+const mapColumns = (headers, mapping = {}) => {
+  const fields = [...USER_FIELDS, ...ADDRESS_FIELDS, ...STUDENT_FIELDS];
+  const columns = {};
+
+  headers.forEach((header) => {
+    const key = columnKey(header);
+    const field =
+      mapping[header] ||
+      fields.find(
+        (f) => columnKey(f) === key || COLUMN_ALIASES[f].includes(key)
+      );
+    if (field && !Object.values(columns).includes(field)) {
+      columns[header] = field;
+    }
+  });
+
+  return {
+    columns,
+    ignored: headers.filter((header) => !columns[header]),
+  };
+};
+
+// createStudent payload of one row; empty cells are left out
+const buildPayload = (values, columns) => {
+  const data = {};
+  Object.entries(columns).forEach(([header, field]) => {
+    if (values[header]) data[field] = values[header];
+  });
+
+  const pick = (fields) =>
+    Object.fromEntries(fields.filter((f) => data[f]).map((f) => [f, data[f]]));
+
+  const payload = {
+    user: pick(USER_FIELDS),
+    ...pick(STUDENT_FIELDS),
+  };
+  const address = pick(ADDRESS_FIELDS);
+  if (Object.keys(address).length) payload.address = address;
+
+  if (payload.language) {
+    payload.language =
+      LANGUAGES[normalize(payload.language)] || payload.language;
+  }
+  return payload;
+};
+
+// Students imported without a password get a random one and can choose
+// their own through the password reset flow
+const temporaryPassword = () => crypto.randomBytes(12).toString("base64url");
+
+// Validate every row. Returns one entry per row with its errors; emails
+// repeated in the file or already registered are reported as errors too.
+const previewImport = async (rows, columns) => {
+  const entries = rows.map(({ rowNumber, values }) => {
+    const payload = buildPayload(values, columns);
+    const { error } = studentSchema.validate(
+      {
+        ...payload,
+        user: {
+          ...payload.user,
+          password: payload.user.password || temporaryPassword(),
+        },
+      },
+      { abortEarly: false }
+    );
+    return {
+      row: rowNumber,
+      email: payload.user.email?.toLowerCase(),
+      payload,
+      errors: error ? error.details.map((detail) => detail.message) : [],
+    };
+  });
+
+  // Duplicate emails within the file
+  const firstRowOf = new Map();
+  entries.forEach((entry) => {
+    if (!entry.email) return;
+    if (firstRowOf.has(entry.email)) {
+      const firstRow = firstRowOf.get(entry.email);
+      entry.errors.push(
+        `Duplicate email '${entry.email}' (also in row ${firstRow})`
+      );
+    } else {
+      firstRowOf.set(entry.email, entry.row);
+    }
+  });
+
+  // Emails that already have an account
+  const existing = await User.find({ email: { $in: [...firstRowOf.keys()] } })
+    .collation({ locale: "en", strength: 2 }) // Case-insensitive
+    .distinct("email");
+  const registered = new Set(existing.map((email) => email.toLowerCase()));
+  entries.forEach((entry) => {
+    if (registered.has(entry.email)) {
+      entry.errors.push(`User '${entry.email}' already exists`);
+    }
+  });
+
+  return entries;
+};
+
+module.exports = {
+  mapColumns,
+  previewImport,
+  temporaryPassword,
+};
@@ -0,0 +1,29 @@
+// utils/terms.js
+const Term = require("../models/term");
+
+// Terms run from their start date to the end of their end date
+const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Term running on a date (the latest to start when terms overlap)
+const findTermAt = (date = new Date()) => {
+  const startOfDay = new Date(`${day(date)}T00:00:00.000Z`);
+  return Term.findOne({
+    startDate: { $lte: date },
+    endDate: { $gte: startOfDay },
+  }).sort({ startDate: -1 });
+};
+
+// Whether a group running from startDate to endDate fits in a term
+const isWithinTerm = (term, startDate, endDate) =>
+  day(startDate) >= day(term.startDate) && day(endDate) <= day(term.endDate);
+
+// Error of a group whose dates do not fit in its term
+const outsideTermError = (term) =>
+  `Group dates must fall within the term ${term.name} ` +
+  `(${day(term.startDate)} to ${day(term.endDate)})`;
+
+module.exports = {
+  findTermAt,
+  isWithinTerm,
+  outsideTermError,
+};
@@ -0,0 +1,18 @@
+// utils/tokens.js
+// Random single-use tokens (password reset, email verification, ...).
+// Only the SHA-256 hash is stored, so a leaked database cannot be used to redeem them.
+const crypto = require("crypto");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Returns the plain token (to send to the user) and its hash (to store)
+const generateToken = () => {
+  const token = crypto.randomBytes(32).toString("hex");
+  return { token, hash: hashToken(token) };
+};
+
+module.exports = {
+  generateToken,
+  hashToken,
+};
@@ -0,0 +1,130 @@
+// validators/attendance.js
+const Joi = require("joi");
+const Attendance = require("../models/attendance");
+
+const attendanceRecordSchema = Joi.object({
+  studentId: Joi.string()
+    .trim()
+    .required()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      "string.base": "Student ID must be a string",
+      "any.required": "Student ID is required",
+      "string.empty": "Student ID cannot be empty",
+      "string.pattern.base": "Invalid Student ID format",
+    }),
+  status: Joi.string()
+    .valid(...Attendance.STATUSES)
+    .messages({
+      "any.only": `Status must be one of: ${Attendance.STATUSES.join(", ")}`,
+    }),
+  // Older clients send isPresent instead of status
+  isPresent: Joi.boolean().messages({
+    "boolean.base": "isPresent must be a boolean",
+  }),
+  notes: Joi.string().trim().allow("").optional().messages({
+    "string.base": "Notes must be a string",
+  }),
+})
+  .or("status", "isPresent")
+  .messages({
+    "object.missing": "Each record requires a status (or isPresent)",
+  });
+
+// Attendance of the whole roster for one group session
+const bulkAttendanceSchema = Joi.object({
+  date: Joi.date().iso().optional().messages({
+    "date.base": "Date must be a valid date",
+    "date.iso": "Date must be in ISO format (YYYY-MM-DD)",
+  }),
+  topic: Joi.string().trim().optional().messages({
+    "string.base": "Topic must be a string",
+  }),
+  records: Joi.array()
+    .items(attendanceRecordSchema)
+    .min(1)
+    .unique("studentId")
+    .required()
+    .messages({
+      "array.base": "Records must be an array",
+      "array.min": "At least one attendance record is required",
+      "array.unique": "Each student can only appear once",
+      "any.required": "Records are required",
+    }),
+});
+
+const objectId = (label) =>
+  Joi.string()
+    .trim()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      "string.base": `${label} must be a string`,
+      "any.required": `${label} is required`,
+      "string.empty": `${label} cannot be empty`,
+      "string.pattern.base": `Invalid ${label} format`,
+    });
+
+const sessionNumber = (label) =>
+  Joi.number()
+    .integer()
+    .min(1)
+    .max(25)
+    .messages({
+      "number.base": `${label} must be a number`,
+      "number.min": `${label} must be between 1 and 25`,
+      "number.max": `${label} must be between 1 and 25`,
+      "any.required": `${label} is required`,
+    });
+
+// Attendance of a student in a group they are not registered in, making up
+// a session of their own (home) group
+const makeUpAttendanceSchema = Joi.object({
+  studentId: objectId("Student ID").required(),
+  groupId: objectId("Group ID").required(),
+  sessionNumber: sessionNumber("Session number").required(),
+  homeGroupId: objectId("Home group ID").optional(),
+  homeSessionNumber: sessionNumber("Home session number").optional(),
+  date: Joi.date().iso().optional().messages({
+    "date.base": "Date must be a valid date",
+    "date.iso": "Date must be in ISO format (YYYY-MM-DD)",
+  }),
+  status: Joi.string().valid("present", "late").default("present").messages({
+    "any.only": "Status must be one of: present, late",
+  }),
+  notes: Joi.string().trim().allow("").optional().messages({
+    "string.base": "Notes must be a string",
+  }),
+});
+
+// Changes to one attendance record; status wins over isPresent when both
+// are sent
+const attendanceUpdateSchema = Joi.object({
+  studentId: objectId("Student ID").optional(),
+  groupId: objectId("Group ID").optional(),
+  date: Joi.date().iso().optional().messages({
+    "date.base": "Date must be a valid date",
+    "date.iso": "Date must be in ISO format (YYYY-MM-DD)",
+  }),
+  sessionNumber: sessionNumber("Session number").optional(),
+  status: Joi.string()
+    .valid(...Attendance.STATUSES)
+    .messages({
+      "any.only": `Status must be one of: ${Attendance.STATUSES.join(", ")}`,
+    }),
+  isPresent: Joi.boolean().messages({
+    "boolean.base": "isPresent must be a boolean",
+  }),
+  notes: Joi.string().trim().allow("").optional().messages({
+    "string.base": "Notes must be a string",
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one field to update is required",
+  });
+
+module.exports = {
+  attendanceUpdateSchema,
+  bulkAttendanceSchema,
+  makeUpAttendanceSchema,
+};
@@ -0,0 +1,58 @@
+// validators/auth.js
+const Joi = require('joi');
+const { userSchema } = require('./user');
+
+// Public registration Schema: only student accounts can be self-registered,
+// admins and instructors are created through invitations
+const registerSchema = userSchema.keys({
+    type: Joi.number().valid(1).default(1).messages({
+        'number.base': 'Type must be a number',
+        'any.only': 'Only student accounts can be registered. Admins and instructors need an invitation',
+    }),
+});
+
+// Forgot password Schema
+const forgotPasswordSchema = Joi.object({
+    email: Joi.string().email().trim().required().messages({
+        'string.email': 'Email must be valid',
+        'any.required': 'Email is required',
+    }),
+});
+
+// Reset password Schema
+const resetPasswordSchema = Joi.object({
+    token: Joi.string().trim().hex().length(64).required().messages({
+        'string.hex': 'Invalid reset token',
+        'string.length': 'Invalid reset token',
+        'any.required': 'Reset token is required',
+    }),
+    password: Joi.string().min(8).required().messages({
+        'string.min': 'Password must be at least 8 characters',
+        'any.required': 'Password is required',
+    }),
+});
+
+// Email verification Schema
+const verifyEmailSchema = Joi.object({
+    token: Joi.string().trim().hex().length(64).required().messages({
+        'string.hex': 'Invalid verification token',
+        'string.length': 'Invalid verification token',
+        'any.required': 'Verification token is required',
+    }),
+});
+
+// Resend verification email Schema
+const resendVerificationSchema = Joi.object({
+    email: Joi.string().email().trim().required().messages({
+        'string.email': 'Email must be valid',
+        'any.required': 'Email is required',
+    }),
+});
+
+module.exports = {
+    registerSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    verifyEmailSchema,
+    resendVerificationSchema,
+};
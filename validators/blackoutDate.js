@@ -0,0 +1,67 @@
+// validators/blackoutDate.js
+const Joi = require("joi");
+
+const name = Joi.string().trim().messages({
+  "string.base": "Name must be a string",
+  "string.empty": "Name cannot be empty",
+});
+
+const startDate = Joi.date().iso().messages({
+  "date.base": "Start date must be a valid date",
+  "date.format": "Start date must be in ISO format (YYYY-MM-DD)",
+});
+
+const endDate = Joi.date().iso().messages({
+  "date.base": "End date must be a valid date",
+  "date.format": "End date must be in ISO format (YYYY-MM-DD)",
+  "date.min": "End date must be on or after the start date",
+});
+
+// Move the remaining sessions of the groups the blackout falls on
+const reschedule = Joi.boolean().default(true).messages({
+  "boolean.base": "Reschedule must be true or false",
+});
+
+// A blackout of a country or of a stake; one day unless endDate is given
+const blackoutDateSchema = Joi.object({
+  name: name.required().messages({ "any.required": "Name is required" }),
+  startDate: startDate
+    .required()
+    .messages({ "any.required": "Start date is required" }),
+  endDate: endDate.min(Joi.ref("startDate")).optional(),
+  country: Joi.string().trim().messages({
+    "string.base": "Country must be a string",
+    "string.empty": "Country cannot be empty",
+  }),
+  stakeId: Joi.string()
+    .trim()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      "string.base": "Stake ID must be a string",
+      "string.empty": "Stake ID cannot be empty",
+      "string.pattern.base": "Invalid Stake ID format",
+    }),
+  reschedule,
+})
+  .xor("country", "stakeId")
+  .messages({
+    "object.missing": "Either country or stakeId is required",
+    "object.xor": "Use either country or stakeId, not both",
+  });
+
+// The country or stake of a blackout cannot change
+const blackoutDateUpdateSchema = Joi.object({
+  name: name.optional(),
+  startDate: startDate.optional(),
+  endDate: endDate.optional(),
+  reschedule,
+})
+  .or("name", "startDate", "endDate")
+  .messages({
+    "object.missing": "At least one of name, startDate or endDate is required",
+  });
+
+module.exports = {
+  blackoutDateSchema,
+  blackoutDateUpdateSchema,
+};
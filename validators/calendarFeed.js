@@ -0,0 +1,46 @@
+// validators/calendarFeed.js
+const Joi = require("joi");
+const CalendarFeed = require("../models/calendarFeed");
+
+const objectId = (label) =>
+  Joi.string()
+    .trim()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      "string.base": `${label} must be a string`,
+      "string.empty": `${label} cannot be empty`,
+      "string.pattern.base": `Invalid ${label} format`,
+      "any.required": `${label} is required`,
+      "any.unknown": `${label} is not allowed for this type of feed`,
+    });
+
+// Feed of a group (groupId), of an instructor (instructorId, the caller's
+// own by default) or of a student (studentId, the caller's own by default)
+const calendarFeedSchema = Joi.object({
+  type: Joi.string()
+    .valid(...CalendarFeed.TYPES)
+    .required()
+    .messages({
+      "any.only": `Type must be one of ${CalendarFeed.TYPES.join(", ")}`,
+      "any.required": "Type is required",
+    }),
+  groupId: objectId("Group ID").when("type", {
+    is: "group",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  instructorId: objectId("Instructor ID").when("type", {
+    is: "instructor",
+    then: Joi.optional(),
+    otherwise: Joi.forbidden(),
+  }),
+  studentId: objectId("Student ID").when("type", {
+    is: "student",
+    then: Joi.optional(),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+module.exports = {
+  calendarFeedSchema,
+};
@@ -0,0 +1,17 @@
+// validators/export.js
+const Joi = require("joi");
+const { EXPORT_FORMATS } = require("../utils/export");
+
+const exportQuerySchema = Joi.object({
+  format: Joi.string()
+    .lowercase()
+    .valid(...EXPORT_FORMATS)
+    .default("csv")
+    .messages({
+      "any.only": `Format must be one of: ${EXPORT_FORMATS.join(", ")}`,
+    }),
+});
+
+module.exports = {
+  exportQuerySchema,
+};
@@ -1,5 +1,70 @@
 // validators/group.js
 const Joi = require("joi");
+const Group = require("../models/group");
+
+// Whether the runtime knows an IANA timezone
+const isTimezone = (value) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Weekly schedule: a structured recurrence, or the free text older clients
+// send (e.g. "Monday and Wednesday 10-12")
+const scheduleSchema = Joi.alternatives()
+  .try(
+    Joi.object({
+      weekdays: Joi.array()
+        .items(Joi.string().trim().lowercase().valid(...Group.WEEKDAYS))
+        .min(1)
+        .required()
+        .messages({
+          "array.base": "Schedule weekdays must be an array",
+          "array.min": "Schedule needs at least one weekday",
+          "any.only": `Schedule weekdays must be ${Group.WEEKDAYS.join(", ")}`,
+          "any.required": "Schedule weekdays are required",
+        }),
+      startTime: Joi.string()
+        .trim()
+        .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .required()
+        .messages({
+          "string.pattern.base": "Schedule start time must be HH:mm",
+          "any.required": "Schedule start time is required",
+        }),
+      durationMinutes: Joi.number()
+        .integer()
+        .min(1)
+        .max(720)
+        .optional()
+        .messages({
+          "number.base": "Schedule duration must be a number of minutes",
+          "number.integer": "Schedule duration must be a whole number",
+          "number.min": "Schedule duration must be at least 1 minute",
+          "number.max": "Schedule duration cannot exceed 720 minutes",
+        }),
+      timezone: Joi.string()
+        .trim()
+        .custom((value, helpers) =>
+          isTimezone(value) ? value : helpers.error("any.invalid")
+        )
+        .optional()
+        .messages({
+          "any.invalid": "Schedule timezone must be an IANA timezone",
+        }),
+      description: Joi.string().trim().optional().messages({
+        "string.empty": "Schedule description cannot be empty",
+      }),
+    }),
+    Joi.string().trim()
+  )
+  .messages({
+    "alternatives.types": "Schedule must be a string or an object",
+    "string.empty": "Schedule cannot be empty",
+  });
 
 const groupSchema = Joi.object({
   name: Joi.string().trim().required().messages({
@@ -22,20 +87,35 @@ const groupSchema = Joi.object({
     "date.iso": "Start date must be in ISO format (YYYY-MM-DD)",
     "any.required": "Start date is required",
   }),
-  end_date: Joi.date().iso().required().messages({
+  // Derived from the schedule when not given
+  end_date: Joi.date().iso().optional().messages({
     "date.base": "End date must be a valid date",
     "date.iso": "End date must be in ISO format (YYYY-MM-DD)",
-    "any.required": "End date is required",
   }),
-  schedule: Joi.string().trim().required().messages({
-    "string.base": "Schedule must be a string",
+  termId: Joi.string()
+    .trim()
+    .optional()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      "string.base": "Term ID must be a string",
+      "string.empty": "Term ID cannot be empty",
+      "string.pattern.base": "Invalid Term ID format",
+    }),
+  level: Joi.string().valid("EC1", "EC2").optional().messages({
+    "any.only": "Level must be one of EC1 or EC2",
+  }),
+  schedule: scheduleSchema.required().messages({
     "any.required": "Schedule is required",
-    "string.empty": "Schedule cannot be empty",
   }),
   room: Joi.string().trim().optional().messages({
     "string.base": "Room must be a string",
     "string.empty": "Room cannot be empty",
   }),
+  capacity: Joi.number().integer().min(1).allow(null).optional().messages({
+    "number.base": "Capacity must be a number",
+    "number.integer": "Capacity must be a whole number",
+    "number.min": "Capacity must be at least 1",
+  }),
   instructorId: Joi.string()
     .trim()
     .required()
@@ -69,14 +149,29 @@ const groupUpdateSchema = Joi.object({
     "date.base": "End date must be a valid date",
     "date.iso": "End date must be in ISO format (YYYY-MM-DD)",
   }),
-  schedule: Joi.string().trim().optional().messages({
-    "string.base": "Schedule must be a string",
-    "string.empty": "Schedule cannot be empty",
+  termId: Joi.string()
+    .trim()
+    .allow(null)
+    .optional()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      "string.base": "Term ID must be a string",
+      "string.empty": "Term ID cannot be empty",
+      "string.pattern.base": "Invalid Term ID format",
+    }),
+  level: Joi.string().valid("EC1", "EC2").allow(null).optional().messages({
+    "any.only": "Level must be one of EC1 or EC2",
   }),
+  schedule: scheduleSchema.optional(),
   room: Joi.string().trim().optional().messages({
     "string.base": "Room must be a string",
     "string.empty": "Room cannot be empty",
   }),
+  capacity: Joi.number().integer().min(1).allow(null).optional().messages({
+    "number.base": "Capacity must be a number",
+    "number.integer": "Capacity must be a whole number",
+    "number.min": "Capacity must be at least 1",
+  }),
   instructorId: Joi.string()
     .trim()
     .optional()
@@ -91,16 +186,27 @@ const groupUpdateSchema = Joi.object({
     "wardId",
     "start_date",
     "end_date",
+    "termId",
+    "level",
     "schedule",
     "room",
+    "capacity",
     "instructorId"
   )
   .messages({
     "object.missing":
-      "At least one of name, wardId, start_date, end_date, schedule, room, or instructorId is required",
+      "At least one of name, wardId, start_date, end_date, termId, level, schedule, room, capacity, or instructorId is required",
   });
 
+// Reschedule of a group's remaining sessions
+const groupRescheduleSchema = Joi.object({
+  dryRun: Joi.boolean().default(false).messages({
+    "boolean.base": "dryRun must be true or false",
+  }),
+});
+
 module.exports = {
   groupSchema,
   groupUpdateSchema,
+  groupRescheduleSchema,
 };
@@ -0,0 +1,45 @@
+// validators/invitation.js
+const Joi = require("joi");
+
+const invitationSchema = Joi.object({
+  email: Joi.string().email().trim().lowercase().required().messages({
+    "string.email": "Email must be valid",
+    "any.required": "Email is required",
+  }),
+  type: Joi.number().valid(10, 11, 12, 13).required().messages({
+    "number.base": "Type must be a number",
+    "any.only": "Type must be one of the following values: 10 (admin), 11 (instructor), 12 (stake admin), 13 (country admin)",
+    "any.required": "Type is required",
+  }),
+  wardId: Joi.string()
+    .trim()
+    .required()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      "string.base": "Ward ID must be a string",
+      "any.required": "Ward ID is required",
+      "string.empty": "Ward ID cannot be empty",
+      "string.pattern.base": "Invalid Ward ID format",
+    }),
+});
+
+const acceptInvitationSchema = Joi.object({
+  token: Joi.string().trim().required().messages({
+    "any.required": "Invitation token is required",
+    "string.empty": "Invitation token is required",
+  }),
+  firstName: Joi.string().trim().optional(),
+  lastName: Joi.string().trim().optional(),
+  password: Joi.string().min(8).required().messages({
+    "string.min": "Password must be at least 8 characters",
+    "any.required": "Password is required",
+  }),
+  phone: Joi.string().pattern(/^[0-9\-+() ]{7,15}$/).optional().messages({
+    "string.pattern.base": "Phone number must be valid (7-15 digits, dashes, or spaces)",
+  }),
+});
+
+module.exports = {
+  invitationSchema,
+  acceptInvitationSchema,
+};
@@ -0,0 +1,178 @@
+// validators/listQuery.js
+const Joi = require("joi");
+const Attendance = require("../models/attendance");
+const Registration = require("../models/registration");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const objectIdFilter = (label) =>
+  Joi.string()
+    .trim()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      "string.base": `${label} must be a string`,
+      "string.empty": `${label} cannot be empty`,
+      "string.pattern.base": `Invalid ${label} format`,
+    });
+
+// Query string of a list endpoint: pagination (page/limit or cursor/limit),
+// sorting (`sort=name,-createdAt`), a date range (`from`/`to`) and the
+// endpoint's own filters.
+const listQuerySchema = ({ sortFields, filters = {} }) =>
+  Joi.object({
+    page: Joi.number().integer().min(1).messages({
+      "number.base": "Page must be a number",
+      "number.min": "Page must be at least 1",
+    }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(MAX_LIMIT)
+      .default(DEFAULT_LIMIT)
+      .messages({
+        "number.base": "Limit must be a number",
+        "number.min": "Limit must be at least 1",
+        "number.max": `Limit cannot exceed ${MAX_LIMIT}`,
+      }),
+    cursor: Joi.string().trim().messages({
+      "string.base": "Cursor must be a string",
+    }),
+    sort: Joi.string()
+      .trim()
+      .pattern(
+        new RegExp(`^-?(${sortFields.join("|")})(,-?(${sortFields.join("|")}))*$`)
+      )
+      .messages({
+        "string.pattern.base": `Sort must be a comma-separated list of: ${sortFields.join(
+          ", "
+        )} (prefix with - for descending order)`,
+      }),
+    from: Joi.date().iso().messages({
+      "date.base": "From must be a valid date",
+      "date.format": "From must be in ISO format (YYYY-MM-DD)",
+    }),
+    to: Joi.date().iso().min(Joi.ref("from")).messages({
+      "date.base": "To must be a valid date",
+      "date.format": "To must be in ISO format (YYYY-MM-DD)",
+      "date.min": "To must be on or after From",
+    }),
+    ...filters,
+  })
+    .oxor("page", "cursor")
+    .messages({
+      "object.oxor": "Use either page or cursor, not both",
+    });
+
+// Sort fields and filters of each list endpoint
+const wardFilters = {
+  wardId: objectIdFilter("Ward ID"),
+  stakeId: objectIdFilter("Stake ID"),
+};
+
+const studentListQuery = {
+  sortFields: ["createdAt", "birthDate", "level", "language"],
+  filters: {
+    level: Joi.string().valid("EC1", "EC2"),
+    language: Joi.string().valid("Spanish", "French", "Portuguese", "Italian"),
+    churchMembership: Joi.string().valid("Member", "Non-member"),
+    ...wardFilters,
+  },
+};
+
+const userListQuery = {
+  sortFields: ["createdAt", "firstName", "lastName", "email", "type"],
+  filters: {
+    type: Joi.number().valid(1, 10, 11, 12, 13),
+    ...wardFilters,
+  },
+};
+
+const groupListQuery = {
+  sortFields: ["createdAt", "name"],
+  defaultSort: "name",
+  filters: {
+    instructorId: objectIdFilter("Instructor ID"),
+    termId: objectIdFilter("Term ID"),
+    level: Joi.string().valid("EC1", "EC2"),
+    ...wardFilters,
+  },
+};
+
+const attendanceListQuery = {
+  sortFields: ["date", "sessionNumber", "status", "createdAt"],
+  defaultSort: "-date",
+  dateField: "date",
+  filters: {
+    groupId: objectIdFilter("Group ID"),
+    studentId: objectIdFilter("Student ID"),
+    status: Joi.string().valid(...Attendance.STATUSES),
+    sessionNumber: Joi.number().integer().min(1).max(25),
+    termId: objectIdFilter("Term ID"),
+  },
+};
+
+const registrationListQuery = {
+  sortFields: ["date", "createdAt", "completedAt", "statusChangedAt"],
+  defaultSort: "-date",
+  dateField: "date",
+  filters: {
+    groupId: objectIdFilter("Group ID"),
+    studentId: objectIdFilter("Student ID"),
+    status: Joi.string().valid(...Registration.STATUSES),
+    termId: objectIdFilter("Term ID"),
+    completed: Joi.boolean(),
+    ...wardFilters,
+  },
+};
+
+const wardListQuery = {
+  sortFields: ["name", "createdAt"],
+  defaultSort: "name",
+  filters: {
+    stakeId: objectIdFilter("Stake ID"),
+  },
+};
+
+const stakeListQuery = {
+  sortFields: ["name", "location", "createdAt"],
+  defaultSort: "name",
+  filters: {
+    country: Joi.string().trim(),
+  },
+};
+
+const blackoutDateListQuery = {
+  sortFields: ["startDate", "name", "createdAt"],
+  defaultSort: "startDate",
+  dateField: "startDate",
+  filters: {
+    country: Joi.string().trim(),
+    stakeId: objectIdFilter("Stake ID"),
+    level: Joi.string().valid("country", "stake"),
+  },
+};
+
+const addressListQuery = {
+  sortFields: ["city", "state", "country", "createdAt"],
+  filters: {
+    city: Joi.string().trim(),
+    state: Joi.string().trim(),
+    country: Joi.string().trim(),
+  },
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  listQuerySchema,
+  studentListQuery,
+  userListQuery,
+  groupListQuery,
+  attendanceListQuery,
+  registrationListQuery,
+  wardListQuery,
+  stakeListQuery,
+  addressListQuery,
+  blackoutDateListQuery,
+};
@@ -67,6 +67,39 @@ const registrationUpdateSchema = Joi.object({
     "object.missing": "At least one of studentId, groupId, date, or notes is required",
   });
 
+// Manual status changes; transfers and completions have their own flows
+const registrationStatusSchema = Joi.object({
+  status: Joi.string().valid("active", "withdrawn").required().messages({
+    "any.only": "Status must be one of active or withdrawn",
+    "any.required": "Status is required",
+  }),
+  reason: Joi.string().trim().max(500).optional().empty("").messages({
+    "string.base": "Reason must be a string",
+    "string.max": "Reason cannot exceed 500 characters",
+  }),
+});
+
+const registrationTransferSchema = Joi.object({
+  groupId: Joi.string()
+    .trim()
+    .required()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      "string.base": "Group ID must be a string",
+      "any.required": "Group ID is required",
+      "string.empty": "Group ID cannot be empty",
+      "string.pattern.base": "Invalid Group ID format",
+    }),
+  date: Joi.date().iso().optional().messages({
+    "date.base": "Transfer date must be a valid date",
+    "date.iso": "Transfer date must be in ISO format (YYYY-MM-DD)",
+  }),
+  reason: Joi.string().trim().max(500).optional().empty("").messages({
+    "string.base": "Reason must be a string",
+    "string.max": "Reason cannot exceed 500 characters",
+  }),
+});
+
 // ID validation and trim input
 const idValidationSchema = Joi.string()
   .trim()
@@ -81,5 +114,7 @@ const idValidationSchema = Joi.string()
 module.exports = {
   registrationSchema,
   registrationUpdateSchema,
+  registrationStatusSchema,
+  registrationTransferSchema,
   idValidationSchema,
 };
@@ -0,0 +1,21 @@
+// validators/search.js
+const Joi = require("joi");
+
+const searchQuerySchema = Joi.object({
+  q: Joi.string().trim().min(2).max(100).required().messages({
+    "string.base": "Search query must be a string",
+    "string.empty": "Search query cannot be empty",
+    "string.min": "Search query must be at least 2 characters long",
+    "string.max": "Search query cannot exceed 100 characters",
+    "any.required": "Search query (q) is required",
+  }),
+  limit: Joi.number().integer().min(1).max(50).default(20).messages({
+    "number.base": "Limit must be a number",
+    "number.min": "Limit must be at least 1",
+    "number.max": "Limit cannot exceed 50",
+  }),
+});
+
+module.exports = {
+  searchQuerySchema,
+};
@@ -0,0 +1,19 @@
+// validators/stats.js
+const Joi = require("joi");
+
+// Statistics can be scoped to the groups of one term
+const statsQuerySchema = Joi.object({
+  termId: Joi.string()
+    .trim()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .optional()
+    .messages({
+      "string.base": "Term ID must be a string",
+      "string.empty": "Term ID cannot be empty",
+      "string.pattern.base": "Invalid Term ID format",
+    }),
+});
+
+module.exports = {
+  statsQuerySchema,
+};
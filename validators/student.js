@@ -18,6 +18,32 @@ const studentSchema = Joi.object({
     // }),
 });
 
+// Options of a roster import (multipart fields sent along with the file)
+const objectId = (label) => Joi.string().trim().pattern(/^[0-9a-fA-F]{24}$/).messages({
+    'string.empty': `${label} cannot be empty`,
+    'string.pattern.base': `Invalid ${label} format`,
+    'any.required': `${label} is required`,
+});
+
+const IMPORT_FIELDS = [
+    'firstName', 'lastName', 'email', 'phone', 'password', 'birthDate', 'language',
+    'street', 'neighborhood', 'city', 'state', 'country', 'postalCode',
+];
+
+const studentImportSchema = Joi.object({
+    wardId: objectId('Ward ID').required(),
+    groupId: objectId('Group ID').optional(),
+    dryRun: Joi.boolean().default(false).messages({
+        'boolean.base': 'dryRun must be true or false',
+    }),
+    // { "Column name": "field" } for columns that are not recognized
+    mapping: Joi.object().pattern(Joi.string(), Joi.string().valid(...IMPORT_FIELDS)).optional().messages({
+        'object.base': 'Mapping must be an object of column names to fields',
+        'any.only': `Mapped fields must be one of: ${IMPORT_FIELDS.join(', ')}`,
+    }),
+});
+
 module.exports = {
-    studentSchema
+    studentSchema,
+    studentImportSchema,
 };
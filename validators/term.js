@@ -54,7 +54,45 @@ const termUpdateSchema = Joi.object({
     "object.missing": "At least one of name, location, or stakeId is required",
   });
 
+const objectId = (label) =>
+  Joi.string()
+    .trim()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      "string.base": `${label} must be a string`,
+      "string.empty": `${label} cannot be empty`,
+      "string.pattern.base": `Invalid ${label} format`,
+    });
+
+// Rollover of a term's groups into an existing term or a new one
+const termRolloverSchema = Joi.object({
+  targetTermId: objectId("Target term ID"),
+  newTerm: termSchema,
+  groupIds: Joi.array().items(objectId("Group ID")).min(1).unique().messages({
+    "array.min": "groupIds cannot be empty",
+    "array.unique": "groupIds cannot contain duplicates",
+  }),
+  carryForward: Joi.boolean().default(false),
+  promoteCompleted: Joi.boolean().default(false),
+  dryRun: Joi.boolean().default(true),
+})
+  .xor("targetTermId", "newTerm")
+  .messages({
+    "object.missing": "Either targetTermId or newTerm is required",
+    "object.xor": "Use either targetTermId or newTerm, not both",
+  });
+
+// Date to resolve the current term at (today by default)
+const currentTermQuerySchema = Joi.object({
+  date: Joi.date().iso().optional().messages({
+    "date.base": "Date must be a valid date",
+    "date.iso": "Date must be in ISO format (YYYY-MM-DD)",
+  }),
+});
+
 module.exports = {
   termSchema,
   termUpdateSchema,
+  currentTermQuerySchema,
+  termRolloverSchema,
 };
@@ -19,9 +19,9 @@ const userSchema = Joi.object({
         'string.min': 'Password must be at least 8 characters',
         'any.required': 'Password is required',
     }),
-    type: Joi.number().valid(1, 10, 11).default(1).messages({
+    type: Joi.number().valid(1, 10, 11, 12, 13).default(1).messages({
         'number.base': 'Type must be a number',
-        'any.only': 'Type must be one of the following values: 1 (student), 10 (admin), 11(instructor)',
+        'any.only': 'Type must be one of the following values: 1 (student), 10 (admin), 11(instructor), 12 (stake admin), 13 (country admin)',
         'any.required': 'Type is required',
     }),
     phone: Joi.string().pattern(/^[0-9\-+() ]{7,15}$/).optional().messages({
@@ -47,9 +47,9 @@ const partialUserSchema = Joi.object({
     newPassword: Joi.string().min(8).empty('').optional().messages({
         'string.min': 'New password must be at least 8 characters',
     }),
-    type: Joi.number().valid(1, 10, 11).empty('').optional().messages({
+    type: Joi.number().valid(1, 10, 11, 12, 13).empty('').optional().messages({
         'number.base': 'Type must be a number',
-        'any.only': 'Type must be one of the following values: 1 (student), 10 (admin), 11(instructor)',
+        'any.only': 'Type must be one of the following values: 1 (student), 10 (admin), 11(instructor), 12 (stake admin), 13 (country admin)',
     }),
     phone: Joi.string().pattern(/^[0-9\-+() ]{7,15}$/).empty('').optional().messages({
         'string.pattern.base': 'Phone number must be valid (7-15 digits, dashes, or spaces)',